@@ -0,0 +1,223 @@
+const { FASHION_COLORS, SWATCH_NAMES } = require('./palette');
+
+// Colour naming: maps any hex/RGB value to the closest curated fashion colour.
+// Distances are CIEDE2000 in CIELAB so "close" matches what the eye sees
+// rather than raw RGB arithmetic.
+
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Limits shared by design requests and the palettes users save to their profile
+const MAX_DESIGN_COLORS = 5;
+const MAX_SAVED_PALETTES = 20;
+const MAX_PALETTE_NAME_LENGTH = 40;
+
+const normalizeHex = (value) => {
+  const match = HEX_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let digits = match[1];
+  if (digits.length === 3) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+  return `#${digits.toUpperCase()}`;
+};
+
+const hexToRgb = (hex) => {
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+
+  const int = parseInt(normalized.slice(1), 16);
+  return { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 };
+};
+
+const rgbToHex = ({ r, g, b }) => {
+  const channels = [r, g, b].map(Number);
+  if (channels.some(c => !Number.isInteger(c) || c < 0 || c > 255)) return null;
+  return `#${channels.map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+};
+
+// Accepts '#RRGGBB', 'RGB', 'rgb(r, g, b)', 'r,g,b' or { r, g, b }
+const parseColor = (value) => {
+  if (value && typeof value === 'object') return rgbToHex(value);
+
+  const text = String(value || '').trim();
+  const rgbMatch = /^(?:rgb\()?\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)?$/i.exec(text);
+  if (rgbMatch) {
+    return rgbToHex({ r: rgbMatch[1], g: rgbMatch[2], b: rgbMatch[3] });
+  }
+  return normalizeHex(text);
+};
+
+// sRGB (D65) -> CIELAB
+const rgbToLab = ({ r, g, b }) => {
+  const linear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750);
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+// CIEDE2000 colour difference (Sharma, Wu & Dalal reference implementation)
+const deltaE2000 = (lab1, lab2) => {
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+  const a1 = (1 + G) * lab1.a;
+  const a2 = (1 + G) * lab2.a;
+  const C1p = Math.hypot(a1, lab1.b);
+  const C2p = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = toDegrees(Math.atan2(b, a));
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(lab1.b, a1);
+  const h2p = hue(lab2.b, a2);
+
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hbarp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    } else {
+      hbarp = (h1p + h2p) / 2;
+    }
+  }
+
+  const T = 1
+    - 0.17 * Math.cos(toRadians(hbarp - 30))
+    + 0.24 * Math.cos(toRadians(2 * hbarp))
+    + 0.32 * Math.cos(toRadians(3 * hbarp + 6))
+    - 0.20 * Math.cos(toRadians(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(toRadians(2 * dTheta)) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+    Math.pow(dCp / Sc, 2) +
+    Math.pow(dHp / Sh, 2) +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+};
+
+// Lab values are computed once at load; the palette is small enough that a
+// linear scan is faster than any index
+const PALETTE = FASHION_COLORS.map(color => ({
+  ...color,
+  lab: rgbToLab(hexToRgb(color.hex))
+}));
+
+const nearestColors = (value, limit = 1) => {
+  const hex = parseColor(value);
+  if (!hex) return [];
+
+  const lab = rgbToLab(hexToRgb(hex));
+  return PALETTE
+    .map(color => ({ name: color.name, hex: color.hex, distance: deltaE2000(lab, color.lab) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(match => ({ ...match, distance: Math.round(match.distance * 100) / 100 }));
+};
+
+// Returns null for anything that isn't a colour value
+const nameColor = (value) => {
+  const hex = parseColor(value);
+  if (!hex) return null;
+
+  const swatch = SWATCH_NAMES[hex];
+  if (swatch) {
+    return { hex, rgb: hexToRgb(hex), name: swatch, exact: true, match: { name: swatch, hex, distance: 0 } };
+  }
+
+  const [match] = nearestColors(hex);
+  return { hex, rgb: hexToRgb(hex), name: match.name, exact: match.distance === 0, match };
+};
+
+// Prompt helper: colour values become names, plain words pass through
+const describeColor = (value) => {
+  const named = nameColor(value);
+  return named ? named.name : value;
+};
+
+// Normalises a list of colour values to '#RRGGBB'; null if any entry is invalid
+const parseColorList = (colors) => {
+  if (!Array.isArray(colors)) return null;
+  const parsed = colors.map(parseColor);
+  return parsed.every(Boolean) ? parsed : null;
+};
+
+// Saved palettes are stored as [{ name, colors: ['#RRGGBB', ...] }]
+const validateSavedPalettes = (palettes) => {
+  if (!Array.isArray(palettes)) {
+    return { error: 'Saved palettes must be an array' };
+  }
+  if (palettes.length > MAX_SAVED_PALETTES) {
+    return { error: `You can save up to ${MAX_SAVED_PALETTES} palettes` };
+  }
+
+  const normalized = [];
+  for (const palette of palettes) {
+    const name = typeof palette?.name === 'string' ? palette.name.trim() : '';
+    if (!name || name.length > MAX_PALETTE_NAME_LENGTH) {
+      return { error: `Palette names must be 1-${MAX_PALETTE_NAME_LENGTH} characters` };
+    }
+
+    const colors = parseColorList(palette.colors);
+    if (!colors || colors.length === 0 || colors.length > MAX_DESIGN_COLORS) {
+      return { error: `Palette "${name}" must have 1-${MAX_DESIGN_COLORS} valid hex colors` };
+    }
+
+    const createdAt = palette.createdAt && new Date(palette.createdAt);
+    normalized.push({ name, colors, ...(createdAt && !isNaN(createdAt) && { createdAt }) });
+  }
+
+  return { palettes: normalized };
+};
+
+module.exports = {
+  MAX_DESIGN_COLORS,
+  MAX_SAVED_PALETTES,
+  FASHION_COLORS,
+  SWATCH_NAMES,
+  parseColor,
+  normalizeHex,
+  hexToRgb,
+  rgbToHex,
+  rgbToLab,
+  deltaE2000,
+  nearestColors,
+  nameColor,
+  describeColor,
+  parseColorList,
+  validateSavedPalettes
+};
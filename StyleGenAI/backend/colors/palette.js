@@ -0,0 +1,152 @@
+// Curated fashion colour names used to describe arbitrary hex values in
+// prompts. Keep names to what a designer would write on a tech pack.
+const FASHION_COLORS = [
+  // Neutrals
+  { name: 'black', hex: '#000000' },
+  { name: 'jet black', hex: '#0E0E10' },
+  { name: 'white', hex: '#FFFFFF' },
+  { name: 'off-white', hex: '#FAF9F6' },
+  { name: 'ivory', hex: '#FFFFF0' },
+  { name: 'cream', hex: '#FFFDD0' },
+  { name: 'ecru', hex: '#CDB891' },
+  { name: 'beige', hex: '#F5F5DC' },
+  { name: 'sand', hex: '#C2B280' },
+  { name: 'oatmeal', hex: '#D9CBB0' },
+  { name: 'stone', hex: '#928E85' },
+  { name: 'mushroom', hex: '#BDACA3' },
+  { name: 'taupe', hex: '#8B7D6B' },
+  { name: 'greige', hex: '#A89F91' },
+  { name: 'light gray', hex: '#D3D3D3' },
+  { name: 'heather gray', hex: '#B6B6B4' },
+  { name: 'gray', hex: '#808080' },
+  { name: 'slate gray', hex: '#708090' },
+  { name: 'charcoal', hex: '#36454F' },
+  { name: 'gunmetal', hex: '#2A3439' },
+  { name: 'silver', hex: '#C0C0C0' },
+
+  // Browns
+  { name: 'camel', hex: '#C19A6B' },
+  { name: 'tan', hex: '#D2B48C' },
+  { name: 'khaki', hex: '#C3B091' },
+  { name: 'mocha', hex: '#967969' },
+  { name: 'cognac', hex: '#9A463D' },
+  { name: 'chestnut', hex: '#954535' },
+  { name: 'brown', hex: '#8B4513' },
+  { name: 'chocolate brown', hex: '#5C3317' },
+  { name: 'espresso', hex: '#4B3621' },
+
+  // Reds and pinks
+  { name: 'red', hex: '#E00000' },
+  { name: 'scarlet', hex: '#FF2400' },
+  { name: 'cherry red', hex: '#D2042D' },
+  { name: 'crimson', hex: '#DC143C' },
+  { name: 'tomato red', hex: '#E5452F' },
+  { name: 'burgundy', hex: '#800020' },
+  { name: 'wine', hex: '#722F37' },
+  { name: 'maroon', hex: '#800000' },
+  { name: 'oxblood', hex: '#4A0000' },
+  { name: 'raspberry', hex: '#E30B5C' },
+  { name: 'coral', hex: '#FF7F50' },
+  { name: 'salmon', hex: '#FA8072' },
+  { name: 'blush pink', hex: '#F4C2C2' },
+  { name: 'dusty rose', hex: '#C9A9A6' },
+  { name: 'rose pink', hex: '#F19CBB' },
+  { name: 'baby pink', hex: '#F4C2D7' },
+  { name: 'hot pink', hex: '#FF69B4' },
+  { name: 'fuchsia', hex: '#FF00FF' },
+  { name: 'magenta', hex: '#CA1F7B' },
+
+  // Oranges and yellows
+  { name: 'rust', hex: '#B7410E' },
+  { name: 'terracotta', hex: '#E2725B' },
+  { name: 'burnt orange', hex: '#CC5500' },
+  { name: 'orange', hex: '#FF8C00' },
+  { name: 'tangerine', hex: '#F28500' },
+  { name: 'apricot', hex: '#FBCEB1' },
+  { name: 'peach', hex: '#FFCBA4' },
+  { name: 'mustard', hex: '#E1AD01' },
+  { name: 'ochre', hex: '#CC7722' },
+  { name: 'gold', hex: '#D4AF37' },
+  { name: 'golden yellow', hex: '#FFDF00' },
+  { name: 'lemon yellow', hex: '#FFF44F' },
+  { name: 'butter yellow', hex: '#FAE196' },
+  { name: 'champagne', hex: '#F7E7CE' },
+  { name: 'bronze', hex: '#CD7F32' },
+  { name: 'copper', hex: '#B87333' },
+
+  // Greens
+  { name: 'chartreuse', hex: '#B5D334' },
+  { name: 'lime green', hex: '#32CD32' },
+  { name: 'pistachio', hex: '#93C572' },
+  { name: 'mint green', hex: '#98FB98' },
+  { name: 'seafoam green', hex: '#9FE2BF' },
+  { name: 'sage green', hex: '#9CAF88' },
+  { name: 'olive green', hex: '#708238' },
+  { name: 'khaki green', hex: '#8A865D' },
+  { name: 'army green', hex: '#4B5320' },
+  { name: 'moss green', hex: '#8A9A5B' },
+  { name: 'kelly green', hex: '#4CBB17' },
+  { name: 'emerald green', hex: '#50C878' },
+  { name: 'forest green', hex: '#228B22' },
+  { name: 'hunter green', hex: '#355E3B' },
+  { name: 'bottle green', hex: '#006A4E' },
+
+  // Blues
+  { name: 'teal', hex: '#008080' },
+  { name: 'petrol blue', hex: '#005F6A' },
+  { name: 'turquoise', hex: '#40E0D0' },
+  { name: 'aqua', hex: '#00FFFF' },
+  { name: 'ice blue', hex: '#D6ECEF' },
+  { name: 'baby blue', hex: '#89CFF0' },
+  { name: 'powder blue', hex: '#B0E0E6' },
+  { name: 'sky blue', hex: '#87CEEB' },
+  { name: 'cornflower blue', hex: '#6495ED' },
+  { name: 'steel blue', hex: '#4682B4' },
+  { name: 'denim blue', hex: '#1560BD' },
+  { name: 'royal blue', hex: '#4169E1' },
+  { name: 'cobalt blue', hex: '#0047AB' },
+  { name: 'sapphire blue', hex: '#0F52BA' },
+  { name: 'navy', hex: '#000080' },
+  { name: 'midnight blue', hex: '#191970' },
+  { name: 'ink blue', hex: '#1B2A41' },
+
+  // Purples
+  { name: 'lavender', hex: '#E6E6FA' },
+  { name: 'lilac', hex: '#C8A2C8' },
+  { name: 'mauve', hex: '#B784A7' },
+  { name: 'orchid', hex: '#DA70D6' },
+  { name: 'violet', hex: '#8F00FF' },
+  { name: 'royal purple', hex: '#7851A9' },
+  { name: 'purple', hex: '#800080' },
+  { name: 'plum', hex: '#8E4585' },
+  { name: 'aubergine', hex: '#472C4C' }
+];
+
+// Exact names for the swatches offered by the design form
+const SWATCH_NAMES = {
+  '#FF6B6B': 'coral red',
+  '#4ECDC4': 'turquoise',
+  '#45B7D1': 'sky blue',
+  '#96CEB4': 'mint green',
+  '#FFEAA7': 'golden yellow',
+  '#DDA0DD': 'lavender',
+  '#98D8C8': 'seafoam green',
+  '#F7DC6F': 'pale yellow',
+  '#BB8FCE': 'light purple',
+  '#85C1E9': 'powder blue',
+  '#F8C471': 'peach',
+  '#82E0AA': 'light green',
+  '#F1948A': 'salmon pink',
+  '#A78BFA': 'violet purple',
+  '#D7BDE2': 'pale lavender',
+  '#000000': 'black',
+  '#FFFFFF': 'white',
+  '#808080': 'gray',
+  '#8B4513': 'brown',
+  '#2F4F4F': 'dark gray'
+};
+
+module.exports = {
+  FASHION_COLORS,
+  SWATCH_NAMES
+};
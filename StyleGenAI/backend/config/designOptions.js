@@ -0,0 +1,64 @@
+// Style details a design can be generated with. The Design model's enums use
+// these lists, so request validation and the schema can't disagree.
+const PATTERNS = ['solid', 'stripes', 'floral', 'geometric', 'polka-dots', 'animal-print', 'abstract', 'plaid'];
+const MATERIALS = ['cotton', 'silk', 'wool', 'linen', 'polyester', 'denim', 'leather', 'chiffon', 'satin', 'velvet'];
+const MOODS = ['confident', 'romantic', 'edgy', 'comfortable', 'professional', 'playful', 'sophisticated'];
+const SEASONS = ['spring', 'summer', 'fall', 'winter', 'all-season'];
+
+const DEFAULT_MOOD = 'confident';
+const DEFAULT_SEASON = 'all-season';
+
+// More than a few of each only muddies the prompt
+const MAX_PATTERNS = 3;
+const MAX_MATERIALS = 3;
+
+const parseList = (field, value, allowed, max, errors) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array`);
+    return [];
+  }
+
+  const unique = [...new Set(value)];
+  const invalid = unique.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    errors.push(`Unknown ${field}: ${invalid.join(', ')}. Must be from: ${allowed.join(', ')}`);
+  }
+  if (unique.length > max) {
+    errors.push(`Choose at most ${max} ${field}`);
+  }
+  return unique;
+};
+
+// Validate patterns, materials, mood and season from a request body.
+// Returns `{ details, errors }` with defaults filled in.
+const parseStyleDetails = ({ patterns, materials, mood, season } = {}) => {
+  const errors = [];
+  const details = {
+    patterns: parseList('patterns', patterns, PATTERNS, MAX_PATTERNS, errors),
+    materials: parseList('materials', materials, MATERIALS, MAX_MATERIALS, errors),
+    mood: mood || DEFAULT_MOOD,
+    season: season || DEFAULT_SEASON
+  };
+
+  if (!MOODS.includes(details.mood)) {
+    errors.push(`mood must be one of: ${MOODS.join(', ')}`);
+  }
+  if (!SEASONS.includes(details.season)) {
+    errors.push(`season must be one of: ${SEASONS.join(', ')}`);
+  }
+
+  return { details, errors };
+};
+
+module.exports = {
+  PATTERNS,
+  MATERIALS,
+  MOODS,
+  SEASONS,
+  DEFAULT_MOOD,
+  DEFAULT_SEASON,
+  MAX_PATTERNS,
+  MAX_MATERIALS,
+  parseStyleDetails
+};
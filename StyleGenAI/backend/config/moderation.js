@@ -0,0 +1,73 @@
+// Content moderation settings (see moderation/).
+// Prompt checks run before a design is queued; image checks run on every
+// generated image before it is stored.
+
+// Terms that reject a prompt on their own, by category. Matched as whole
+// words, ignoring case, accents, simple letter/number swaps and plurals.
+// Fashion words that look risky are deliberately absent: "nude" is a colour,
+// a "gore" is a skirt panel, "kid" is a leather, "Lolita" is a style and a
+// "white power suit" is a suit.
+const BLOCKLIST = {
+  sexual: [
+    'naked', 'nudity', 'topless', 'bottomless', 'nsfw', 'porn', 'porno',
+    'pornographic', 'sexually explicit', 'erotic', 'xxx', 'genitals', 'hentai', 'fetish'
+  ],
+  violence: [
+    'gory', 'mutilated', 'decapitated', 'dismembered',
+    'corpse', 'dead body'
+  ],
+  hate: ['nazi', 'swastika', 'kkk', 'white supremacy']
+};
+
+// Terms that are fine alone but rejected together: adult styling for minors
+const COMBINATIONS = [
+  {
+    category: 'minors',
+    terms: [
+      'child', 'children', 'kids', 'toddler', 'teen', 'teenager', 'underage',
+      'schoolgirl', 'schoolboy', 'little girl', 'little boy', 'loli'
+    ],
+    with: [
+      'sexy', 'seductive', 'sensual', 'provocative', 'suggestive', 'revealing',
+      'lingerie'
+    ]
+  }
+];
+
+// Checks to run; MODERATION_PROMPT_CHECKS / MODERATION_IMAGE_CHECKS take a
+// comma-separated list of registered check names (an empty value disables them;
+// images are then recorded as unverified, never approved)
+const readChecks = (value, defaults) => {
+  if (value === undefined) return defaults;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+const PROMPT_CHECKS = readChecks(process.env.MODERATION_PROMPT_CHECKS, ['blocklist']);
+const IMAGE_CHECKS = readChecks(process.env.MODERATION_IMAGE_CHECKS, ['huggingface']);
+
+// Extra blocked terms for this deployment, e.g. MODERATION_BLOCKLIST=term one,term two
+const EXTRA_TERMS = readChecks(process.env.MODERATION_BLOCKLIST, []);
+
+// Hugging Face classifiers used by the "huggingface" checks
+const CLASSIFIERS = {
+  text: {
+    model: process.env.MODERATION_TEXT_MODEL || 'unitary/toxic-bert',
+    labels: ['toxic', 'severe_toxic', 'obscene', 'threat', 'identity_hate'],
+    threshold: parseFloat(process.env.MODERATION_TEXT_THRESHOLD) || 0.8
+  },
+  image: {
+    model: process.env.MODERATION_IMAGE_MODEL || 'Falconsai/nsfw_image_detection',
+    labels: ['nsfw'],
+    threshold: parseFloat(process.env.MODERATION_IMAGE_THRESHOLD) || 0.8
+  },
+  timeout: 30000
+};
+
+module.exports = {
+  BLOCKLIST,
+  COMBINATIONS,
+  EXTRA_TERMS,
+  PROMPT_CHECKS,
+  IMAGE_CHECKS,
+  CLASSIFIERS
+};
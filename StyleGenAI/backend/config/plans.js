@@ -0,0 +1,20 @@
+// Limits that depend on the user's subscription plan.
+// Requests without a signed-in user (demo mode) get the free limits.
+const PLAN_LIMITS = {
+  free: {
+    imagesPerRequest: 2
+  },
+  premium: {
+    imagesPerRequest: 4
+  },
+  pro: {
+    imagesPerRequest: 8
+  }
+};
+
+const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+
+module.exports = {
+  PLAN_LIMITS,
+  getPlanLimits
+};
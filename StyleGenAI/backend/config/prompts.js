@@ -0,0 +1,40 @@
+// Prompt template selection (templates live in providers/prompts/templates.js)
+//   PROMPT_TEMPLATE_SD=sd-tagged@1      override the default template of a model family
+//   PROMPT_EXPERIMENT=sd-tagged-vs-classic   run one of the A/B tests below
+
+// Which family of phrasing each model key expects
+const MODEL_FAMILIES = {
+  sdxl: 'sd',
+  sd15: 'sd',
+  sd21: 'sd',
+  realistic: 'sd',
+  playground: 'sd',
+  placeholder: 'sd',
+  flux: 'flux'
+};
+
+const DEFAULT_TEMPLATES = {
+  sd: process.env.PROMPT_TEMPLATE_SD || 'sd-classic',
+  flux: process.env.PROMPT_TEMPLATE_FLUX || 'flux-natural'
+};
+
+// A/B tests between two templates of one family. Designs are split by id, so a
+// design (and its regenerations) always gets the same variant. `split` is the
+// share of designs that get variant B.
+const EXPERIMENTS = {
+  'sd-tagged-vs-classic': {
+    family: 'sd',
+    variants: {
+      A: 'sd-classic@1',
+      B: 'sd-tagged@1'
+    },
+    split: 0.5
+  }
+};
+
+module.exports = {
+  MODEL_FAMILIES,
+  DEFAULT_TEMPLATES,
+  EXPERIMENTS,
+  activeExperiment: process.env.PROMPT_EXPERIMENT || null
+};
@@ -0,0 +1,58 @@
+// Declarative fallback chain for design generation.
+// Providers are tried in order; a provider is retried only for the listed
+// status codes, and skipped entirely while its circuit breaker is open.
+const PROVIDER_DEFAULTS = {
+  huggingface: {
+    timeout: 120000, // 2 minutes
+    retries: 3,
+    retryOn: [503, 429],
+    retryDelay: 10000
+  },
+  replicate: {
+    timeout: 180000, // 3 minutes
+    retries: 1,
+    retryOn: [429, 503],
+    retryDelay: 5000
+  },
+  placeholder: {
+    timeout: 5000,
+    retries: 0,
+    retryOn: []
+  }
+};
+
+const DEFAULT_CHAIN = ['huggingface', 'replicate', 'placeholder'];
+
+const CIRCUIT_BREAKER = {
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3,
+  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS) || 60000
+};
+
+const toStep = (provider) => ({
+  provider,
+  timeout: 60000,
+  retries: 0,
+  retryOn: [],
+  retryDelay: 2000,
+  ...PROVIDER_DEFAULTS[provider]
+});
+
+// Build the chain, optionally starting with a specific provider.
+// PROVIDER_CHAIN=huggingface,replicate,placeholder overrides the default order.
+const getProviderChain = (preferredProvider) => {
+  const names = process.env.PROVIDER_CHAIN
+    ? process.env.PROVIDER_CHAIN.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_CHAIN;
+
+  const ordered = preferredProvider
+    ? [preferredProvider, ...names.filter(name => name !== preferredProvider)]
+    : names;
+
+  return ordered.map(toStep);
+};
+
+module.exports = {
+  getProviderChain,
+  PROVIDER_DEFAULTS,
+  CIRCUIT_BREAKER
+};
@@ -0,0 +1,30 @@
+// Generation worker settings
+//   GENERATION_CONCURRENCY=2            jobs processed at once by this process
+//   PROVIDER_CONCURRENCY=huggingface:1,replicate:2   per-provider caps
+//   GENERATION_VISIBILITY_TIMEOUT_MS    how long a running job stays locked without a heartbeat
+//   GENERATION_STALE_AFTER_MS           orphaned designs and image operations older than this are failed instead of re-queued
+const parseProviderConcurrency = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((caps, entry) => {
+    const [provider, limit] = entry.split(':').map(part => part.trim());
+    if (provider && parseInt(limit) > 0) {
+      caps[provider] = parseInt(limit);
+    }
+    return caps;
+  }, {});
+};
+
+module.exports = {
+  concurrency: parseInt(process.env.GENERATION_CONCURRENCY) || 2,
+  providerConcurrency: {
+    huggingface: 1,
+    replicate: 2,
+    ...parseProviderConcurrency(process.env.PROVIDER_CONCURRENCY)
+  },
+  pollInterval: parseInt(process.env.GENERATION_POLL_INTERVAL_MS) || 2000,
+  visibilityTimeout: parseInt(process.env.GENERATION_VISIBILITY_TIMEOUT_MS) || 10 * 60 * 1000, // 10 minutes
+  maxAttempts: parseInt(process.env.GENERATION_MAX_ATTEMPTS) || 3,
+  retryBackoff: 30000, // multiplied by the attempt number
+  staleAfter: parseInt(process.env.GENERATION_STALE_AFTER_MS) || 30 * 60 * 1000 // 30 minutes
+};
@@ -0,0 +1,86 @@
+// Errors a request can fail with. Throw (or pass to next()) one of these and
+// middleware/errors.js answers with the single error envelope:
+//
+//   { success: false, error: { type, code, message, details? } }
+//
+// `type` is the broad class a client reacts to (validation, auth, quota,
+// not_found, conflict, provider, moderation, internal); `code` is a stable,
+// specific identifier such as DESIGN_NOT_FOUND. `statusCode` is the HTTP
+// status of the response.
+class AppError extends Error {
+  constructor(message, { code, statusCode, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.type = this.constructor.type;
+    this.code = code || this.constructor.defaultCode;
+    this.statusCode = statusCode || this.constructor.statusCode;
+    this.details = details;
+  }
+}
+AppError.type = 'internal';
+AppError.defaultCode = 'INTERNAL_ERROR';
+AppError.statusCode = 500;
+
+// The request itself is wrong: missing or invalid fields, bad uploads
+class ValidationError extends AppError {}
+ValidationError.type = 'validation';
+ValidationError.defaultCode = 'VALIDATION_ERROR';
+ValidationError.statusCode = 400;
+
+// Not signed in, an invalid token, or not allowed to do this
+class AuthError extends AppError {}
+AuthError.type = 'auth';
+AuthError.defaultCode = 'AUTH_REQUIRED';
+AuthError.statusCode = 401;
+
+// A plan or usage limit was reached; retrying the same request won't help
+class QuotaError extends AppError {}
+QuotaError.type = 'quota';
+QuotaError.defaultCode = 'QUOTA_EXCEEDED';
+QuotaError.statusCode = 429;
+
+class NotFoundError extends AppError {}
+NotFoundError.type = 'not_found';
+NotFoundError.defaultCode = 'NOT_FOUND';
+NotFoundError.statusCode = 404;
+
+// The resource isn't in a state that allows this yet
+class ConflictError extends AppError {}
+ConflictError.type = 'conflict';
+ConflictError.defaultCode = 'CONFLICT';
+ConflictError.statusCode = 409;
+
+// HTTP status answered for provider failures, by code; anything else is a 502
+const PROVIDER_STATUS_CODES = {
+  OPERATION_NOT_SUPPORTED: 501,
+  REFERENCE_NOT_SUPPORTED: 501,
+  UNKNOWN_OPERATION: 400,
+  UNKNOWN_PROMPT_TEMPLATE: 400,
+  UNKNOWN_PROVIDER: 404,
+  PROVIDER_NOT_CONFIGURED: 503,
+  PROVIDER_TIMEOUT: 504
+};
+
+// An image provider failed. `status` is the provider's own HTTP status, which
+// the fallback chain uses to decide on retries; `statusCode` is ours.
+class ProviderError extends AppError {
+  constructor(message, { provider, status, code } = {}) {
+    const errorCode = code || ProviderError.defaultCode;
+    super(message, { code: errorCode, statusCode: PROVIDER_STATUS_CODES[errorCode] || ProviderError.statusCode });
+    this.provider = provider;
+    this.status = status;
+  }
+}
+ProviderError.type = 'provider';
+ProviderError.defaultCode = 'PROVIDER_ERROR';
+ProviderError.statusCode = 502;
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  QuotaError,
+  NotFoundError,
+  ConflictError,
+  ProviderError
+};
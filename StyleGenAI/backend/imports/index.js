@@ -0,0 +1,246 @@
+const sharp = require('sharp');
+const Design = require('../models/Design');
+const { validateFields } = require('../middleware/validate');
+const { parseColorList, MAX_DESIGN_COLORS } = require('../colors');
+const { parseStyleDetails } = require('../config/designOptions');
+const { parseCustomPrompt } = require('../providers/prompts/custom');
+const { parseMeasurements } = require('../measurements');
+const { moderateImage, mergeModeration, rejectionError } = require('../moderation');
+const { getStorage, storeImage, loadImageBytes } = require('../storage');
+const { ValidationError } = require('../errors');
+const { EXPORT_VERSION, SUPPORTED_VERSIONS, migrateExport } = require('./versions');
+
+// Importing a design export (see versions.js for the document versions):
+// validate it against the Design schema, copy its images into our storage and
+// hand back what's needed to create the Design.
+
+// Same as the largest plan's images per request
+const MAX_IMPORT_IMAGES = 8;
+
+// Fields of each part of the exported design, mapped to the Design schema
+// paths whose rules (required, enum, maxlength...) they must follow
+const DESIGN_FIELDS = {
+  title: 'title',
+  description: 'description'
+};
+
+const INPUT_FIELDS = {
+  gender: 'inputParameters.gender',
+  occasion: 'inputParameters.occasion',
+  style: 'inputParameters.style'
+};
+
+const GENERATION_FIELDS = {
+  prompt: 'aiGeneration.prompt',
+  model: 'aiGeneration.model',
+  provider: 'aiGeneration.provider',
+  promptTemplate: 'aiGeneration.promptTemplate',
+  parameters: 'aiGeneration.parameters'
+};
+
+// Images are copied from an embedded data URL or a design image already in
+// our storage. Other URLs are never fetched: the endpoint is open to anyone.
+const IMPORT_IMAGE_TYPES = ['jpeg', 'png', 'webp'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Storage key of a design image URL, relative or absolute (an export from
+// this server links to its own /uploads), or null
+const storedKey = (url) => {
+  const storage = getStorage();
+  let key = storage.keyFromUrl(url);
+  if (!key && /^https?:\/\//.test(url)) {
+    try {
+      key = storage.keyFromUrl(new URL(url).pathname);
+    } catch {
+      return null;
+    }
+  }
+  return key && key.startsWith('designs/') && !key.split('/').includes('..') ? key : null;
+};
+
+const isImageSource = (url) => typeof url === 'string'
+  && (url.startsWith('data:image/') || Boolean(storedKey(url)));
+
+const section = (name, fields, value, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${name} must be an object`);
+    return;
+  }
+  validateFields(Design.schema, fields, value).forEach(error => errors.push(`${name}.${error}`));
+};
+
+const parseImages = (images, errors) => {
+  if (!Array.isArray(images) || images.length === 0 || images.length > MAX_IMPORT_IMAGES) {
+    errors.push(`images must be an array of 1 to ${MAX_IMPORT_IMAGES} images`);
+    return [];
+  }
+
+  const parsed = images.map((image, index) => {
+    if (!isObject(image) || !isImageSource(image.url)) {
+      errors.push(`images[${index}].url must be a data:image URL or a stored design image`);
+      return null;
+    }
+    if (image.seed !== undefined && image.seed !== null && !Number.isInteger(image.seed)) {
+      errors.push(`images[${index}].seed must be a whole number`);
+    }
+    return { url: image.url, isPrimary: image.isPrimary === true, seed: image.seed ?? undefined };
+  });
+
+  // Exactly one primary image: the first one marked, or else the first
+  const primary = Math.max(0, parsed.findIndex(image => image?.isPrimary));
+  return parsed.map((image, index) => image && { ...image, isPrimary: index === primary });
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+// Validate an export document of any supported version. Returns
+// `{ design, source, errors }`: `design` holds the Design fields and the images
+// to copy, `source` where the export came from.
+const parseDesignImport = (document) => {
+  const { document: migrated, version, errors: versionErrors } = migrateExport(document);
+  if (versionErrors.length > 0) {
+    return { errors: versionErrors };
+  }
+
+  const errors = [];
+  const exported = migrated.design;
+  if (!isObject(exported)) {
+    return { errors: ['design must be an object'] };
+  }
+
+  errors.push(...validateFields(Design.schema, DESIGN_FIELDS, exported));
+  section('inputParameters', INPUT_FIELDS, exported.inputParameters, errors);
+  section('aiGeneration', GENERATION_FIELDS, exported.aiGeneration, errors);
+  const input = isObject(exported.inputParameters) ? exported.inputParameters : {};
+  const generation = isObject(exported.aiGeneration) ? exported.aiGeneration : {};
+
+  const colors = parseColorList(input.colors);
+  if (!colors || colors.length === 0 || colors.length > MAX_DESIGN_COLORS) {
+    errors.push(`inputParameters.colors must be 1-${MAX_DESIGN_COLORS} hex values`);
+  }
+
+  const { details: styleDetails, errors: styleErrors } = parseStyleDetails(input);
+  const { custom, errors: customErrors } = parseCustomPrompt(input);
+  errors.push(...styleErrors.map(error => `inputParameters.${error}`), ...customErrors.map(error => `inputParameters.${error}`));
+
+  let measurements;
+  if (exported.measurements !== undefined && exported.measurements !== null) {
+    if (!isObject(exported.measurements)) {
+      errors.push('measurements must be an object');
+    } else {
+      const parsed = parseMeasurements(exported.measurements, { gender: input.gender });
+      errors.push(...parsed.errors.map(error => `measurements.${error}`));
+      measurements = parsed.spec;
+    }
+  }
+
+  const images = parseImages(exported.images, errors);
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    design: {
+      title: exported.title.trim(),
+      description: exported.description?.trim() || undefined,
+      inputParameters: {
+        gender: input.gender,
+        occasion: input.occasion,
+        style: input.style,
+        colors,
+        ...styleDetails,
+        customPrompt: custom?.text,
+        promptMode: custom?.mode || 'merge'
+      },
+      aiGeneration: {
+        prompt: generation.prompt,
+        model: generation.model,
+        provider: generation.provider,
+        promptTemplate: generation.promptTemplate,
+        parameters: generation.parameters
+      },
+      measurements: measurements && { ...measurements, updatedAt: new Date() },
+      images
+    },
+    source: {
+      exportVersion: version,
+      designId: exported.id === undefined || exported.id === null ? undefined : String(exported.id).slice(0, 64),
+      exportedAt: parseDate(migrated.exportedAt),
+      createdAt: parseDate(exported.createdAt)
+    },
+    errors
+  };
+};
+
+// An import's own text (title, description and custom prompt), screened
+// like a new prompt before anything is stored
+const importedText = (design) => [design.title, design.description, design.inputParameters.customPrompt]
+  .filter(Boolean)
+  .join('\n');
+
+// Bytes of an imported image, checked to really be a JPEG, PNG or WebP.
+// SVG mock-ups from the placeholder provider are rasterised to PNG.
+const loadImportImage = async (image, index) => {
+  const key = storedKey(image.url);
+  let buffer;
+  try {
+    // Anything else is a data URL (see isImageSource)
+    buffer = key ? await getStorage().read(key) : (await loadImageBytes({ url: image.url })).buffer;
+  } catch (error) {
+    throw new ValidationError(`Image ${index + 1} could not be loaded: ${error.message}`, { code: 'IMPORT_IMAGE_UNAVAILABLE' });
+  }
+
+  const metadata = await sharp(buffer).metadata().catch(() => ({}));
+  if (metadata.format === 'svg') {
+    return { buffer: await sharp(buffer).png().toBuffer(), mimeType: 'image/png' };
+  }
+  if (!IMPORT_IMAGE_TYPES.includes(metadata.format)) {
+    throw new ValidationError(`Image ${index + 1} is not a JPEG, PNG or WebP image`, { code: 'INVALID_IMAGE' });
+  }
+  return { buffer, mimeType: `image/${metadata.format}` };
+};
+
+// Screen and store the images of a parsed import under `folder`, the way
+// generated images are. Resolves to `{ images, moderation }` (the Design
+// `images[]` entries and the moderation record with `moderation` folded in);
+// rejects when every image is blocked.
+const storeImportedImages = async (images, { folder, name, moderation }) => {
+  const stored = [];
+  let record = moderation;
+
+  for (const [index, image] of images.entries()) {
+    const imageModeration = await moderateImage(await loadImportImage(image, index));
+    record = mergeModeration(record, imageModeration);
+    if (imageModeration.status === 'rejected') continue;
+
+    const storedImage = await storeImage(imageModeration.image, {
+      folder,
+      name: `${name}_${index + 1}`,
+      renditions: true
+    });
+    stored.push({ ...storedImage, isOriginal: true, isPrimary: image.isPrimary, seed: image.seed });
+  }
+
+  if (stored.length === 0) {
+    throw rejectionError({ stage: 'image', categories: record.categories });
+  }
+  // The primary image may have been blocked
+  if (!stored.some(image => image.isPrimary)) {
+    stored[0].isPrimary = true;
+  }
+  return { images: stored, moderation: record };
+};
+
+module.exports = {
+  parseDesignImport,
+  importedText,
+  storeImportedImages,
+  EXPORT_VERSION,
+  SUPPORTED_VERSIONS,
+  MAX_IMPORT_IMAGES
+};
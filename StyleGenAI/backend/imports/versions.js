@@ -0,0 +1,74 @@
+// Versions of the design export document (the JSON the frontend downloads).
+// Only the current version is validated; older documents are migrated to it
+// one version at a time first, so a new version only needs a migration from
+// the one before it.
+const EXPORT_VERSION = '2.0';
+
+const INPUT_PARAMETERS = ['gender', 'occasion', 'style', 'colors', 'patterns', 'materials', 'mood', 'season', 'customPrompt', 'promptMode'];
+const AI_GENERATION = ['prompt', 'model', 'provider', 'promptTemplate', 'parameters'];
+
+const pick = (source, keys) => Object.fromEntries(
+  keys.filter(key => source?.[key] !== undefined && source[key] !== null).map(key => [key, source[key]])
+);
+
+// 1.0 was the frontend's result view state as-is: the form values under
+// `preferences`, the generation record under `metadata`, and `imageUrl` when
+// the design had no stored images
+const fromV1 = (document) => {
+  const images = Array.isArray(document.images) && document.images.length > 0
+    ? document.images.map(image => pick(image, ['url', 'isPrimary', 'seed']))
+    : [document.imageUrl && { url: document.imageUrl, isPrimary: true }].filter(Boolean);
+
+  return {
+    exportVersion: '2.0',
+    exportedAt: document.exportedAt,
+    design: {
+      id: document.id,
+      title: document.title,
+      inputParameters: pick(document.preferences, INPUT_PARAMETERS),
+      aiGeneration: {
+        ...pick(document.metadata, AI_GENERATION),
+        prompt: document.metadata?.prompt || document.prompt
+      },
+      images,
+      createdAt: document.createdAt
+    }
+  };
+};
+
+// Migration from each older version to the next one
+const MIGRATIONS = {
+  '1.0': fromV1
+};
+
+const SUPPORTED_VERSIONS = [...Object.keys(MIGRATIONS), EXPORT_VERSION];
+
+// Bring an export document up to EXPORT_VERSION. Returns `{ document, version, errors }`
+// where `version` is the one the document was written in.
+const migrateExport = (document) => {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { errors: ['The import must be a design export (a JSON object)'] };
+  }
+
+  const version = document.exportVersion === undefined ? undefined : String(document.exportVersion);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return {
+      version,
+      errors: [`exportVersion must be one of: ${SUPPORTED_VERSIONS.join(', ')}${version ? ` (got ${version})` : ''}`]
+    };
+  }
+
+  let migrated = document;
+  while (migrated.exportVersion !== EXPORT_VERSION) {
+    migrated = MIGRATIONS[migrated.exportVersion](migrated);
+  }
+  return { document: migrated, version, errors: [] };
+};
+
+module.exports = {
+  EXPORT_VERSION,
+  SUPPORTED_VERSIONS,
+  INPUT_PARAMETERS,
+  AI_GENERATION,
+  migrateExport
+};
@@ -0,0 +1,36 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for generation progress, consumed by the SSE endpoint.
+// Only this process's jobs publish here; the endpoint also re-reads the design
+// so jobs run by other workers still reach their subscribers.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open SSE connection
+
+const TERMINAL_EVENTS = ['completed', 'failed'];
+
+// Image operations report on the same channel as `operation-<stage>` events
+const OPERATION_TERMINAL_EVENTS = TERMINAL_EVENTS.map(type => `operation-${type}`);
+
+const channel = (designId) => `design:${designId}`;
+
+const emitDesignEvent = (designId, type, data = {}) => {
+  emitter.emit(channel(designId), {
+    type,
+    designId: String(designId),
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Returns an unsubscribe function
+const subscribeToDesign = (designId, listener) => {
+  emitter.on(channel(designId), listener);
+  return () => emitter.off(channel(designId), listener);
+};
+
+module.exports = {
+  emitDesignEvent,
+  subscribeToDesign,
+  TERMINAL_EVENTS,
+  OPERATION_TERMINAL_EVENTS
+};
@@ -0,0 +1,222 @@
+const Design = require('../models/Design');
+const { generateCandidates, getProvider } = require('../providers');
+const { storeImage, loadSourceImage } = require('../storage');
+const { getProviderChain } = require('../config/providerChain');
+const { emitDesignEvent } = require('./events');
+const { acquireProviderSlot } = require('./providerSlots');
+const { moderateImage, mergeModeration, rejectionError, ModerationError } = require('../moderation');
+
+// Persist the progress (for polling) and push it to SSE subscribers
+const setProgress = async (design, stage, percent, message, details = {}) => {
+  design.progress = {
+    stage,
+    percent,
+    message,
+    updatedAt: new Date()
+  };
+  await design.save();
+  emitDesignEvent(design._id, stage, { status: design.status, percent, message, ...details });
+};
+
+const displayName = (providerName) => {
+  try {
+    return getProvider(providerName).displayName;
+  } catch (error) {
+    return providerName;
+  }
+};
+
+// Translate fallback chain events into progress updates;
+// `report(stage, percent, message, details)` records one
+const chainProgress = (report) => async (type, data) => {
+  if (type === 'provider-switched') {
+    await report('provider-switched', 35, `Switching to ${displayName(data.to)}...`, data);
+  } else if (type === 'retrying') {
+    await report('retrying', 30, `${displayName(data.provider)} is busy, retrying (attempt ${data.attempt + 1})...`, data);
+  }
+};
+
+// Run the generation pipeline for a design saved in `status: 'generating'`.
+// Everything needed is read back from the Design, so the job only needs its id.
+const runGenerationJob = async (designId) => {
+  const design = await Design.findById(designId);
+
+  if (!design) {
+    console.warn(`⚠️ Generation job skipped: design ${designId} not found`);
+    return null;
+  }
+
+  if (design.status !== 'generating') {
+    return design;
+  }
+
+  await setProgress(design, 'started', 15, 'Generating your design...');
+
+  try {
+    const startTime = Date.now();
+    const { gender, occasion, style, colors, patterns, materials, mood, season, customPrompt, promptMode } = design.inputParameters;
+    const requested = design.aiGeneration.parameters || {};
+    const count = requested.imageCount || 1;
+    const storedImages = [];
+
+    // A regeneration must reproduce its source: same prompt text and provider, no fallback
+    const reproduce = Boolean(design.regeneratedFrom);
+    const { name: templateName, version: templateVersion } = design.aiGeneration.promptTemplate || {};
+    const requestedTemplate = templateName ? `${templateName}${templateVersion ? `@${templateVersion}` : ''}` : undefined;
+
+    // An inspiration image is read once and reused as the reference for every candidate
+    const reference = design.inspiration?.storageKey
+      ? {
+        image: await loadSourceImage(design.inspiration),
+        mode: design.inspiration.mode,
+        strength: design.inspiration.strength
+      }
+      : undefined;
+
+    const generationResults = await generateCandidates({
+      gender,
+      occasion,
+      style,
+      colors,
+      patterns,
+      materials,
+      mood,
+      season
+    }, {
+      count,
+      provider: design.aiGeneration.provider,
+      model: design.aiGeneration.model,
+      chain: reproduce ? getProviderChain(design.aiGeneration.provider).slice(0, 1) : undefined,
+      prompt: reproduce ? design.aiGeneration.prompt : undefined,
+      promptTemplate: reproduce ? design.aiGeneration.promptTemplate : undefined,
+      template: requestedTemplate,
+      assignmentKey: design._id,
+      custom: customPrompt ? { text: customPrompt, mode: promptMode || 'merge' } : undefined,
+      seed: requested.seed,
+      negativePrompt: requested.negativePrompt,
+      scheduler: requested.scheduler,
+      steps: requested.inferenceSteps,
+      guidance: requested.guidanceScale,
+      reference,
+      onEvent: chainProgress((...progress) => setProgress(design, ...progress)),
+      acquire: acquireProviderSlot,
+      onCandidate: async ({ candidate, result }) => {
+        if (!result) return;
+
+        // Blocked images are never stored; they are only counted on the design
+        const imageModeration = await moderateImage(result.image);
+        design.moderation = mergeModeration(design.moderation, imageModeration);
+        if (imageModeration.status === 'rejected') {
+          console.warn(`🚫 Image ${candidate + 1} of design ${design._id} rejected by moderation:`, imageModeration.categories.join(', '));
+          return;
+        }
+
+        // Write each image to storage as soon as it arrives; the Design only keeps URLs and metadata
+        const storedImage = await storeImage(imageModeration.image, {
+          folder: `designs/${design._id}`,
+          name: `design_${design._id}_${Date.now()}_${candidate + 1}`,
+          renditions: true
+        });
+        storedImages.push({ ...storedImage, seed: result.metadata.parameters?.seed });
+
+        if (candidate + 1 < count) {
+          const percent = 15 + Math.round(((candidate + 1) / count) * 80);
+          await setProgress(design, 'started', percent, `Generated image ${candidate + 1} of ${count}...`);
+        }
+      }
+    });
+    if (storedImages.length === 0) {
+      throw rejectionError({ stage: 'image', categories: design.moderation.categories });
+    }
+
+    const generationTime = Date.now() - startTime;
+    const [firstResult] = generationResults;
+    const [firstImage] = storedImages;
+    const used = firstResult.metadata.parameters || {};
+
+    design.images = storedImages.map((storedImage, index) => ({
+      ...storedImage,
+      isOriginal: true,
+      isPrimary: index === 0
+    }));
+
+    design.aiGeneration = {
+      prompt: firstResult.image.originalPrompt,
+      model: firstResult.metadata.model,
+      provider: firstResult.metadata.provider,
+      promptTemplate: firstResult.metadata.promptTemplate,
+      attempts: generationResults.flatMap((result, candidate) => (
+        result.metadata.attempts.map(attempt => ({ ...attempt, candidate }))
+      )),
+      fallbackUsed: generationResults.some(result => result.metadata.fallbackUsed),
+      generationTime: generationTime,
+      cost: generationResults.reduce((total, result) => total + (result.metadata.cost || 0), 0),
+      parameters: {
+        size: firstImage.dimensions.width
+          ? `${firstImage.dimensions.width}x${firstImage.dimensions.height}`
+          : firstResult.metadata.size,
+        modelVersion: firstResult.metadata.modelVersion || firstResult.metadata.modelId,
+        imageCount: count,
+        seed: used.seed,
+        negativePrompt: used.negativePrompt,
+        scheduler: used.scheduler,
+        guidanceScale: used.guidance,
+        inferenceSteps: used.steps
+      }
+    };
+
+    design.status = 'completed';
+    design.completedAt = new Date();
+    await setProgress(design, 'completed', 100, count > 1 ? `${design.images.length} of ${count} images ready` : 'Design ready', {
+      provider: design.aiGeneration.provider,
+      images: design.images.length
+    });
+    console.log('✅ Design generation completed and saved to database:', design._id);
+
+  } catch (generationError) {
+    // Update design status to failed and save error
+    design.status = 'failed';
+    design.error = {
+      message: generationError.message,
+      code: generationError.code || 'GENERATION_ERROR',
+      type: generationError.type || 'internal',
+      timestamp: new Date()
+    };
+    if (generationError instanceof ModerationError) {
+      design.moderation.status = 'rejected';
+      design.moderation.stage = generationError.stage;
+    }
+    if (generationError.attempts) {
+      design.aiGeneration.attempts = generationError.attempts;
+    }
+    await setProgress(design, 'failed', 100, generationError.message, { code: design.error.code, errorType: design.error.type });
+    console.error('❌ Design generation failed, error saved to database:', generationError.message);
+  }
+
+  return design;
+};
+
+// Mark a design as failed outside the normal pipeline (crashed or abandoned jobs)
+const failDesign = async (designId, code, message) => {
+  const design = await Design.findById(designId);
+  if (!design || design.status !== 'generating') {
+    return design;
+  }
+
+  design.status = 'failed';
+  design.error = {
+    message,
+    code,
+    type: 'internal',
+    timestamp: new Date()
+  };
+  await setProgress(design, 'failed', 100, message, { code, errorType: 'internal' });
+  return design;
+};
+
+module.exports = {
+  runGenerationJob,
+  failDesign,
+  setProgress,
+  chainProgress
+};
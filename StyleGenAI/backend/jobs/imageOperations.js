@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Design = require('../models/Design');
+const { transformImage } = require('../providers');
+const { storeImage, loadSourceImage } = require('../storage');
+const { moderatePrompt, moderateImage, rejectionError } = require('../moderation');
+const { NotFoundError } = require('../errors');
+const { chainProgress } = require('./generationJob');
+const { emitDesignEvent } = require('./events');
+const { acquireProviderSlot } = require('./providerSlots');
+
+// Upscale factors Real-ESRGAN accepts
+const UPSCALE_FACTORS = [2, 4];
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// Check the body of a variation/upscale/edit request; returns an error message or null
+const validateOperation = (operation, { strength, scale, instruction } = {}) => {
+  if (operation === 'variation' && strength !== undefined) {
+    const value = Number(strength);
+    if (!(value > 0 && value < 1)) {
+      return 'strength must be a number between 0 and 1';
+    }
+  }
+
+  if (operation === 'upscale' && scale !== undefined && !UPSCALE_FACTORS.includes(Number(scale))) {
+    return `scale must be one of: ${UPSCALE_FACTORS.join(', ')}`;
+  }
+
+  if (operation === 'edit') {
+    if (typeof instruction !== 'string' || !instruction.trim()) {
+      return 'Please describe the edit to make';
+    }
+    if (instruction.trim().length > MAX_INSTRUCTION_LENGTH) {
+      return `Edit instructions are limited to ${MAX_INSTRUCTION_LENGTH} characters`;
+    }
+  }
+
+  return null;
+};
+
+// Screen an edit instruction before the operation is queued; throws a
+// ModerationError when it is blocked
+const screenOperation = async (operation, { instruction } = {}) => {
+  if (operation !== 'edit') return;
+
+  const instructionModeration = await moderatePrompt(instruction);
+  if (instructionModeration.status === 'rejected') {
+    throw rejectionError(instructionModeration);
+  }
+};
+
+// Run a variation/upscale/edit on a stored design image and store the result.
+// Returns the entry to append to that image's `variations`; throws a
+// ModerationError when the result is blocked. Screen the instruction first
+// with screenOperation().
+const runImageOperation = async (image, operation, { prompt, folder, provider, onEvent, acquire, strength, scale, instruction } = {}) => {
+  const source = await loadSourceImage(image);
+
+  const result = await transformImage(operation, {
+    image: source,
+    prompt,
+    width: image.dimensions?.width,
+    height: image.dimensions?.height,
+    strength: strength !== undefined && strength !== null ? Number(strength) : undefined,
+    scale: scale !== undefined && scale !== null ? Number(scale) : undefined,
+    instruction: instruction?.trim()
+  }, { provider, onEvent, acquire });
+
+  const imageModeration = await moderateImage(result.image);
+  if (imageModeration.status === 'rejected') {
+    throw rejectionError(imageModeration);
+  }
+
+  const stored = await storeImage(imageModeration.image, {
+    folder,
+    name: `${image._id}_${operation}_${Date.now()}`,
+    renditions: true
+  });
+
+  return {
+    ...stored,
+    editType: operation,
+    instruction: operation === 'edit' ? instruction.trim() : undefined,
+    provider: result.metadata.provider,
+    model: result.metadata.model,
+    cost: result.metadata.cost || 0,
+    createdAt: new Date()
+  };
+};
+
+// Operation state is written with positional updates rather than
+// design.save(): other operations on the same design may be running too
+const saveOperation = (designId, operation, fields) => {
+  operation.set(fields);
+  return Design.updateOne(
+    { _id: designId, 'operations._id': operation._id },
+    { $set: Object.fromEntries(Object.entries(fields).map(([path, value]) => [`operations.$.${path}`, value])) }
+  );
+};
+
+const OPERATION_STATUSES = { completed: 'completed', failed: 'failed' };
+
+// Persist an operation's progress (for polling) and push it to SSE subscribers
+// as `operation-<stage>` events. `fields` are saved with it.
+const setOperationProgress = async (designId, operation, stage, percent, message, { fields = {}, ...details } = {}) => {
+  const status = OPERATION_STATUSES[stage] || 'running';
+  await saveOperation(designId, operation, {
+    ...fields,
+    status,
+    progress: { stage, percent, message, updatedAt: new Date() }
+  });
+  emitDesignEvent(designId, `operation-${stage}`, {
+    operationId: String(operation._id),
+    operation: operation.operation,
+    imageId: String(operation.imageId),
+    status,
+    percent,
+    message,
+    ...details
+  });
+};
+
+const toOperationError = (error) => ({
+  message: error.message,
+  code: error.code || 'OPERATION_FAILED',
+  type: error.type || 'internal'
+});
+
+// Run a queued design.operations entry. Like runGenerationJob, everything is
+// read back from the Design; provider and moderation failures are recorded on
+// the operation. Returns the operation.
+const runOperationJob = async (designId, operationId) => {
+  const design = await Design.findById(designId);
+  const operation = design?.operations.id(operationId);
+
+  if (!operation) {
+    console.warn(`⚠️ Image operation job skipped: operation ${operationId} of design ${designId} not found`);
+    return null;
+  }
+
+  if (operation.status === 'completed' || operation.status === 'failed') {
+    return operation;
+  }
+
+  const label = `Image ${operation.operation}`;
+  await setOperationProgress(design._id, operation, 'started', 15, `${label} in progress...`);
+
+  try {
+    const image = design.images.id(operation.imageId);
+    if (!image) {
+      throw new NotFoundError('This design has no image with that id', { code: 'IMAGE_NOT_FOUND' });
+    }
+
+    const variation = {
+      _id: new mongoose.Types.ObjectId(),
+      ...await runImageOperation(image, operation.operation, {
+        strength: operation.options?.strength,
+        scale: operation.options?.scale,
+        instruction: operation.options?.instruction,
+        prompt: design.aiGeneration.prompt,
+        folder: `designs/${design._id}`,
+        provider: operation.provider,
+        onEvent: chainProgress((...progress) => setOperationProgress(design._id, operation, ...progress)),
+        acquire: acquireProviderSlot
+      })
+    };
+
+    await Design.updateOne(
+      { _id: design._id, 'images._id': image._id },
+      { $push: { 'images.$.variations': variation } }
+    );
+    await setOperationProgress(design._id, operation, 'completed', 100, `${label} ready`, {
+      fields: { variationId: variation._id, completedAt: new Date() },
+      variationId: String(variation._id)
+    });
+    console.log(`✅ ${label} completed for design ${design._id}`);
+
+  } catch (error) {
+    const failure = toOperationError(error);
+    await setOperationProgress(design._id, operation, 'failed', 100, failure.message, {
+      fields: { error: failure },
+      code: failure.code,
+      errorType: failure.type
+    });
+    console.error(`❌ ${label} failed for design ${design._id}:`, failure.message);
+  }
+
+  return operation;
+};
+
+// Mark an operation as failed outside the normal pipeline (crashed jobs)
+const failOperation = async (designId, operationId, code, message) => {
+  const design = await Design.findById(designId);
+  const operation = design?.operations.id(operationId);
+  if (!operation || operation.status === 'completed' || operation.status === 'failed') {
+    return operation;
+  }
+
+  const error = { message, code, type: 'internal' };
+  await setOperationProgress(design._id, operation, 'failed', 100, message, {
+    fields: { error },
+    code,
+    errorType: 'internal'
+  });
+  return operation;
+};
+
+module.exports = {
+  validateOperation,
+  screenOperation,
+  runImageOperation,
+  runOperationJob,
+  failOperation,
+  UPSCALE_FACTORS
+};
@@ -0,0 +1,95 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const ProviderSlot = require('../models/ProviderSlot');
+const { delay } = require('../providers/http');
+const queueConfig = require('../config/queue');
+
+// Per-provider concurrency caps (PROVIDER_CONCURRENCY), shared by every worker
+// through MongoDB. A provider capped at N has N slot documents and the fallback
+// chain takes one around each provider step (see providers/fallback.js), so the
+// cap counts requests actually in flight, whichever provider a job asked for.
+// A lease left behind by a crashed worker expires on its own.
+const HOLDER_PREFIX = `${os.hostname()}:${process.pid}`;
+
+const isFree = (now) => ({ $or: [{ holder: null }, { expiresAt: { $lt: now } }] });
+
+// Create a slot document for each allowed request, and drop the ones left over
+// from a higher cap
+const ensureProviderSlots = async () => {
+  const caps = queueConfig.providerConcurrency;
+
+  await ProviderSlot.deleteMany({
+    $or: [
+      { provider: { $nin: Object.keys(caps) } },
+      ...Object.entries(caps).map(([provider, limit]) => ({ provider, slot: { $gte: limit } }))
+    ]
+  });
+
+  const slots = Object.entries(caps).flatMap(([provider, limit]) => (
+    Array.from({ length: limit }, (_, slot) => ({
+      updateOne: {
+        filter: { provider, slot },
+        update: { $setOnInsert: { holder: null, expiresAt: null } },
+        upsert: true
+      }
+    }))
+  ));
+  if (slots.length > 0) {
+    await ProviderSlot.bulkWrite(slots);
+  }
+};
+
+const claimSlot = (provider, holder, lease) => {
+  const now = new Date();
+  return ProviderSlot.findOneAndUpdate(
+    { provider, ...isFree(now) },
+    { $set: { holder, expiresAt: new Date(now.getTime() + lease) } },
+    { new: true }
+  );
+};
+
+// Wait for a free slot of `provider`, held for at most `lease` ms. Resolves to
+// a function that frees it. Providers without a cap don't wait.
+const acquireProviderSlot = async (provider, { lease }) => {
+  if (!queueConfig.providerConcurrency[provider]) {
+    return async () => {};
+  }
+
+  const holder = `${HOLDER_PREFIX}:${new mongoose.Types.ObjectId()}`;
+  let slot = await claimSlot(provider, holder, lease);
+  while (!slot) {
+    await delay(queueConfig.pollInterval);
+    slot = await claimSlot(provider, holder, lease);
+  }
+
+  return async () => {
+    await ProviderSlot.updateOne({ _id: slot._id, holder }, { $set: { holder: null, expiresAt: null } });
+  };
+};
+
+// Capped providers with every slot taken
+const saturatedProviders = async () => {
+  const capped = Object.keys(queueConfig.providerConcurrency);
+  const withFreeSlots = await ProviderSlot.distinct('provider', { provider: { $in: capped }, ...isFree(new Date()) });
+  return capped.filter(provider => !withFreeSlots.includes(provider));
+};
+
+// Requests in flight and the cap of each capped provider
+const getProviderUsage = async () => {
+  const held = await ProviderSlot.aggregate([
+    { $match: { holder: { $ne: null }, expiresAt: { $gte: new Date() } } },
+    { $group: { _id: '$provider', running: { $sum: 1 } } }
+  ]);
+
+  return Object.fromEntries(Object.entries(queueConfig.providerConcurrency).map(([provider, limit]) => [
+    provider,
+    { running: held.find(entry => entry._id === provider)?.running || 0, limit }
+  ]));
+};
+
+module.exports = {
+  ensureProviderSlots,
+  acquireProviderSlot,
+  saturatedProviders,
+  getProviderUsage
+};
@@ -0,0 +1,292 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Design = require('../models/Design');
+const GenerationJob = require('../models/GenerationJob');
+const { runGenerationJob, failDesign } = require('./generationJob');
+const { runOperationJob, failOperation } = require('./imageOperations');
+const { emitDesignEvent } = require('./events');
+const { ensureProviderSlots, saturatedProviders, getProviderUsage } = require('./providerSlots');
+const queueConfig = require('../config/queue');
+
+// MongoDB-backed generation queue. Jobs survive restarts: a running job whose
+// lock isn't renewed within the visibility timeout is picked up again. Image
+// operations (variation/upscale/edit) go through the same queue.
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const active = new Set(); // ids of the jobs running on this worker
+let pollTimer = null;
+let polling = false;
+
+// Atomically lock the next runnable job (queued, or running with an expired
+// lock). Jobs for a provider with no free slot wait; the slot itself is only
+// taken by the fallback chain, around each provider step.
+const claimNextJob = async () => {
+  const now = new Date();
+  const saturated = await saturatedProviders();
+
+  return GenerationJob.findOneAndUpdate(
+    {
+      provider: { $nin: saturated },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + queueConfig.visibilityTimeout),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// What a job works on: the design being generated, or one of its operations
+const runJobTarget = (job) => (job.type === 'generation'
+  ? runGenerationJob(job.designId)
+  : runOperationJob(job.designId, job.operationId));
+
+const failJobTarget = (job, code, message) => (job.type === 'generation'
+  ? failDesign(job.designId, code, message)
+  : failOperation(job.designId, job.operationId, code, message));
+
+const jobLabel = (job) => (job.type === 'generation' ? 'Generation' : `Image ${job.type}`);
+
+const finishJob = (job, status, lastError) => {
+  job.status = status;
+  job.lastError = lastError;
+  job.lockedBy = null;
+  job.lockExpiresAt = null;
+  job.finishedAt = new Date();
+  return job.save();
+};
+
+const runJob = async (job) => {
+  // Keep the lock alive while the provider chain is working
+  const heartbeat = setInterval(() => {
+    GenerationJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { lockExpiresAt: new Date(Date.now() + queueConfig.visibilityTimeout) } }
+    ).catch(error => console.error('Generation job heartbeat failed:', error.message));
+  }, Math.floor(queueConfig.visibilityTimeout / 3));
+
+  try {
+    if (job.attempts > job.maxAttempts) {
+      const message = `${jobLabel(job)} gave up after ${job.maxAttempts} attempts`;
+      await finishJob(job, 'failed', message);
+      await failJobTarget(job, 'JOB_ATTEMPTS_EXCEEDED', message);
+      return;
+    }
+
+    // Provider failures are handled (and recorded) by the pipeline itself
+    const outcome = await runJobTarget(job);
+    await finishJob(job, outcome?.status === 'failed' ? 'failed' : 'completed', outcome?.error?.message);
+
+  } catch (error) {
+    console.error(`❌ ${jobLabel(job)} job ${job._id} crashed:`, error.message);
+
+    try {
+      if (job.attempts < job.maxAttempts) {
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + queueConfig.retryBackoff * job.attempts);
+        job.lastError = error.message;
+        job.lockedBy = null;
+        job.lockExpiresAt = null;
+        await job.save();
+      } else {
+        await finishJob(job, 'failed', error.message);
+        await failJobTarget(job, 'JOB_FAILED', error.message);
+      }
+    } catch (saveError) {
+      console.error('Failed to record generation job error:', saveError.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    active.delete(String(job._id));
+    setImmediate(poll);
+  }
+};
+
+const poll = async () => {
+  if (!pollTimer || polling) return;
+  polling = true;
+
+  try {
+    while (active.size < queueConfig.concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      active.add(String(job._id));
+      runJob(job);
+    }
+  } catch (error) {
+    console.error('Generation queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+const enqueueGeneration = async (designId, { provider } = {}) => {
+  const job = await GenerationJob.create({
+    designId,
+    provider,
+    maxAttempts: queueConfig.maxAttempts
+  });
+
+  emitDesignEvent(designId, 'queued', { status: 'generating' });
+  setImmediate(poll);
+  return job;
+};
+
+// Queue a design.operations entry; progress is reported on the operation
+const enqueueImageOperation = async (designId, operation) => {
+  const job = await GenerationJob.create({
+    designId,
+    type: operation.operation,
+    operationId: operation._id,
+    provider: operation.provider,
+    maxAttempts: queueConfig.maxAttempts
+  });
+
+  emitDesignEvent(designId, 'operation-queued', {
+    operationId: String(operation._id),
+    operation: operation.operation,
+    imageId: String(operation.imageId),
+    status: 'queued'
+  });
+  setImmediate(poll);
+  return job;
+};
+
+// Startup sweep: re-queue designs left in `generating` without a live job,
+// or fail them when they are too old to be worth retrying
+const recoverStaleGenerations = async () => {
+  const generating = await Design.find({ status: 'generating' }).select('_id createdAt aiGeneration.provider');
+  let requeued = 0;
+  let failed = 0;
+
+  for (const design of generating) {
+    const job = await GenerationJob.findOne({
+      designId: design._id,
+      status: { $in: ['queued', 'running'] }
+    });
+
+    // Queued jobs and expired locks are picked up by the worker as usual
+    if (job) continue;
+
+    if (Date.now() - design.createdAt.getTime() > queueConfig.staleAfter) {
+      await failDesign(design._id, 'GENERATION_ABANDONED', 'Generation was interrupted by a server restart');
+      failed++;
+    } else {
+      await enqueueGeneration(design._id, { provider: design.aiGeneration?.provider });
+      requeued++;
+    }
+  }
+
+  if (requeued || failed) {
+    console.log(`♻️  Recovered stale generations: ${requeued} re-queued, ${failed} failed`);
+  }
+  return { requeued, failed };
+};
+
+// Same for image operations left queued or running without a live job
+const recoverStaleOperations = async () => {
+  const designs = await Design.find({ 'operations.status': { $in: ['queued', 'running'] } })
+    .select('_id operations');
+  let requeued = 0;
+  let failed = 0;
+
+  for (const design of designs) {
+    const pending = design.operations.filter(operation => ['queued', 'running'].includes(operation.status));
+
+    for (const operation of pending) {
+      const job = await GenerationJob.exists({
+        designId: design._id,
+        operationId: operation._id,
+        status: { $in: ['queued', 'running'] }
+      });
+      if (job) continue;
+
+      if (Date.now() - operation.createdAt.getTime() > queueConfig.staleAfter) {
+        await failOperation(design._id, operation._id, 'OPERATION_ABANDONED', `Image ${operation.operation} was interrupted by a server restart`);
+        failed++;
+      } else {
+        await enqueueImageOperation(design._id, operation);
+        requeued++;
+      }
+    }
+  }
+
+  if (requeued || failed) {
+    console.log(`♻️  Recovered stale image operations: ${requeued} re-queued, ${failed} failed`);
+  }
+  return { requeued, failed };
+};
+
+const startGenerationWorker = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    console.log('⚠️  Generation worker not started: no database connection');
+    return false;
+  }
+
+  if (pollTimer) return true;
+
+  try {
+    await ensureProviderSlots();
+  } catch (error) {
+    console.error('Provider slot setup failed:', error.message);
+  }
+
+  try {
+    await recoverStaleGenerations();
+  } catch (error) {
+    console.error('Stale generation sweep failed:', error.message);
+  }
+
+  try {
+    await recoverStaleOperations();
+  } catch (error) {
+    console.error('Stale image operation sweep failed:', error.message);
+  }
+
+  pollTimer = setInterval(poll, queueConfig.pollInterval);
+  console.log(`⚙️  Generation worker ${WORKER_ID} started (concurrency ${queueConfig.concurrency})`);
+  setImmediate(poll);
+  return true;
+};
+
+const stopGenerationWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const getQueueStats = async () => {
+  const [queued, running, providers] = await Promise.all([
+    GenerationJob.countDocuments({ status: 'queued' }),
+    GenerationJob.countDocuments({ status: 'running' }),
+    getProviderUsage()
+  ]);
+
+  return {
+    queued,
+    running,
+    activeOnThisWorker: active.size,
+    concurrency: queueConfig.concurrency,
+    providerConcurrency: queueConfig.providerConcurrency,
+    providers
+  };
+};
+
+module.exports = {
+  enqueueGeneration,
+  enqueueImageOperation,
+  startGenerationWorker,
+  stopGenerationWorker,
+  recoverStaleGenerations,
+  recoverStaleOperations,
+  getQueueStats
+};
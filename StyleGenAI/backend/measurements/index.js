@@ -0,0 +1,245 @@
+const { SIZE_RUNS, SIZE_RUN_IDS, DEFAULT_SIZE_RUN } = require('./sizeRuns');
+const {
+  POINTS_OF_MEASURE,
+  BASE_MEASUREMENTS,
+  GARMENTS,
+  GARMENT_TYPES,
+  DEFAULT_GARMENT_TYPES,
+  BODY_TYPE_FITS
+} = require('./pointsOfMeasure');
+
+// A design's measurement spec: the garment type, the size run it is graded
+// over, and for every point of measure its value at the base size, tolerance
+// and grading rule. `grades[i]` is how much the POM grows from sizes[i] to
+// sizes[i + 1], so every step of the run can grade differently. Values for
+// each size are derived by gradeMeasurements(), never stored.
+const UNITS = ['cm', 'in'];
+const CM_PER_INCH = 2.54;
+const MAX_POINTS = 30;
+
+const pointCode = (index) => String.fromCharCode('A'.charCodeAt(0) + index);
+
+// cm to 0.1, inches to the nearest 1/8
+const roundValue = (value, unit) => (unit === 'in' ? Math.round(value * 8) / 8 : Math.round(value * 10) / 10);
+
+const mapValues = (spec, convert) => ({
+  ...spec,
+  points: spec.points.map(point => ({
+    ...point,
+    baseValue: convert(point.baseValue),
+    tolerance: convert(point.tolerance),
+    grades: point.grades.map(convert)
+  }))
+});
+
+const convertUnit = (spec, unit) => {
+  if (spec.unit === unit) return spec;
+  const factor = unit === 'in' ? 1 / CM_PER_INCH : CM_PER_INCH;
+  return { ...mapValues(spec, value => roundValue(value * factor, unit)), unit };
+};
+
+// Value of every point at every size in the run
+const gradePoint = (point, sizes, baseSize) => {
+  const base = sizes.indexOf(baseSize);
+  const values = [];
+  values[base] = point.baseValue;
+  for (let index = base + 1; index < sizes.length; index++) {
+    values[index] = values[index - 1] + point.grades[index - 1];
+  }
+  for (let index = base - 1; index >= 0; index--) {
+    values[index] = values[index + 1] - point.grades[index];
+  }
+  return values;
+};
+
+// Default spec for a design, from its gender and garment type, fitted to the
+// owner's `bodyType` preference when there is one
+const defaultMeasurements = ({ gender, garmentType, sizeRun, bodyType, unit = 'cm' } = {}) => {
+  const base = BASE_MEASUREMENTS[gender] || BASE_MEASUREMENTS.unisex;
+  const type = GARMENTS[garmentType] ? garmentType : (DEFAULT_GARMENT_TYPES[gender] || 'top');
+  const garment = GARMENTS[type];
+  const fit = BODY_TYPE_FITS[bodyType];
+  const runId = SIZE_RUNS[sizeRun] ? sizeRun : (fit?.sizeRun || DEFAULT_SIZE_RUN);
+  const run = SIZE_RUNS[runId];
+
+  const points = garment.points.map((key, index) => {
+    const pom = POINTS_OF_MEASURE[key];
+    const measurement = base[key];
+    let value = measurement.value + (garment.ease?.[key] || 0);
+    value = value * (fit?.scale?.[pom.kind] || 1) + (fit?.adjust?.[key] || 0);
+
+    return {
+      code: pointCode(index),
+      key,
+      name: pom.name,
+      description: pom.description,
+      baseValue: roundValue(value + measurement.grade * run.referenceOffset, 'cm'),
+      tolerance: measurement.tolerance,
+      grades: run.sizes.slice(1).map(() => measurement.grade)
+    };
+  });
+
+  return convertUnit({
+    garmentType: type,
+    sizeRun: runId,
+    sizes: [...run.sizes],
+    baseSize: run.baseSize,
+    unit: 'cm',
+    fit: fit ? bodyType : null,
+    points
+  }, unit);
+};
+
+// The spec with `values` (one per size) added to every point
+const gradeMeasurements = (spec) => ({
+  ...spec,
+  sizeRunName: SIZE_RUNS[spec.sizeRun]?.name || spec.sizeRun,
+  points: spec.points.map(point => ({
+    ...point,
+    values: gradePoint(point, spec.sizes, spec.baseSize).map(value => roundValue(value, spec.unit))
+  }))
+});
+
+// Move the base size, keeping every size's graded value
+const rebase = (spec, baseSize) => {
+  const index = spec.sizes.indexOf(baseSize);
+  return {
+    ...spec,
+    baseSize,
+    points: spec.points.map(point => ({
+      ...point,
+      baseValue: roundValue(gradePoint(point, spec.sizes, spec.baseSize)[index], spec.unit)
+    }))
+  };
+};
+
+// The stored spec of a Design document or simple.js's plain design, or the
+// default one when none has been saved yet
+const resolveMeasurements = (source, { bodyType } = {}) => {
+  const design = typeof source.toObject === 'function' ? source.toObject() : source;
+  const stored = design.measurements;
+
+  if (stored && stored.points && stored.points.length > 0) {
+    const { updatedAt, ...spec } = stored;
+    return { spec, isDefault: false, updatedAt };
+  }
+  return {
+    spec: defaultMeasurements({ gender: design.inputParameters?.gender, bodyType }),
+    isDefault: true
+  };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const parsePoint = (point, index, { sizes, previous }, errors) => {
+  const label = `points[${index}]`;
+  if (!point || typeof point !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const library = POINTS_OF_MEASURE[point.key];
+  const name = point.name ?? library?.name;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 60) {
+    errors.push(`${label}.name must be a non-empty string of at most 60 characters`);
+  }
+  if (!isNumber(point.baseValue) || point.baseValue <= 0) {
+    errors.push(`${label}.baseValue must be a positive number`);
+  }
+  if (point.tolerance !== undefined && (!isNumber(point.tolerance) || point.tolerance < 0)) {
+    errors.push(`${label}.tolerance must be zero or more`);
+  }
+
+  // `grade` is shorthand for the same increment at every step
+  const steps = sizes.length - 1;
+  let grades = point.grades;
+  if (grades === undefined && isNumber(point.grade)) {
+    grades = Array(steps).fill(point.grade);
+  } else if (grades === undefined && previous) {
+    grades = previous.grades;
+  }
+  if (!Array.isArray(grades) || grades.length !== steps || !grades.every(isNumber)) {
+    errors.push(`${label} needs grades (${steps} numbers, one per size step) or a single grade`);
+  }
+
+  return {
+    code: typeof point.code === 'string' && point.code.trim() ? point.code.trim().slice(0, 4) : pointCode(index),
+    key: library ? point.key : undefined,
+    name: typeof name === 'string' ? name.trim() : name,
+    description: typeof point.description === 'string' ? point.description.slice(0, 120) : library?.description,
+    baseValue: point.baseValue,
+    tolerance: point.tolerance ?? previous?.tolerance ?? 0,
+    grades
+  };
+};
+
+// Apply a PUT body to the current spec. Changing the garment type or size run
+// starts again from that default; `unit` converts and `baseSize` rebases the
+// values; `points` replaces them. Returns `{ spec, errors }`.
+const parseMeasurements = (input = {}, { current, gender, bodyType } = {}) => {
+  const errors = [];
+  const { garmentType, sizeRun, unit, baseSize, points } = input;
+
+  if (garmentType !== undefined && !GARMENT_TYPES.includes(garmentType)) {
+    errors.push(`garmentType must be one of: ${GARMENT_TYPES.join(', ')}`);
+  }
+  if (sizeRun !== undefined && !SIZE_RUN_IDS.includes(sizeRun)) {
+    errors.push(`sizeRun must be one of: ${SIZE_RUN_IDS.join(', ')}`);
+  }
+  if (unit !== undefined && !UNITS.includes(unit)) {
+    errors.push(`unit must be one of: ${UNITS.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return { spec: current, errors };
+  }
+
+  let spec = current || defaultMeasurements({ gender, bodyType });
+  const changesGarment = garmentType !== undefined && garmentType !== spec.garmentType;
+  const changesRun = sizeRun !== undefined && sizeRun !== spec.sizeRun;
+  if (changesGarment || changesRun) {
+    spec = defaultMeasurements({
+      gender,
+      bodyType,
+      garmentType: garmentType ?? spec.garmentType,
+      sizeRun: sizeRun ?? spec.sizeRun,
+      unit: spec.unit
+    });
+  }
+
+  if (unit !== undefined) {
+    spec = convertUnit(spec, unit);
+  }
+
+  if (baseSize !== undefined) {
+    if (!spec.sizes.includes(baseSize)) {
+      errors.push(`baseSize must be one of: ${spec.sizes.join(', ')}`);
+    } else {
+      spec = rebase(spec, baseSize);
+    }
+  }
+
+  if (points !== undefined) {
+    if (!Array.isArray(points) || points.length === 0 || points.length > MAX_POINTS) {
+      errors.push(`points must be an array of 1 to ${MAX_POINTS} points of measure`);
+    } else {
+      const parsed = points.map((point, index) => parsePoint(point, index, {
+        sizes: spec.sizes,
+        previous: spec.points.find(existing => (point?.key && existing.key === point.key) || (point?.code && existing.code === point.code))
+      }, errors));
+      spec = { ...spec, points: parsed };
+    }
+  }
+
+  return { spec, errors };
+};
+
+module.exports = {
+  defaultMeasurements,
+  gradeMeasurements,
+  resolveMeasurements,
+  parseMeasurements,
+  GARMENT_TYPES,
+  SIZE_RUNS,
+  SIZE_RUN_IDS,
+  UNITS
+};
@@ -0,0 +1,120 @@
+// Points of measure (POMs) for finished-garment measurements. `kind` groups
+// them for fit adjustments: girths go round the body, lengths run along it.
+const POINTS_OF_MEASURE = {
+  chest: { name: 'Chest', description: 'Full chest, 2.5 cm below armhole', kind: 'girth' },
+  waist: { name: 'Waist', description: 'Full waist at natural waistline', kind: 'girth' },
+  hip: { name: 'Hip', description: 'Full hip, 20 cm below waist', kind: 'girth' },
+  hem: { name: 'Hem sweep', description: 'Full hem, along the edge', kind: 'girth' },
+  thigh: { name: 'Thigh', description: 'Full thigh, 2.5 cm below crotch', kind: 'girth' },
+  legOpening: { name: 'Leg opening', description: 'Full leg opening at hem', kind: 'girth' },
+  neck: { name: 'Neck opening', description: 'Collar or neckline, along the edge', kind: 'girth' },
+  armhole: { name: 'Armhole', description: 'Straight, shoulder point to underarm', kind: 'width' },
+  shoulder: { name: 'Across shoulder', description: 'Shoulder point to shoulder point', kind: 'width' },
+  sleeve: { name: 'Sleeve length', description: 'Shoulder point to cuff edge', kind: 'length' },
+  bodyLength: { name: 'Body length', description: 'High point shoulder to hem', kind: 'length' },
+  dressLength: { name: 'Dress length', description: 'High point shoulder to hem', kind: 'length' },
+  skirtLength: { name: 'Skirt length', description: 'Waist to hem at centre front', kind: 'length' },
+  rise: { name: 'Front rise', description: 'Crotch seam to top of waistband', kind: 'length' },
+  inseam: { name: 'Inseam', description: 'Crotch to hem along inside leg', kind: 'length' },
+  outseam: { name: 'Outseam', description: 'Waist to hem along side seam', kind: 'length' }
+};
+
+// Finished measurements at the reference size (alpha M) in cm, with the
+// amount each grades per size step and the +/- tolerance
+const BASE_MEASUREMENTS = {
+  female: {
+    chest: { value: 96, grade: 4, tolerance: 1 },
+    waist: { value: 80, grade: 4, tolerance: 1 },
+    hip: { value: 102, grade: 4, tolerance: 1 },
+    hem: { value: 104, grade: 4, tolerance: 1.5 },
+    thigh: { value: 58, grade: 2, tolerance: 0.5 },
+    legOpening: { value: 36, grade: 1, tolerance: 0.5 },
+    neck: { value: 38, grade: 1, tolerance: 0.5 },
+    armhole: { value: 22, grade: 0.75, tolerance: 0.5 },
+    shoulder: { value: 38, grade: 1, tolerance: 0.5 },
+    sleeve: { value: 59, grade: 0.5, tolerance: 0.5 },
+    bodyLength: { value: 64, grade: 1, tolerance: 1 },
+    dressLength: { value: 100, grade: 1.5, tolerance: 1 },
+    skirtLength: { value: 60, grade: 1, tolerance: 1 },
+    rise: { value: 26, grade: 0.75, tolerance: 0.5 },
+    inseam: { value: 78, grade: 0.5, tolerance: 1 },
+    outseam: { value: 102, grade: 1, tolerance: 1 }
+  },
+  male: {
+    chest: { value: 108, grade: 5, tolerance: 1 },
+    waist: { value: 96, grade: 5, tolerance: 1 },
+    hip: { value: 106, grade: 5, tolerance: 1 },
+    hem: { value: 108, grade: 5, tolerance: 1.5 },
+    thigh: { value: 62, grade: 2, tolerance: 0.5 },
+    legOpening: { value: 40, grade: 1, tolerance: 0.5 },
+    neck: { value: 41, grade: 1.5, tolerance: 0.5 },
+    armhole: { value: 25, grade: 1, tolerance: 0.5 },
+    shoulder: { value: 46, grade: 1.5, tolerance: 0.5 },
+    sleeve: { value: 64, grade: 1, tolerance: 0.5 },
+    bodyLength: { value: 74, grade: 1.5, tolerance: 1 },
+    dressLength: { value: 110, grade: 1.5, tolerance: 1 },
+    skirtLength: { value: 62, grade: 1, tolerance: 1 },
+    rise: { value: 28, grade: 0.75, tolerance: 0.5 },
+    inseam: { value: 81, grade: 0.5, tolerance: 1 },
+    outseam: { value: 106, grade: 1, tolerance: 1 }
+  },
+  unisex: {
+    chest: { value: 104, grade: 5, tolerance: 1 },
+    waist: { value: 90, grade: 5, tolerance: 1 },
+    hip: { value: 104, grade: 5, tolerance: 1 },
+    hem: { value: 106, grade: 5, tolerance: 1.5 },
+    thigh: { value: 60, grade: 2, tolerance: 0.5 },
+    legOpening: { value: 38, grade: 1, tolerance: 0.5 },
+    neck: { value: 40, grade: 1, tolerance: 0.5 },
+    armhole: { value: 24, grade: 1, tolerance: 0.5 },
+    shoulder: { value: 44, grade: 1.5, tolerance: 0.5 },
+    sleeve: { value: 62, grade: 1, tolerance: 0.5 },
+    bodyLength: { value: 70, grade: 1.5, tolerance: 1 },
+    dressLength: { value: 105, grade: 1.5, tolerance: 1 },
+    skirtLength: { value: 61, grade: 1, tolerance: 1 },
+    rise: { value: 27, grade: 0.75, tolerance: 0.5 },
+    inseam: { value: 80, grade: 0.5, tolerance: 1 },
+    outseam: { value: 104, grade: 1, tolerance: 1 }
+  }
+};
+
+// The POMs each garment type is specified by, and extra ease (cm) it adds
+// over the base measurements
+const GARMENTS = {
+  top: { points: ['chest', 'waist', 'hem', 'shoulder', 'armhole', 'sleeve', 'neck', 'bodyLength'] },
+  shirt: { points: ['neck', 'chest', 'waist', 'hem', 'shoulder', 'armhole', 'sleeve', 'bodyLength'], ease: { bodyLength: 4 } },
+  dress: { points: ['chest', 'waist', 'hip', 'hem', 'shoulder', 'armhole', 'dressLength'], ease: { hem: 36 } },
+  jacket: { points: ['chest', 'waist', 'hem', 'shoulder', 'armhole', 'sleeve', 'bodyLength'], ease: { chest: 6, waist: 6, hem: 6, armhole: 2, shoulder: 1, sleeve: 1 } },
+  skirt: { points: ['waist', 'hip', 'hem', 'skirtLength'], ease: { hem: 20 } },
+  trousers: { points: ['waist', 'hip', 'rise', 'thigh', 'inseam', 'outseam', 'legOpening'] },
+  jumpsuit: { points: ['chest', 'waist', 'hip', 'shoulder', 'armhole', 'rise', 'thigh', 'inseam', 'legOpening'], ease: { rise: 4 } }
+};
+
+const GARMENT_TYPES = Object.keys(GARMENTS);
+
+// Garment type assumed until one is chosen for the design
+const DEFAULT_GARMENT_TYPES = {
+  female: 'dress',
+  male: 'shirt',
+  unisex: 'top',
+  other: 'top'
+};
+
+// How the User `bodyType` preference shifts the defaults: `scale` multiplies
+// every POM of a kind, `adjust` adds cm to single POMs, `sizeRun` swaps the run
+const BODY_TYPE_FITS = {
+  petite: { scale: { length: 0.94 } },
+  tall: { scale: { length: 1.06 } },
+  'plus-size': { sizeRun: 'alpha-plus' },
+  curvy: { adjust: { hip: 4, waist: -2 } },
+  athletic: { adjust: { chest: 4, shoulder: 1, thigh: 2 } }
+};
+
+module.exports = {
+  POINTS_OF_MEASURE,
+  BASE_MEASUREMENTS,
+  GARMENTS,
+  GARMENT_TYPES,
+  DEFAULT_GARMENT_TYPES,
+  BODY_TYPE_FITS
+};
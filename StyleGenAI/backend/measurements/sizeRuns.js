@@ -0,0 +1,50 @@
+// Size runs a measurement spec can be graded over. Default measurements are
+// defined at the reference size (alpha M); `referenceOffset` is how many
+// grading steps the run's base size sits above it.
+const SIZE_RUNS = {
+  alpha: {
+    name: 'Alpha XS-XXL',
+    sizes: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
+    baseSize: 'M',
+    referenceOffset: 0
+  },
+  'alpha-plus': {
+    name: 'Alpha plus L-4XL',
+    sizes: ['L', 'XL', 'XXL', '3XL', '4XL'],
+    baseSize: 'XL',
+    referenceOffset: 2
+  },
+  'eu-womens': {
+    name: 'EU womenswear 32-46',
+    sizes: ['32', '34', '36', '38', '40', '42', '44', '46'],
+    baseSize: '38',
+    referenceOffset: 0
+  },
+  'eu-mens': {
+    name: 'EU menswear 44-56',
+    sizes: ['44', '46', '48', '50', '52', '54', '56'],
+    baseSize: '50',
+    referenceOffset: 0
+  },
+  'us-womens': {
+    name: 'US womenswear 0-14',
+    sizes: ['0', '2', '4', '6', '8', '10', '12', '14'],
+    baseSize: '8',
+    referenceOffset: 0
+  },
+  'us-mens': {
+    name: 'US menswear 34-46',
+    sizes: ['34', '36', '38', '40', '42', '44', '46'],
+    baseSize: '40',
+    referenceOffset: 0
+  }
+};
+
+const SIZE_RUN_IDS = Object.keys(SIZE_RUNS);
+const DEFAULT_SIZE_RUN = 'alpha';
+
+module.exports = {
+  SIZE_RUNS,
+  SIZE_RUN_IDS,
+  DEFAULT_SIZE_RUN
+};
@@ -1,5 +1,9 @@
 const { verifyIdToken } = require('../config/firebase');
 const User = require('../models/User');
+const { AuthError, QuotaError } = require('../errors');
+
+// Signed in, but not allowed to do this
+const forbidden = (message, details) => new AuthError(message, { code: 'FORBIDDEN', statusCode: 403, details });
 
 // Middleware to verify Firebase ID token
 const authenticateToken = async (req, res, next) => {
@@ -7,19 +11,13 @@ const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
-      return res.status(401).json({ 
-        error: 'Access denied', 
-        message: 'No authorization header provided' 
-      });
+      return next(new AuthError('No authorization header provided', { code: 'NO_TOKEN' }));
     }
 
     const token = authHeader.split(' ')[1]; // Bearer TOKEN
     
     if (!token) {
-      return res.status(401).json({ 
-        error: 'Access denied', 
-        message: 'No token provided' 
-      });
+      return next(new AuthError('No token provided', { code: 'NO_TOKEN' }));
     }
 
     // Verify the Firebase ID token
@@ -55,16 +53,10 @@ const authenticateToken = async (req, res, next) => {
     console.error('Authentication error:', error.message);
     
     if (error.message.includes('Token verification failed')) {
-      return res.status(401).json({ 
-        error: 'Invalid token', 
-        message: 'The provided token is invalid or expired' 
-      });
+      return next(new AuthError('The provided token is invalid or expired', { code: 'INVALID_TOKEN' }));
     }
     
-    return res.status(500).json({ 
-      error: 'Authentication failed', 
-      message: 'Internal server error during authentication' 
-    });
+    next(error);
   }
 };
 
@@ -74,21 +66,18 @@ const checkDesignLimit = async (req, res, next) => {
     const user = req.user;
     
     if (!user.canGenerateDesign()) {
-      return res.status(403).json({
-        error: 'Design limit reached',
-        message: 'You have reached your design generation limit. Please upgrade your plan.',
-        remainingDesigns: user.subscription.designsRemaining,
-        plan: user.subscription.plan
-      });
+      return next(new QuotaError('You have reached your design generation limit. Please upgrade your plan.', {
+        code: 'DESIGN_LIMIT_REACHED',
+        details: {
+          remainingDesigns: user.subscription.designsRemaining,
+          plan: user.subscription.plan
+        }
+      }));
     }
     
     next();
   } catch (error) {
-    console.error('Design limit check error:', error.message);
-    return res.status(500).json({ 
-      error: 'Failed to check design limit', 
-      message: 'Internal server error' 
-    });
+    next(error);
   }
 };
 
@@ -102,12 +91,10 @@ const requirePlan = (requiredPlan) => {
     const requiredPlanLevel = planHierarchy[requiredPlan] || 0;
     
     if (userPlanLevel < requiredPlanLevel) {
-      return res.status(403).json({
-        error: 'Insufficient plan',
-        message: `This feature requires ${requiredPlan} plan or higher`,
+      return next(forbidden(`This feature requires ${requiredPlan} plan or higher`, {
         currentPlan: user.subscription.plan,
         requiredPlan: requiredPlan
-      });
+      }));
     }
     
     next();
@@ -154,10 +141,7 @@ const requireAdmin = (req, res, next) => {
   const user = req.user;
   
   if (!user || !user.isAdmin) {
-    return res.status(403).json({
-      error: 'Admin access required',
-      message: 'This endpoint requires administrator privileges'
-    });
+    return next(forbidden('This endpoint requires administrator privileges'));
   }
   
   next();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { AppError, ValidationError, NotFoundError } = require('../errors');
+
+// Express 4 doesn't pass rejected promises to the error handler, so async
+// route handlers are wrapped with this
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Map anything thrown to an AppError; unknown errors become a generic 500
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(fieldError => fieldError.message);
+    return new ValidationError(errors.join('; '), { details: { errors } });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}: ${error.value}`, { code: 'INVALID_ID' });
+  }
+  // Thrown by express.json() for unreadable or oversized bodies
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ValidationError('Request body is too large', { code: 'PAYLOAD_TOO_LARGE', statusCode: 413 });
+  }
+
+  return new AppError(process.env.NODE_ENV === 'development' ? error.message : 'Internal server error');
+};
+
+// The one shape every failed request is answered with
+const errorBody = (error) => ({
+  success: false,
+  error: {
+    type: error.type,
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details })
+  }
+});
+
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  if (error.statusCode >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+  }
+  res.status(error.statusCode).json(errorBody(error));
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+module.exports = {
+  asyncHandler,
+  toAppError,
+  errorBody,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,49 @@
+const multer = require('multer');
+const { ValidationError } = require('../errors');
+
+// Multipart image uploads are kept in memory and handed to the storage layer,
+// which decides where the file ends up
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!UPLOAD_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Only ${UPLOAD_IMAGE_TYPES.join(', ')} images can be uploaded`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in `field`, passing upload problems on as validation errors
+const uploadImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return next(new ValidationError(`Send the image as multipart/form-data in the "${field}" field`, { code: 'NO_IMAGE_UPLOADED' }));
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return next(tooLarge
+        ? new ValidationError(`Images must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`, { code: 'PAYLOAD_TOO_LARGE', statusCode: 413 })
+        : new ValidationError(error.message, { code: 'INVALID_UPLOAD' }));
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadImage,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_IMAGE_TYPES
+};
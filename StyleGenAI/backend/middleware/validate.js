@@ -0,0 +1,164 @@
+const Design = require('../models/Design');
+const User = require('../models/User');
+const Feedback = require('../models/Feedback');
+const { ValidationError } = require('../errors');
+
+// Request validation driven by the Mongoose schemas, so the allowed values
+// live in one place: a route lists which body fields map to which schema
+// paths, and the enum/required/min/max/maxlength/match rules of those paths
+// are applied to the request before anything is saved.
+
+// Body fields for each validated route, mapped to schema paths
+const GENERATION_FIELDS = {
+  gender: 'inputParameters.gender',
+  occasion: 'inputParameters.occasion',
+  style: 'inputParameters.style',
+  patterns: 'inputParameters.patterns',
+  materials: 'inputParameters.materials',
+  mood: 'inputParameters.mood',
+  season: 'inputParameters.season'
+};
+
+const PROFILE_FIELDS = {
+  displayName: 'displayName',
+  'preferences.gender': 'preferences.gender',
+  'preferences.favoriteStyles': 'preferences.favoriteStyles',
+  'preferences.favoriteColors': 'preferences.favoriteColors',
+  'preferences.preferredMaterials': 'preferences.preferredMaterials',
+  'preferences.bodyType': 'preferences.bodyType',
+  'preferences.budgetRange': 'preferences.budgetRange'
+};
+
+const FEEDBACK_FIELDS = {
+  rating: 'rating',
+  comment: 'comment',
+  feedbackType: 'feedbackType',
+  tags: 'tags',
+  helpful: 'helpful'
+};
+
+// Allowed values of a string path or of the items of an array path
+const enumValues = (schema, path) => {
+  const schemaType = schema.path(path);
+  if (!schemaType) return [];
+  const itemType = schemaType.$isMongooseArray ? (schemaType.caster || schemaType.embeddedSchemaType) : schemaType;
+  return itemType?.enumValues || [];
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Check one value against a single (non-array) schema type; returns an error message or null
+const checkValue = (field, value, schemaType) => {
+  const { options = {} } = schemaType;
+
+  switch (schemaType.instance) {
+    case 'String': {
+      if (typeof value !== 'string') return `${field} must be a string`;
+      const text = options.trim ? value.trim() : value;
+      if (schemaType.enumValues?.length > 0 && !schemaType.enumValues.includes(text)) {
+        return `${field} must be one of: ${schemaType.enumValues.join(', ')}`;
+      }
+      if (options.maxlength && text.length > options.maxlength) {
+        return `${field} must be at most ${options.maxlength} characters`;
+      }
+      if (options.match && !options.match.test(text)) {
+        return `${field} is not in the expected format`;
+      }
+      return null;
+    }
+    case 'Number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) return `${field} must be a number`;
+      if (options.min !== undefined && number < options.min) return `${field} must be at least ${options.min}`;
+      if (options.max !== undefined && number > options.max) return `${field} must be at most ${options.max}`;
+      return null;
+    }
+    case 'Boolean':
+      return typeof value === 'boolean' ? null : `${field} must be true or false`;
+    default:
+      return null;
+  }
+};
+
+// Validate one body field against its schema path; nested objects are checked key by key
+const checkField = (schema, field, path, value, errors) => {
+  if (schema.pathType(path) === 'nested') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${field} must be an object`);
+      return;
+    }
+    Object.entries(value).forEach(([key, nestedValue]) => {
+      if (schema.pathType(`${path}.${key}`) === 'adhocOrUndefined') {
+        errors.push(`Unknown field: ${field}.${key}`);
+      } else if (!isMissing(nestedValue)) {
+        checkField(schema, `${field}.${key}`, `${path}.${key}`, nestedValue, errors);
+      }
+    });
+    return;
+  }
+
+  const schemaType = schema.path(path);
+  if (!schemaType) return;
+
+  if (schemaType.$isMongooseArray) {
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    // Embedded documents (e.g. saved palettes) are left to the route's own checks
+    if (schemaType.$isMongooseDocumentArray) return;
+
+    const itemType = schemaType.caster || schemaType.embeddedSchemaType;
+    const invalid = value.filter(item => checkValue(field, item, itemType));
+    if (invalid.length > 0) {
+      errors.push(itemType.enumValues?.length > 0
+        ? `Unknown ${field}: ${invalid.join(', ')}. Must be from: ${itemType.enumValues.join(', ')}`
+        : `${field} contains invalid values`);
+    }
+    return;
+  }
+
+  const error = checkValue(field, value, schemaType);
+  if (error) errors.push(error);
+};
+
+// Check an object against `fields` ({ field: 'schema.path' }) and return the
+// error messages. `partial` skips required checks (updates, or routes with
+// their own defaults).
+const validateFields = (schema, fields, body = {}, { partial = false } = {}) => {
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, path]) => {
+    const value = body[field];
+    if (isMissing(value)) {
+      if (!partial && schema.path(path)?.isRequired) {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+    checkField(schema, field, path, value, errors);
+  });
+
+  return errors;
+};
+
+// Validate req.body against `fields` before the route runs
+const validateBody = (schema, fields, options) => (req, res, next) => {
+  const errors = validateFields(schema, fields, req.body || {}, options);
+  if (errors.length > 0) {
+    return next(new ValidationError(errors.join('; '), { details: { errors } }));
+  }
+
+  next();
+};
+
+module.exports = {
+  validateBody,
+  validateFields,
+  enumValues,
+  validateGeneration: validateBody(Design.schema, GENERATION_FIELDS),
+  validateGenerationOptions: validateBody(Design.schema, GENERATION_FIELDS, { partial: true }),
+  validateProfile: validateBody(User.schema, PROFILE_FIELDS, { partial: true }),
+  validateFeedback: validateBody(Feedback.schema, FEEDBACK_FIELDS),
+  validateFeedbackUpdate: validateBody(Feedback.schema, FEEDBACK_FIELDS, { partial: true })
+};
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { PATTERNS, MATERIALS, MOODS, SEASONS, DEFAULT_MOOD, DEFAULT_SEASON } = require('../config/designOptions');
+const { REFERENCE_MODES } = require('../providers/parameters');
+const { PROMPT_MODES, CUSTOM_PROMPT_LIMITS } = require('../providers/prompts/custom');
+const { MODERATION_STATUSES } = require('../moderation');
+const { EXPORT_FORMATS } = require('../reports/exports');
+const { RESOLUTIONS, QUALITY } = require('../reports/images');
+const { GARMENT_TYPES, SIZE_RUN_IDS, UNITS } = require('../measurements');
+
+// A resized copy of a design image, with an optional WebP version
+const renditionSchema = new mongoose.Schema({
+  url: String,
+  webpUrl: String,
+  width: Number,
+  height: Number,
+  size: Number, // bytes
+  webpSize: Number // bytes
+}, { _id: false });
 
 const designSchema = new mongoose.Schema({
   // User who created this design
@@ -50,24 +67,36 @@ const designSchema = new mongoose.Schema({
     
     patterns: [{
       type: String,
-      enum: ['solid', 'stripes', 'floral', 'geometric', 'polka-dots', 'animal-print', 'abstract', 'plaid']
+      enum: PATTERNS
     }],
     
     materials: [{
       type: String,
-      enum: ['cotton', 'silk', 'wool', 'linen', 'polyester', 'denim', 'leather', 'chiffon', 'satin', 'velvet']
+      enum: MATERIALS
     }],
     
     mood: {
       type: String,
-      enum: ['confident', 'romantic', 'edgy', 'comfortable', 'professional', 'playful', 'sophisticated'],
-      default: 'confident'
+      enum: MOODS,
+      default: DEFAULT_MOOD
     },
     
     season: {
       type: String,
-      enum: ['spring', 'summer', 'fall', 'winter', 'all-season'],
-      default: 'all-season'
+      enum: SEASONS,
+      default: DEFAULT_SEASON
+    },
+    
+    // The user's own prompt text and how it combines with the built prompt
+    customPrompt: {
+      type: String,
+      maxlength: CUSTOM_PROMPT_LIMITS.override
+    },
+    
+    promptMode: {
+      type: String,
+      enum: PROMPT_MODES,
+      default: 'merge'
     }
   },
   
@@ -80,15 +109,49 @@ const designSchema = new mongoose.Schema({
     
     model: {
       type: String,
-      enum: ['sdxl', 'sd15', 'flux', 'playground', 'dall-e-3', 'dall-e-2'],
+      enum: ['sdxl', 'sd15', 'sd21', 'flux', 'playground', 'realistic', 'placeholder', 'dall-e-3', 'dall-e-2'],
       default: 'sdxl'
     },
     
+    // Image provider that produced the design (see providers/)
+    provider: {
+      type: String,
+      default: 'huggingface'
+    },
+    
+    // Every provider tried by the fallback chain, in order
+    attempts: [{
+      _id: false,
+      provider: String,
+      attempt: Number,
+      status: { type: String, enum: ['succeeded', 'failed', 'skipped'] },
+      statusCode: Number,
+      error: String,
+      duration: Number, // in milliseconds
+      candidate: Number // which image of a multi-image request
+    }],
+    
+    fallbackUsed: { type: Boolean, default: false },
+    
+    // Prompt template that built `prompt` (see providers/prompts/)
+    promptTemplate: {
+      name: String,
+      version: Number,
+      family: String,
+      experiment: String, // A/B test this design took part in, if any
+      variant: String
+    },
+    
     parameters: {
       size: { type: String, default: '1024x1024' },
       modelVersion: { type: String },
-      guidanceScale: { type: Number, default: 7.5 },
-      inferenceSteps: { type: Number, default: 50 }
+      imageCount: { type: Number, default: 1, min: 1 }, // candidates requested
+      // Sampling parameters; unset until generation records the values actually used
+      seed: { type: Number }, // base seed, candidate n uses seed + n
+      negativePrompt: { type: String },
+      scheduler: { type: String }, // provider-neutral name (see providers/parameters.js)
+      guidanceScale: { type: Number },
+      inferenceSteps: { type: Number }
     },
     
     generationTime: { type: Number }, // in milliseconds
@@ -99,19 +162,74 @@ const designSchema = new mongoose.Schema({
   images: [{
     url: { type: String, required: true },
     filename: { type: String, required: true },
+    storageKey: { type: String }, // key in the image storage (see storage/)
+    mimeType: { type: String },
     size: { type: Number }, // file size in bytes
     dimensions: {
       width: { type: Number },
       height: { type: Number }
     },
     isOriginal: { type: Boolean, default: true },
+    isPrimary: { type: Boolean, default: false }, // the candidate shown for this design
+    seed: { type: Number }, // seed this candidate was generated with
+    // Resized copies for list/detail views (see storage/renditions.js)
+    renditions: {
+      thumbnail: renditionSchema,
+      medium: renditionSchema,
+      full: renditionSchema
+    },
     variations: [{ // For image variations/edits
       url: String,
       filename: String,
-      editType: String // 'variation', 'upscale', 'edit'
+      editType: String, // 'variation', 'upscale', 'edit'
+      storageKey: String,
+      mimeType: String,
+      size: Number,
+      dimensions: {
+        width: Number,
+        height: Number
+      },
+      renditions: {
+        thumbnail: renditionSchema,
+        medium: renditionSchema,
+        full: renditionSchema
+      },
+      instruction: String, // edit instruction, when editType is 'edit'
+      provider: String,
+      model: String,
+      cost: Number,
+      createdAt: { type: Date, default: Date.now }
     }]
   }],
   
+  // Variations, upscales and edits run by the generation worker; the result
+  // is added to the image's variations[] and linked here by variationId
+  operations: [{
+    operation: { type: String, enum: ['variation', 'upscale', 'edit'], required: true },
+    imageId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    options: {
+      strength: Number,
+      scale: Number,
+      instruction: String
+    },
+    provider: String, // requested provider, if any
+    status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+    progress: {
+      stage: { type: String, default: 'queued' },
+      percent: { type: Number, min: 0, max: 100, default: 0 },
+      message: String,
+      updatedAt: Date
+    },
+    variationId: mongoose.Schema.Types.ObjectId,
+    error: {
+      message: String,
+      code: String,
+      type: { type: String }
+    },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: Date
+  }],
+  
   // User interactions
   interactions: {
     views: { type: Number, default: 0 },
@@ -129,15 +247,52 @@ const designSchema = new mongoose.Schema({
     }
   },
   
-  // Export and sharing
+  // Measurement spec and grading rules (see measurements/), edited through
+  // /api/designs/:id/measurements. Unset until the owner saves one; the tech
+  // pack uses the defaults for the design's gender until then.
+  measurements: {
+    garmentType: { type: String, enum: GARMENT_TYPES },
+    sizeRun: { type: String, enum: SIZE_RUN_IDS },
+    sizes: [String],
+    baseSize: String,
+    unit: { type: String, enum: UNITS },
+    fit: String, // User bodyType the defaults were fitted to
+    points: [{
+      _id: false,
+      code: String,
+      key: String, // POM library entry, for points that came from the defaults
+      name: { type: String, required: true },
+      description: String,
+      baseValue: { type: Number, required: true },
+      tolerance: { type: Number, default: 0 },
+      grades: [Number] // increment from each size to the next
+    }],
+    updatedAt: Date
+  },
+  
+  // Files rendered by POST /api/designs/:id/exports, kept as an audit trail
   exports: [{
     format: {
       type: String,
-      enum: ['pdf', 'png', 'jpg', 'tech-pack'],
+      enum: EXPORT_FORMATS,
       required: true
     },
     url: String,
     filename: String,
+    storageKey: String,
+    mimeType: String,
+    size: Number,
+    // Image exports: the size and conversion options they were made with
+    dimensions: {
+      width: Number,
+      height: Number
+    },
+    options: {
+      resolution: { type: String, enum: Object.keys(RESOLUTIONS) },
+      quality: { type: Number, min: QUALITY.min, max: QUALITY.max },
+      transparent: Boolean
+    },
+    exportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     exportedAt: { type: Date, default: Date.now }
   }],
   
@@ -148,6 +303,59 @@ const designSchema = new mongoose.Schema({
     default: 'generating'
   },
   
+  // Generation progress, updated by the background job (see jobs/)
+  progress: {
+    stage: { type: String, default: 'queued' }, // queued, started, completed, failed
+    percent: { type: Number, min: 0, max: 100, default: 0 },
+    message: String,
+    updatedAt: Date
+  },
+  
+  // Uploaded inspiration image the generation started from (image-to-image)
+  inspiration: {
+    url: String,
+    storageKey: String,
+    mimeType: String,
+    size: Number,
+    dimensions: {
+      width: Number,
+      height: Number
+    },
+    mode: { type: String, enum: Object.keys(REFERENCE_MODES) },
+    strength: Number
+  },
+  
+  // Content moderation of the custom prompt and every generated image (see moderation/).
+  // Only approved designs are listed in the public gallery.
+  moderation: {
+    status: { type: String, enum: MODERATION_STATUSES, default: 'pending' },
+    stage: { type: String, enum: ['prompt', 'image'] }, // where it was rejected
+    categories: [String],
+    rejectedImages: { type: Number, default: 0 },
+    checks: [{
+      _id: false,
+      name: String,
+      stage: { type: String, enum: ['prompt', 'image'] },
+      status: { type: String, enum: MODERATION_STATUSES },
+      categories: [String],
+      score: Number,
+      error: String,
+      checkedAt: Date
+    }]
+  },
+  
+  // Set when this design re-runs another one with the same settings
+  regeneratedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Design' },
+
+  // Set when this design was created from a JSON export (POST /api/designs/import)
+  importedFrom: {
+    exportVersion: String, // version the file was written in, before migration
+    designId: String, // id of the exported design, which may be on another server
+    exportedAt: Date,
+    createdAt: Date, // when the exported design was created
+    importedAt: Date
+  },
+  
   isPublic: { type: Boolean, default: false },
   isArchived: { type: Boolean, default: false },
   
@@ -155,6 +363,7 @@ const designSchema = new mongoose.Schema({
   error: {
     message: String,
     code: String,
+    type: { type: String }, // error envelope type: provider, moderation, internal, ...
     timestamp: Date
   },
   
@@ -164,6 +373,15 @@ const designSchema = new mongoose.Schema({
   completedAt: Date
 });
 
+// Designs completed before moderation have no moderation record; they were
+// public under the old rules, so count them as approved rather than letting
+// the 'pending' default hide them
+designSchema.pre('init', function(doc) {
+  if (doc.status === 'completed' && !doc.moderation?.status) {
+    doc.moderation = { ...doc.moderation, status: 'approved' };
+  }
+});
+
 // Update the updatedAt field before saving
 designSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -189,13 +407,32 @@ designSchema.methods.addDownload = function() {
   return this.save();
 };
 
+// The image shown for the design; falls back to the first candidate
+designSchema.methods.getPrimaryImage = function() {
+  return this.images.find(image => image.isPrimary) || this.images[0] || null;
+};
+
+designSchema.methods.setPrimaryImage = function(imageId) {
+  const image = this.images.id(imageId);
+  if (!image) return null;
+
+  this.images.forEach(candidate => {
+    candidate.isPrimary = candidate._id.equals(image._id);
+  });
+  return image;
+};
+
 // Static methods
 designSchema.statics.findByUser = function(userId) {
   return this.find({ userId, isArchived: false }).sort({ createdAt: -1 });
 };
 
 designSchema.statics.findPublicDesigns = function(limit = 20) {
-  return this.find({ isPublic: true, status: 'completed' })
+  return this.find({
+    isPublic: true,
+    status: 'completed',
+    $or: [{ 'moderation.status': 'approved' }, { 'moderation.status': { $exists: false } }]
+  })
     .sort({ 'interactions.likes': -1, createdAt: -1 })
     .limit(limit)
     .populate('userId', 'displayName photoURL');
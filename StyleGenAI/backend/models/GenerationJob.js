@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Persistent queue entry for a background design generation, or for a
+// variation/upscale/edit of one of its images (see jobs/queue.js)
+const generationJobSchema = new mongoose.Schema({
+  designId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Design',
+    required: true
+  },
+  
+  type: {
+    type: String,
+    enum: ['generation', 'variation', 'upscale', 'edit'],
+    default: 'generation'
+  },
+  
+  // Image operations: the design.operations entry the job runs
+  operationId: mongoose.Schema.Types.ObjectId,
+  
+  // Requested provider: the job isn't started while it has no free concurrency
+  // slot (the slots themselves are held per provider call, see jobs/providerSlots.js)
+  provider: {
+    type: String,
+    default: 'huggingface'
+  },
+  
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  
+  // Earliest time the job may be picked up (used for retry backoff)
+  runAt: { type: Date, default: Date.now },
+  
+  // Visibility timeout: a running job whose lock expired is picked up again
+  lockedBy: { type: String, default: null },
+  lockExpiresAt: { type: Date, default: null },
+  
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient claiming
+generationJobSchema.index({ status: 1, runAt: 1 });
+generationJobSchema.index({ status: 1, lockExpiresAt: 1 });
+generationJobSchema.index({ designId: 1 });
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
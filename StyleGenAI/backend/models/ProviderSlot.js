@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One of the concurrent requests a provider may serve (see jobs/providerSlots.js).
+// A slot is taken while it has a `holder` whose lease hasn't expired.
+const providerSlotSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+
+  slot: {
+    type: Number,
+    required: true
+  },
+
+  holder: { type: String, default: null },
+  expiresAt: { type: Date, default: null }
+});
+
+providerSlotSchema.index({ provider: 1, slot: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProviderSlot', providerSlotSchema);
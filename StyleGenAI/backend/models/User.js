@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseColor, FASHION_COLORS, MAX_DESIGN_COLORS, MAX_SAVED_PALETTES } = require('../colors');
 
 const userSchema = new mongoose.Schema({
   // Firebase UID for authentication
@@ -42,8 +43,22 @@ const userSchema = new mongoose.Schema({
       enum: ['casual', 'formal', 'business', 'party', 'wedding', 'vacation', 'sports', 'vintage', 'bohemian', 'minimalist', 'streetwear']
     }],
     
+    // Named palettes saved from the design form
     favoriteColors: [{
-      type: String
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 40
+      },
+      colors: [{
+        type: String,
+        match: /^#[0-9A-F]{6}$/
+      }],
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
     }],
     
     preferredMaterials: [{
@@ -96,6 +111,39 @@ const userSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// favoriteColors used to be a plain list of colour strings. Fold those into
+// "Saved colours" palettes as users are loaded, before Mongoose casts each
+// string into an empty palette that fails validation on the next save, and
+// write the palettes back with that save.
+const LEGACY_PALETTE_NAME = 'Saved colours';
+
+const legacyColor = (value) => parseColor(value)
+  || FASHION_COLORS.find(color => color.name === value.trim().toLowerCase())?.hex
+  || null;
+
+userSchema.pre('init', function(doc) {
+  const saved = doc.preferences?.favoriteColors;
+  if (!Array.isArray(saved) || !saved.some(entry => typeof entry === 'string')) return;
+
+  const palettes = saved.filter(entry => entry && typeof entry === 'object');
+  const colors = [...new Set(saved.filter(entry => typeof entry === 'string').map(legacyColor).filter(Boolean))];
+  for (let i = 0; i < colors.length && palettes.length < MAX_SAVED_PALETTES; i += MAX_DESIGN_COLORS) {
+    const part = i / MAX_DESIGN_COLORS + 1;
+    palettes.push({
+      name: part === 1 ? LEGACY_PALETTE_NAME : `${LEGACY_PALETTE_NAME} ${part}`,
+      colors: colors.slice(i, i + MAX_DESIGN_COLORS)
+    });
+  }
+  doc.preferences.favoriteColors = palettes;
+  this.$locals.legacyFavoriteColors = true;
+});
+
+userSchema.post('init', function() {
+  if (this.$locals.legacyFavoriteColors) {
+    this.markModified('preferences.favoriteColors');
+  }
+});
+
 // Update the updatedAt field before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,71 @@
+const { BLOCKLIST, COMBINATIONS, EXTRA_TERMS } = require('../config/moderation');
+
+// Common letter/number swaps used to dodge word lists ("n4k3d")
+const SWAPS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Lower-case, strip accents and punctuation, undo swaps: "Nakéd!" -> "naked"
+const normalizeText = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013457@$]/g, char => SWAPS[char])
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+};
+
+// Whole-word match for a term, allowing a plural ending and any spacing between words
+const termPattern = (term) => {
+  const words = normalizeText(term).split(' ').join('\\s+');
+  return new RegExp(`\\b${words}(?:s|es)?\\b`);
+};
+
+const compileTerms = (terms) => terms.map(term => ({ term, pattern: termPattern(term) }));
+
+const CATEGORIES = Object.entries({ ...BLOCKLIST, custom: EXTRA_TERMS })
+  .map(([category, terms]) => ({ category, terms: compileTerms(terms) }));
+
+const COMBINED = COMBINATIONS.map(({ category, terms, with: withTerms }) => ({
+  category,
+  terms: compileTerms(terms),
+  with: compileTerms(withTerms)
+}));
+
+const findTerms = (text, terms) => terms.filter(({ pattern }) => pattern.test(text)).map(({ term }) => term);
+
+// Prompt check against the configured word lists; returns the matched terms too
+const check = async (text) => {
+  const normalized = normalizeText(text);
+  const categories = [];
+  const matches = [];
+
+  CATEGORIES.forEach(({ category, terms }) => {
+    const found = findTerms(normalized, terms);
+    if (found.length > 0) {
+      categories.push(category);
+      matches.push(...found);
+    }
+  });
+
+  COMBINED.forEach(({ category, terms, with: withTerms }) => {
+    const found = findTerms(normalized, terms);
+    const alongside = found.length > 0 ? findTerms(normalized, withTerms) : [];
+    if (alongside.length > 0) {
+      categories.push(category);
+      matches.push(...found, ...alongside);
+    }
+  });
+
+  return {
+    flagged: categories.length > 0,
+    categories,
+    matches
+  };
+};
+
+module.exports = {
+  name: 'blocklist',
+  stage: 'prompt',
+  check,
+  normalizeText
+};
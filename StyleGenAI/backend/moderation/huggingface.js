@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+const { makeRequest } = require('../providers/http');
+const { CLASSIFIERS } = require('../config/moderation');
+
+const API_BASE = 'https://api-inference.huggingface.co/models';
+
+const isAvailable = () => Boolean(process.env.HUGGINGFACE_API_TOKEN);
+
+const callClassifier = async (model, body, contentType) => {
+  const response = await makeRequest(`${API_BASE}/${model}`, {
+    method: 'POST',
+    timeout: CLASSIFIERS.timeout,
+    headers: {
+      'Authorization': `Bearer ${process.env.HUGGINGFACE_API_TOKEN}`,
+      'Content-Type': contentType,
+      'User-Agent': 'StyleGenAI/1.0'
+    },
+    body
+  });
+
+  if (!response.ok) {
+    throw new Error(`Moderation classifier ${model} failed: ${response.status} ${await response.text()}`);
+  }
+
+  // Text classifiers nest the label list one level deeper than image classifiers
+  const scores = await response.json();
+  return Array.isArray(scores[0]) ? scores[0] : scores;
+};
+
+// Flag when any configured label scores at or above the threshold
+const toResult = (scores, { labels, threshold }) => {
+  const hits = scores.filter(({ label, score }) => labels.includes(String(label).toLowerCase()) && score >= threshold);
+  return {
+    flagged: hits.length > 0,
+    categories: hits.map(({ label }) => String(label).toLowerCase()),
+    score: Math.max(0, ...scores
+      .filter(({ label }) => labels.includes(String(label).toLowerCase()))
+      .map(({ score }) => score))
+  };
+};
+
+const textCheck = {
+  name: 'huggingface',
+  stage: 'prompt',
+  isAvailable,
+  check: async (text) => {
+    const scores = await callClassifier(CLASSIFIERS.text.model, JSON.stringify({ inputs: text }), 'application/json');
+    return toResult(scores, CLASSIFIERS.text);
+  }
+};
+
+// Classifiers only read raster images, so SVG placeholders are rendered first
+const imageCheck = {
+  name: 'huggingface',
+  stage: 'image',
+  isAvailable,
+  check: async ({ buffer }) => {
+    const png = await sharp(buffer).png().toBuffer();
+    const scores = await callClassifier(CLASSIFIERS.image.model, png, 'image/png');
+    return toResult(scores, CLASSIFIERS.image);
+  }
+};
+
+module.exports = {
+  textCheck,
+  imageCheck
+};
@@ -0,0 +1,144 @@
+const { loadImageBytes } = require('../storage');
+const { AppError } = require('../errors');
+const { PROMPT_CHECKS, IMAGE_CHECKS } = require('../config/moderation');
+const blocklist = require('./blocklist');
+const huggingface = require('./huggingface');
+
+// Outcome of moderation, from least to most severe. "unverified" means a
+// configured check could not run: the content is kept but never made public.
+const MODERATION_STATUSES = ['pending', 'approved', 'unverified', 'rejected'];
+
+const STAGES = ['prompt', 'image'];
+
+// Error codes recorded on a design (design.error.code) when it is rejected
+const REJECTION_CODES = {
+  prompt: 'PROMPT_REJECTED',
+  image: 'IMAGE_REJECTED'
+};
+
+class ModerationError extends AppError {
+  constructor(message, { stage, categories = [], moderation } = {}) {
+    super(message, { code: REJECTION_CODES[stage], details: { stage, categories } });
+    this.stage = stage;
+    this.categories = categories;
+    this.moderation = moderation;
+  }
+}
+ModerationError.type = 'moderation';
+ModerationError.defaultCode = 'CONTENT_REJECTED';
+ModerationError.statusCode = 422;
+
+const checks = {
+  prompt: new Map(),
+  image: new Map()
+};
+
+// Register a prompt or image check: { name, stage, check(input), isAvailable? }.
+// check() resolves to { flagged, categories, score? }; a prompt check gets the
+// text, an image check gets { buffer, mimeType }.
+const registerCheck = (moderationCheck) => {
+  if (!moderationCheck || !moderationCheck.name || !STAGES.includes(moderationCheck.stage)) {
+    throw new Error(`Moderation check must have a name and a stage (${STAGES.join(', ')})`);
+  }
+  if (typeof moderationCheck.check !== 'function') {
+    throw new Error(`Moderation check "${moderationCheck.name}" is missing: check`);
+  }
+
+  checks[moderationCheck.stage].set(moderationCheck.name, moderationCheck);
+};
+
+registerCheck(blocklist);
+registerCheck(huggingface.textCheck);
+registerCheck(huggingface.imageCheck);
+
+const worstStatus = (statuses) => {
+  return statuses.reduce((worst, status) => (
+    MODERATION_STATUSES.indexOf(status) > MODERATION_STATUSES.indexOf(worst) ? status : worst
+  ), 'approved');
+};
+
+// Run every configured check for a stage. A check that is unknown, unavailable
+// or throws makes the result "unverified" rather than blocking generation.
+const runChecks = async (stage, names, input) => {
+  const results = [];
+
+  for (const name of names) {
+    const moderationCheck = checks[stage].get(name);
+    const checkedAt = new Date();
+
+    if (!moderationCheck || (moderationCheck.isAvailable && !moderationCheck.isAvailable())) {
+      results.push({ name, stage, status: 'unverified', error: `${name} ${stage} check is not available`, checkedAt });
+      continue;
+    }
+
+    try {
+      const { flagged, categories = [], score } = await moderationCheck.check(input);
+      results.push({ name, stage, status: flagged ? 'rejected' : 'approved', categories, score, checkedAt });
+    } catch (error) {
+      console.warn(`⚠️ ${name} ${stage} check failed:`, error.message);
+      results.push({ name, stage, status: 'unverified', error: error.message, checkedAt });
+    }
+  }
+
+  return {
+    status: worstStatus(results.map(result => result.status)),
+    stage,
+    categories: [...new Set(results.flatMap(result => result.categories || []))],
+    checks: results
+  };
+};
+
+// Check prompt text written by the user (a custom prompt or an edit instruction)
+const moderatePrompt = async (text, { names = PROMPT_CHECKS } = {}) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    return { status: 'approved', stage: 'prompt', categories: [], checks: [] };
+  }
+  return runChecks('prompt', names, trimmed);
+};
+
+// Check a generated image before it is stored. The loaded bytes are returned
+// with the result so the caller can store them without downloading twice.
+// With no image check configured, nothing vouches for the image: unverified.
+const moderateImage = async (image, { names = IMAGE_CHECKS } = {}) => {
+  const bytes = await loadImageBytes(image);
+  if (names.length === 0) {
+    return { status: 'unverified', stage: 'image', categories: [], checks: [], image: bytes };
+  }
+  return { ...await runChecks('image', names, bytes), image: bytes };
+};
+
+// Fold a stage result into a design's moderation record. A rejected image is
+// dropped instead of stored, so it is counted but doesn't change the status.
+const mergeModeration = (current = {}, result) => {
+  const droppedImage = result.stage === 'image' && result.status === 'rejected';
+  const statuses = [current.status, droppedImage ? null : result.status]
+    .filter(status => status && status !== 'pending');
+  const status = statuses.length > 0 ? worstStatus(statuses) : 'pending';
+
+  return {
+    status,
+    stage: status === 'rejected' ? (current.stage || result.stage) : undefined,
+    categories: [...new Set([...(current.categories || []), ...result.categories])],
+    checks: [...Array.from(current.checks || []), ...result.checks],
+    rejectedImages: (current.rejectedImages || 0) + (droppedImage ? 1 : 0)
+  };
+};
+
+const rejectionError = (result) => {
+  const message = result.stage === 'prompt'
+    ? 'This prompt was blocked by our content policy. Please rephrase it.'
+    : 'The generated image was blocked by our content policy.';
+  return new ModerationError(message, { stage: result.stage, categories: result.categories, moderation: result });
+};
+
+module.exports = {
+  registerCheck,
+  moderatePrompt,
+  moderateImage,
+  mergeModeration,
+  rejectionError,
+  ModerationError,
+  MODERATION_STATUSES,
+  REJECTION_CODES
+};
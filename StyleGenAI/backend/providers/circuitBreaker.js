@@ -0,0 +1,72 @@
+// Per-provider circuit breaker.
+// closed    -> requests flow normally, consecutive failures are counted
+// open      -> requests are skipped until resetTimeout has elapsed
+// half-open -> a single trial request decides whether to close or re-open;
+//              other requests are rejected until it settles
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, resetTimeout = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  // In half-open state the caller that gets `true` is the trial request and
+  // must settle it with recordSuccess, recordFailure or endTrial
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  // The trial ended without a result (e.g. the job crashed): let another request try
+  endTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.trialInFlight = false;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.trialInFlight = false;
+    this.failures++;
+    this.lastError = error?.message || null;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.log(`🔌 Circuit opened for ${this.name} after ${this.failures} failure(s)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      trialInFlight: this.trialInFlight,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
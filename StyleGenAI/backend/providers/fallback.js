@@ -0,0 +1,137 @@
+const { getProvider, hasProvider } = require('./registry');
+const { ProviderError, delay } = require('./http');
+const CircuitBreaker = require('./circuitBreaker');
+const { CIRCUIT_BREAKER } = require('../config/providerChain');
+
+const breakers = new Map();
+
+const getBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, CIRCUIT_BREAKER));
+  }
+  return breakers.get(name);
+};
+
+const getCircuitStates = () => Array.from(breakers.values()).map(breaker => breaker.toJSON());
+
+// Run `call(signal)` with a deadline. When it passes, the signal is aborted so
+// the provider's HTTP request is cancelled instead of left running.
+const withTimeout = (call, ms, provider) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new ProviderError(`${provider} timed out after ${ms}ms`, { provider, status: 504, code: 'PROVIDER_TIMEOUT' });
+      reject(error);
+      controller.abort(error);
+    }, ms);
+  });
+
+  return Promise.race([call(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+// Longest a step can take: every attempt timing out, with the delays in between
+const stepDuration = (step) => (step.retries + 1) * (step.timeout + step.retryDelay);
+
+// Try each step of the chain in order until one provider returns an image.
+// Resolves with the result, the provider that produced it and every attempt made.
+// onEvent(type, data) is awaited for 'provider-switched' and 'retrying'.
+// acquire(provider, { lease }), when given, is awaited before each step and
+// resolves to a release function; the queue uses it for per-provider caps.
+// `method` picks the provider call (generate, or an image operation such as upscale).
+const runChain = async (chain, { onEvent, acquire, method = 'generate', ...request }) => {
+  const attempts = [];
+  let previousProvider = null;
+
+  for (const step of chain) {
+    const name = step.provider;
+
+    if (!hasProvider(name)) {
+      attempts.push({ provider: name, status: 'skipped', error: 'Unknown provider' });
+      continue;
+    }
+
+    const provider = getProvider(name);
+    if (!provider.isAvailable()) {
+      attempts.push({ provider: name, status: 'skipped', error: 'Provider not configured' });
+      continue;
+    }
+
+    const breaker = getBreaker(name);
+    if (!breaker.canRequest()) {
+      const reason = breaker.state === 'half-open' ? 'Circuit half-open, trial request in progress' : 'Circuit open';
+      console.log(`⏭️  Skipping ${provider.displayName}: ${reason.toLowerCase()}`);
+      attempts.push({ provider: name, status: 'skipped', error: reason });
+      continue;
+    }
+    // This request is the half-open trial; it must be settled whatever happens
+    const isTrial = breaker.state === 'half-open';
+
+    // The step holds one of the provider's concurrency slots, retries included
+    let release = null;
+    try {
+      if (previousProvider && onEvent) {
+        await onEvent('provider-switched', { from: previousProvider, to: name });
+      }
+      previousProvider = name;
+
+      release = acquire ? await acquire(name, { lease: stepDuration(step) }) : null;
+      for (let attempt = 1; attempt <= step.retries + 1; attempt++) {
+        const startTime = Date.now();
+
+        try {
+          const result = await withTimeout(
+            signal => provider[method]({ ...request, timeout: step.timeout, signal }),
+            step.timeout,
+            name
+          );
+          breaker.recordSuccess();
+          attempts.push({ provider: name, attempt, status: 'succeeded', duration: Date.now() - startTime });
+          return { result, provider: name, attempts };
+        } catch (error) {
+          attempts.push({
+            provider: name,
+            attempt,
+            status: 'failed',
+            statusCode: error.status,
+            error: error.message,
+            duration: Date.now() - startTime
+          });
+
+          const canRetry = step.retryOn.includes(error.status) && attempt <= step.retries;
+          if (!canRetry) {
+            console.log(`⚠️ ${provider.displayName} failed: ${error.message}`);
+            breaker.recordFailure(error);
+            break;
+          }
+
+          console.log(`⏳ ${provider.displayName} returned ${error.status}, retrying (${attempt}/${step.retries})...`);
+          if (onEvent) {
+            await onEvent('retrying', { provider: name, attempt, statusCode: error.status, delay: step.retryDelay });
+          }
+          await delay(step.retryDelay);
+        }
+      }
+    } finally {
+      if (isTrial) {
+        breaker.endTrial();
+      }
+      if (release) {
+        await release().catch(error => console.error(`Failed to release ${name} slot:`, error.message));
+      }
+    }
+  }
+
+  const lastFailure = [...attempts].reverse().find(attempt => attempt.status === 'failed');
+  const error = new ProviderError(
+    `All image providers failed${lastFailure ? `: ${lastFailure.error}` : ''}`,
+    { code: 'ALL_PROVIDERS_FAILED', status: lastFailure?.statusCode }
+  );
+  error.attempts = attempts;
+  throw error;
+};
+
+module.exports = {
+  runChain,
+  getCircuitStates
+};
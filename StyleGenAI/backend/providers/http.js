@@ -0,0 +1,72 @@
+const https = require('https');
+const { ProviderError } = require('../errors');
+
+// Simple HTTPS request helper shared by the image providers.
+// `options.signal` (an AbortSignal) cancels the request.
+const makeRequest = (url, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const { signal } = options;
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const req = https.request({
+      hostname: urlObj.hostname,
+      port: 443,
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => {
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: {
+            get: (name) => res.headers[name.toLowerCase()],
+            'content-type': res.headers['content-type']
+          },
+          buffer: () => Promise.resolve(data),
+          text: () => Promise.resolve(data.toString()),
+          json: () => Promise.resolve(JSON.parse(data.toString()))
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+
+    if (signal) {
+      const abort = () => req.destroy(signal.reason);
+      signal.addEventListener('abort', abort, { once: true });
+      req.on('close', () => signal.removeEventListener('abort', abort));
+    }
+
+    if (options.timeout) {
+      req.setTimeout(options.timeout, () => {
+        req.destroy(new Error(`Request timed out after ${options.timeout}ms`));
+      });
+    }
+
+    if (options.body) {
+      req.write(options.body);
+    }
+
+    req.end();
+  });
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  makeRequest,
+  ProviderError,
+  delay
+};
@@ -0,0 +1,311 @@
+const { makeRequest, ProviderError } = require('./http');
+const { schedulerFor } = require('./parameters');
+
+const API_BASE = 'https://api-inference.huggingface.co/models';
+
+// Available fashion/image generation models on Hugging Face
+const MODELS = {
+  // Stable Diffusion XL for high-quality fashion images
+  'sdxl': 'stabilityai/stable-diffusion-xl-base-1.0',
+
+  // Stable Diffusion 2.1 for general image generation
+  'sd21': 'stabilityai/stable-diffusion-2-1',
+
+  // FLUX for artistic fashion designs
+  'flux': 'black-forest-labs/FLUX.1-schnell',
+
+  // Realistic Vision for photorealistic designs
+  'realistic': 'SG161222/Realistic_Vision_V4.0'
+};
+
+// Image-to-image models used for operations on an existing design
+const IMAGE_MODELS = {
+  variation: 'stabilityai/stable-diffusion-xl-refiner-1.0',
+  reference: 'stabilityai/stable-diffusion-xl-refiner-1.0',
+  edit: 'timbrooks/instruct-pix2pix'
+};
+
+const MODEL_DESCRIPTIONS = {
+  'sdxl': 'Stable Diffusion XL - High quality, detailed fashion designs',
+  'sd21': 'Stable Diffusion 2.1 - Fast, reliable fashion generation',
+  'flux': 'FLUX Schnell - Artistic and creative fashion designs',
+  'realistic': 'Realistic Vision - Photorealistic fashion designs'
+};
+
+let hfToken = null;
+
+const initialize = () => {
+  if (!process.env.HUGGINGFACE_API_TOKEN) {
+    console.log(' Hugging Face API token not found');
+    console.log(' To enable AI generation:');
+    console.log('   1. Get a free API token from https://huggingface.co/settings/tokens');
+    console.log('   2. Set HUGGINGFACE_API_TOKEN in your .env file');
+    return false;
+  }
+
+  hfToken = process.env.HUGGINGFACE_API_TOKEN;
+  console.log('Hugging Face AI client initialized successfully (FREE!)');
+  return true;
+};
+
+const isAvailable = () => Boolean(hfToken);
+
+const callModel = (modelId, body, { timeout, signal } = {}) => {
+  return makeRequest(`${API_BASE}/${modelId}`, {
+    method: 'POST',
+    timeout,
+    signal,
+    headers: {
+      'Authorization': `Bearer ${hfToken}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'StyleGenAI/1.0'
+    },
+    body: JSON.stringify(body)
+  });
+};
+
+const ensureInitialized = () => {
+  if (!hfToken) {
+    throw new ProviderError('Hugging Face client not initialized. Please check your API token.', {
+      provider: 'huggingface',
+      code: 'PROVIDER_NOT_CONFIGURED'
+    });
+  }
+};
+
+// Turn an Inference API response into image bytes, mapping failures to ProviderErrors
+const readImageResponse = async (response) => {
+  if (!response.ok) {
+    const errorText = await response.text();
+
+    let message = `Hugging Face API error: ${response.status} ${errorText}`;
+    if (response.status === 401) {
+      message = 'Invalid Hugging Face API token. Please check your configuration.';
+    } else if (response.status === 503) {
+      message = 'Model is loading. Please try again in 1-2 minutes.';
+    } else if (response.status === 429) {
+      message = 'Rate limit exceeded. Please try again in a few minutes.';
+    }
+
+    throw new ProviderError(message, { provider: 'huggingface', status: response.status });
+  }
+
+  // Check if response is an image
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('image')) {
+    const errorText = await response.text();
+    throw new ProviderError(`Expected image response, got: ${contentType}. Response: ${errorText}`, {
+      provider: 'huggingface'
+    });
+  }
+
+  return {
+    buffer: await response.buffer(),
+    mimeType: contentType.split(';')[0]
+  };
+};
+
+// Generate an image on the Hugging Face Inference API
+// Retries for 503 (model loading) / 429 are handled by the fallback chain
+const generate = async ({
+  prompt,
+  model = 'sdxl',
+  width = 1024,
+  height = 1024,
+  timeout = 120000,
+  seed,
+  negativePrompt,
+  scheduler,
+  steps = 30,
+  guidance = 7.5,
+  reference,
+  signal
+}) => {
+  ensureInitialized();
+
+  if (reference) {
+    return generateFromReference({ prompt, timeout, signal, seed, negativePrompt, steps, guidance, reference });
+  }
+
+  const modelId = MODELS[model] || MODELS.sdxl;
+  const startTime = Date.now();
+
+  const response = await callModel(modelId, {
+    inputs: prompt,
+    parameters: {
+      num_inference_steps: steps,
+      guidance_scale: guidance,
+      width,
+      height,
+      seed,
+      negative_prompt: negativePrompt,
+      scheduler: schedulerFor(scheduler, 'huggingface')
+    },
+    // Identical prompts are cached by the Inference API; candidates need fresh images
+    options: {
+      use_cache: false
+    }
+  }, { timeout, signal });
+
+  const image = await readImageResponse(response);
+
+  return {
+    image,
+    metadata: {
+      model,
+      modelId,
+      size: `${width}x${height}`,
+      parameters: { seed, negativePrompt, scheduler, steps, guidance },
+      generationTime: Date.now() - startTime,
+      cost: estimateCost({ model })
+    }
+  };
+};
+
+// Generate from an inspiration image: the refiner runs image-to-image from
+// the reference, with `reference.strength` deciding how far it may drift
+const generateFromReference = async ({ prompt, timeout = 120000, signal, seed, negativePrompt, steps, guidance, reference }) => {
+  const modelId = IMAGE_MODELS.reference;
+  const startTime = Date.now();
+
+  const response = await callModel(modelId, {
+    inputs: reference.image.buffer.toString('base64'),
+    parameters: {
+      prompt,
+      strength: reference.strength,
+      num_inference_steps: steps,
+      guidance_scale: guidance,
+      seed,
+      negative_prompt: negativePrompt
+    },
+    options: {
+      use_cache: false
+    }
+  }, { timeout, signal });
+
+  return {
+    image: await readImageResponse(response),
+    metadata: {
+      model: 'sdxl',
+      modelId,
+      parameters: { seed, negativePrompt, steps, guidance },
+      reference: { mode: reference.mode, strength: reference.strength },
+      generationTime: Date.now() - startTime,
+      cost: estimateCost()
+    }
+  };
+};
+
+// Image-to-image call: the source image goes in base64 as `inputs`
+const transform = async (operation, { image, parameters, timeout = 120000, signal }) => {
+  ensureInitialized();
+
+  const modelId = IMAGE_MODELS[operation];
+  const startTime = Date.now();
+
+  const response = await callModel(modelId, {
+    inputs: image.buffer.toString('base64'),
+    parameters,
+    options: {
+      use_cache: false
+    }
+  }, { timeout, signal });
+
+  return {
+    image: await readImageResponse(response),
+    metadata: {
+      model: operation,
+      modelId,
+      generationTime: Date.now() - startTime,
+      cost: 0
+    }
+  };
+};
+
+// Re-render the design with the refiner, keeping its overall composition
+const createVariation = ({ image, prompt, strength = 0.6, timeout, signal }) => {
+  return transform('variation', {
+    image,
+    timeout,
+    signal,
+    parameters: { prompt, strength }
+  });
+};
+
+// Apply a natural-language instruction ("make the jacket red") with InstructPix2Pix
+const edit = ({ image, instruction, timeout, signal }) => {
+  return transform('edit', {
+    image,
+    timeout,
+    signal,
+    parameters: { prompt: instruction }
+  });
+};
+
+// Test Hugging Face connection with a small, cheap request
+const test = async () => {
+  if (!hfToken) {
+    return { success: false, error: 'Hugging Face client not initialized' };
+  }
+
+  console.log(' Testing Hugging Face connection...');
+
+  const response = await callModel(MODELS.sdxl, {
+    inputs: 'A simple red dress, fashion illustration',
+    parameters: {
+      num_inference_steps: 10,
+      width: 512,
+      height: 512
+    }
+  });
+
+  if (response.ok) {
+    return {
+      success: true,
+      message: 'Hugging Face connection successful (FREE!)',
+      model: MODELS.sdxl
+    };
+  }
+
+  const errorText = await response.text();
+  return {
+    success: false,
+    error: `Connection test failed: ${response.status} ${errorText}`
+  };
+};
+
+const listModels = () => {
+  return Object.keys(MODELS).map(key => ({
+    id: key,
+    name: key.toUpperCase(),
+    modelId: MODELS[key],
+    description: MODEL_DESCRIPTIONS[key] || 'Fashion design generation model',
+    cost: 'FREE'
+  }));
+};
+
+const capabilities = {
+  textToImage: true,
+  imageToImage: true,
+  variations: true,
+  upscale: false,
+  edit: true,
+  maxImages: 1
+};
+
+// The Inference API free tier doesn't bill per image
+const estimateCost = () => 0;
+
+module.exports = {
+  name: 'huggingface',
+  displayName: 'Hugging Face',
+  initialize,
+  isAvailable,
+  generate,
+  createVariation,
+  edit,
+  test,
+  listModels,
+  capabilities,
+  estimateCost
+};
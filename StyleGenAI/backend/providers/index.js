@@ -0,0 +1,193 @@
+const { ProviderError } = require('./http');
+const { buildPrompt } = require('./prompts');
+const registry = require('./registry');
+const { runChain, getCircuitStates } = require('./fallback');
+const { candidateSeed } = require('./parameters');
+const { getProviderChain } = require('../config/providerChain');
+
+// Build the prompt from user preferences and generate with a single provider
+const generateDesign = async (preferences, options = {}) => {
+  const { provider: providerName = registry.getDefaultProviderName(), template, assignmentKey, custom, ...generateOptions } = options;
+  const provider = registry.getProvider(providerName);
+  if (generateOptions.reference && !provider.capabilities.imageToImage) {
+    throw new ProviderError(`${provider.displayName} can't generate from an inspiration image`, { code: 'REFERENCE_NOT_SUPPORTED', status: 501 });
+  }
+  const built = buildPrompt(preferences, { model: generateOptions.model, template, assignmentKey, custom });
+
+  console.log(`🎨 Generating design with ${provider.displayName}...`);
+  console.log('📝 Prompt:', built.prompt);
+
+  const result = await provider.generate({
+    ...generateOptions,
+    negativePrompt: generateOptions.negativePrompt ?? built.negativePrompt,
+    prompt: built.prompt,
+    preferences
+  });
+
+  return {
+    success: true,
+    image: {
+      ...result.image,
+      originalPrompt: built.prompt
+    },
+    metadata: {
+      ...result.metadata,
+      provider: provider.name,
+      promptTemplate: built.template
+    }
+  };
+};
+
+// Build the prompt once and walk the configured fallback chain.
+// `template` forces a prompt template ("name@version"); otherwise it is picked
+// per model family, with `assignmentKey` (the design id) deciding A/B variants.
+// `custom` is the user's own prompt text (see prompts/custom.js).
+// Pass `prompt` + `promptTemplate` to reuse a recorded prompt instead.
+// With a `reference` ({ image, mode, strength }) only image-to-image capable
+// providers are tried, so the result always follows the inspiration image.
+const generateWithFallback = async (preferences, options = {}) => {
+  const {
+    provider,
+    chain: requestedChain = getProviderChain(provider),
+    prompt: recordedPrompt,
+    promptTemplate: recordedTemplate,
+    template,
+    assignmentKey,
+    custom,
+    ...generateOptions
+  } = options;
+  const built = recordedPrompt
+    ? { prompt: recordedPrompt, template: recordedTemplate }
+    : buildPrompt(preferences, { model: generateOptions.model, template, assignmentKey, custom });
+  const prompt = built.prompt;
+
+  const chain = generateOptions.reference
+    ? requestedChain.filter(step => (
+      registry.hasProvider(step.provider) && registry.getProvider(step.provider).capabilities.imageToImage
+    ))
+    : requestedChain;
+  if (chain.length === 0) {
+    throw new ProviderError('No configured image provider can generate from an inspiration image', { code: 'REFERENCE_NOT_SUPPORTED', status: 501 });
+  }
+
+  console.log('🎨 Generating design via', chain.map(step => step.provider).join(' → '));
+  console.log('📝 Prompt:', prompt);
+
+  // A template's negative prompt applies unless the request brings its own
+  const { result, provider: usedProvider, attempts } = await runChain(chain, {
+    ...generateOptions,
+    negativePrompt: generateOptions.negativePrompt ?? built.negativePrompt,
+    prompt,
+    preferences
+  });
+
+  return {
+    success: true,
+    image: {
+      ...result.image,
+      originalPrompt: prompt
+    },
+    metadata: {
+      ...result.metadata,
+      provider: usedProvider,
+      promptTemplate: built.template,
+      attempts,
+      fallbackUsed: usedProvider !== chain[0].provider
+    }
+  };
+};
+
+// Generate `count` candidates for the same preferences, one after the other
+// with a chain run each (with `acquire`, each provider call holds its own
+// concurrency slot). Candidate n uses seed + n. Only the first candidate is required;
+// later failures are reported through onCandidate and the rest are kept.
+const generateCandidates = async (preferences, options = {}) => {
+  const { count = 1, onCandidate, ...generateOptions } = options;
+  const results = [];
+
+  for (let candidate = 0; candidate < count; candidate++) {
+    try {
+      const seed = generateOptions.seed !== undefined ? candidateSeed(generateOptions.seed, candidate) : undefined;
+      const result = await generateWithFallback(preferences, { ...generateOptions, candidate, seed });
+      if (onCandidate) {
+        await onCandidate({ candidate, count, result });
+      }
+      results.push(result);
+    } catch (error) {
+      if (results.length === 0) {
+        throw error;
+      }
+      console.warn(`⚠️ Candidate ${candidate + 1}/${count} failed:`, error.message);
+      if (onCandidate) {
+        await onCandidate({ candidate, count, error });
+      }
+    }
+  }
+
+  return results;
+};
+
+// Run an operation (variation, upscale, edit) on an existing image, walking the
+// chain but only through configured providers that declare the matching capability.
+// `request.image` is `{ buffer, mimeType }` of a raster source image.
+const transformImage = async (operation, request, options = {}) => {
+  const definition = registry.OPERATIONS[operation];
+  if (!definition) {
+    throw new ProviderError(`Unknown image operation: ${operation}`, { code: 'UNKNOWN_OPERATION', status: 400 });
+  }
+
+  const chain = getProviderChain(options.provider).filter(step => {
+    if (!registry.hasProvider(step.provider)) return false;
+    const provider = registry.getProvider(step.provider);
+    return provider.capabilities[definition.capability] && provider.isAvailable();
+  });
+  if (chain.length === 0) {
+    throw new ProviderError(`No configured image provider supports ${operation}`, { code: 'OPERATION_NOT_SUPPORTED', status: 501 });
+  }
+
+  console.log(`🪄 Running ${operation} via`, chain.map(step => step.provider).join(' → '));
+
+  const { result, provider, attempts } = await runChain(chain, {
+    ...request,
+    onEvent: options.onEvent,
+    acquire: options.acquire,
+    method: definition.method
+  });
+
+  return {
+    success: true,
+    image: result.image,
+    metadata: {
+      ...result.metadata,
+      operation,
+      provider,
+      attempts
+    }
+  };
+};
+
+const testProvider = async (name) => {
+  try {
+    return await registry.getProvider(name).test();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+const estimateCost = (name, options = {}) => registry.getProvider(name).estimateCost(options);
+
+registry.registerProvider(require('./huggingface'));
+registry.registerProvider(require('./replicate'));
+registry.registerProvider(require('./placeholder'));
+
+module.exports = {
+  ...registry,
+  generateDesign,
+  generateWithFallback,
+  generateCandidates,
+  transformImage,
+  getCircuitStates,
+  testProvider,
+  estimateCost,
+  ProviderError
+};
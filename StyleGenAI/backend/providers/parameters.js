@@ -0,0 +1,117 @@
+// Sampling parameters accepted by /generate and recorded on the Design so a
+// generation can be reproduced. Providers translate them to their own inputs.
+
+// Provider-neutral scheduler names and what each provider calls them
+const SCHEDULERS = {
+  'euler': { huggingface: 'EulerDiscreteScheduler', replicate: 'K_EULER' },
+  'euler-ancestral': { huggingface: 'EulerAncestralDiscreteScheduler', replicate: 'K_EULER_ANCESTRAL' },
+  'ddim': { huggingface: 'DDIMScheduler', replicate: 'DDIM' },
+  'dpm-multistep': { huggingface: 'DPMSolverMultistepScheduler', replicate: 'DPMSolverMultistep' },
+  'heun': { huggingface: 'HeunDiscreteScheduler', replicate: 'HeunDiscrete' },
+  'pndm': { huggingface: 'PNDMScheduler', replicate: 'PNDM' }
+};
+
+const LIMITS = {
+  maxSeed: 4294967295, // 32-bit unsigned, what the diffusers pipelines accept
+  negativePromptLength: 500,
+  steps: { min: 1, max: 100 },
+  guidance: { min: 0, max: 20 }
+};
+
+// How an inspiration image steers a generation. Both run as image-to-image;
+// `strength` is how far the result may move away from the reference, so
+// 'style' keeps mostly the colours and texture while 'img2img' also keeps the silhouette.
+const REFERENCE_MODES = {
+  'img2img': { defaultStrength: 0.55 },
+  'style': { defaultStrength: 0.8 }
+};
+
+const randomSeed = () => Math.floor(Math.random() * LIMITS.maxSeed);
+
+// Each candidate of a multi-image request gets its own, derivable seed
+const candidateSeed = (seed, candidate = 0) => (seed + candidate) % (LIMITS.maxSeed + 1);
+
+const schedulerFor = (scheduler, provider) => (SCHEDULERS[scheduler] || {})[provider];
+
+// Validate the optional parameters from a request body. Returns
+// `{ parameters, errors }`; a random seed is picked when none is given.
+const parseGenerationParameters = ({ seed, negativePrompt, scheduler, steps, guidance } = {}) => {
+  const errors = [];
+  const parameters = {};
+
+  if (seed === undefined || seed === null || seed === '') {
+    parameters.seed = randomSeed();
+  } else if (Number.isInteger(Number(seed)) && Number(seed) >= 0 && Number(seed) <= LIMITS.maxSeed) {
+    parameters.seed = Number(seed);
+  } else {
+    errors.push(`seed must be a whole number between 0 and ${LIMITS.maxSeed}`);
+  }
+
+  if (negativePrompt !== undefined && negativePrompt !== null && negativePrompt !== '') {
+    if (typeof negativePrompt !== 'string' || negativePrompt.length > LIMITS.negativePromptLength) {
+      errors.push(`negativePrompt must be text of at most ${LIMITS.negativePromptLength} characters`);
+    } else {
+      parameters.negativePrompt = negativePrompt.trim();
+    }
+  }
+
+  if (scheduler !== undefined && scheduler !== null && scheduler !== '') {
+    if (!SCHEDULERS[scheduler]) {
+      errors.push(`scheduler must be one of: ${Object.keys(SCHEDULERS).join(', ')}`);
+    } else {
+      parameters.scheduler = scheduler;
+    }
+  }
+
+  if (steps !== undefined && steps !== null && steps !== '') {
+    const value = Number(steps);
+    if (!Number.isInteger(value) || value < LIMITS.steps.min || value > LIMITS.steps.max) {
+      errors.push(`steps must be a whole number between ${LIMITS.steps.min} and ${LIMITS.steps.max}`);
+    } else {
+      parameters.steps = value;
+    }
+  }
+
+  if (guidance !== undefined && guidance !== null && guidance !== '') {
+    const value = Number(guidance);
+    if (!Number.isFinite(value) || value < LIMITS.guidance.min || value > LIMITS.guidance.max) {
+      errors.push(`guidance must be a number between ${LIMITS.guidance.min} and ${LIMITS.guidance.max}`);
+    } else {
+      parameters.guidance = value;
+    }
+  }
+
+  return { parameters, errors };
+};
+
+// Validate the reference mode and strength sent with an inspiration image.
+// Returns `{ reference: { mode, strength }, errors }`.
+const parseReferenceParameters = ({ mode = 'img2img', strength } = {}) => {
+  const errors = [];
+
+  if (!REFERENCE_MODES[mode]) {
+    errors.push(`inspiration mode must be one of: ${Object.keys(REFERENCE_MODES).join(', ')}`);
+    return { reference: null, errors };
+  }
+
+  if (strength === undefined || strength === null || strength === '') {
+    return { reference: { mode, strength: REFERENCE_MODES[mode].defaultStrength }, errors };
+  }
+
+  const value = Number(strength);
+  if (!Number.isFinite(value) || value <= 0 || value >= 1) {
+    errors.push('inspiration strength must be a number between 0 and 1');
+  }
+  return { reference: { mode, strength: value }, errors };
+};
+
+module.exports = {
+  SCHEDULERS,
+  REFERENCE_MODES,
+  LIMITS,
+  randomSeed,
+  candidateSeed,
+  schedulerFor,
+  parseGenerationParameters,
+  parseReferenceParameters
+};
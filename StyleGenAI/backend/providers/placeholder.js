@@ -0,0 +1,129 @@
+// Offline provider that renders an SVG mock-up from the user's choices.
+// Used for demo mode and as the last resort when every AI provider fails.
+const sharp = require('sharp');
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;'
+}[char]));
+
+const renderSvg = ({ width, height, colors, title, subtitle, note }) => {
+  const [from, to] = [colors[0], colors[1] || colors[0]];
+
+  return `
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <linearGradient id="grad1" x1="0%" y1="0%" x2="100%" y2="100%">
+          <stop offset="0%" style="stop-color:${from};stop-opacity:1" />
+          <stop offset="100%" style="stop-color:${to};stop-opacity:1" />
+        </linearGradient>
+      </defs>
+      <rect width="100%" height="100%" fill="url(#grad1)" />
+      <text x="50%" y="45%" text-anchor="middle" font-family="Arial, sans-serif" font-size="48" fill="white" font-weight="bold">
+        ${escapeXml(title)}
+      </text>
+      <text x="50%" y="55%" text-anchor="middle" font-family="Arial, sans-serif" font-size="32" fill="white">
+        ${escapeXml(subtitle)}
+      </text>
+      <text x="50%" y="65%" text-anchor="middle" font-family="Arial, sans-serif" font-size="24" fill="rgba(255,255,255,0.8)">
+        ${escapeXml(note)}
+      </text>
+    </svg>
+  `;
+};
+
+const initialize = () => true;
+
+const isAvailable = () => true;
+
+const toHex = (channels) => `#${Array.from(channels, c => c.toString(16).padStart(2, '0')).join('')}`;
+
+// Average colour of the left and right halves of an inspiration image
+const referenceColors = async (image) => {
+  const pixels = await sharp(image.buffer)
+    .removeAlpha()
+    .resize(2, 1, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  return [toHex(pixels.subarray(0, 3)), toHex(pixels.subarray(3, 6))];
+};
+
+const generate = async ({ preferences = {}, width = 1024, height = 1024, candidate = 0, reference, note = 'Demo Mode - Get Hugging Face API Token' }) => {
+  const { gender = 'unisex', occasion = 'casual', style = 'modern' } = preferences;
+  const colors = (preferences.colors || []).filter(color => HEX_COLOR.test(color));
+
+  // A reference image leads the palette so the mock-up visibly follows it
+  if (reference) {
+    colors.unshift(...await referenceColors(reference.image));
+  }
+  if (colors.length === 0) {
+    colors.push('#FF6B6B', '#4ECDC4');
+  }
+
+  // Rotate the palette so multiple candidates don't come out identical
+  const shift = candidate % colors.length;
+  colors.push(...colors.splice(0, shift));
+
+  const svg = renderSvg({
+    width,
+    height,
+    colors,
+    title: `${style.toUpperCase()} ${occasion.toUpperCase()}`,
+    subtitle: `${gender} Fashion Design`,
+    note
+  });
+
+  return {
+    image: {
+      buffer: Buffer.from(svg),
+      mimeType: 'image/svg+xml'
+    },
+    metadata: {
+      model: 'placeholder',
+      size: `${width}x${height}`,
+      reference: reference ? { mode: reference.mode, strength: reference.strength } : undefined,
+      generationTime: 0,
+      cost: 0
+    }
+  };
+};
+
+const test = async () => ({
+  success: true,
+  message: 'Placeholder provider is always available'
+});
+
+const listModels = () => [{
+  id: 'placeholder',
+  name: 'PLACEHOLDER',
+  description: 'Demo mode - SVG mock-up using your selected colors',
+  cost: 'FREE'
+}];
+
+const capabilities = {
+  textToImage: true,
+  imageToImage: true,
+  variations: false,
+  upscale: false,
+  edit: false,
+  maxImages: 1
+};
+
+const estimateCost = () => 0;
+
+module.exports = {
+  name: 'placeholder',
+  displayName: 'Demo Placeholder',
+  initialize,
+  isAvailable,
+  generate,
+  test,
+  listModels,
+  capabilities,
+  estimateCost
+};
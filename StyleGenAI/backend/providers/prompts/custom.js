@@ -0,0 +1,67 @@
+// User-written prompt text. Precedence:
+//  - 'merge' (default): the structured choices (garment, colours, style...)
+//    come first and define the outfit; the custom text follows as extra detail
+//    (placed by the template, see templates.js) and the template's negative
+//    prompt still applies. Weighting and escape syntax is stripped so the text
+//    can't outweigh the structured part.
+//  - 'override' (expert mode): the custom text is the whole prompt, as written;
+//    no template is used and only the request's own negative prompt applies.
+
+const PROMPT_MODES = ['merge', 'override'];
+
+const CUSTOM_PROMPT_LIMITS = {
+  merge: 300,
+  override: 1000
+};
+
+// Control characters and newlines become spaces in both modes
+const collapseWhitespace = (text) => text.replace(/[\u0000-\u001f\u007f\s]+/g, ' ').trim();
+
+// (word:1.4), [word], {word}, <lora:...> and | alternation
+const stripPromptSyntax = (text) => text
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/:\s*-?\d+(\.\d+)?(?=\s*\))/g, '')
+  .replace(/[()[\]{}<>|\\]/g, ' ');
+
+// Validate `customPrompt` + `promptMode` from a request body.
+// Returns `{ custom: { text, mode } | null, errors }`.
+const parseCustomPrompt = ({ customPrompt, promptMode = 'merge' } = {}) => {
+  const errors = [];
+
+  if (!PROMPT_MODES.includes(promptMode)) {
+    errors.push(`promptMode must be one of: ${PROMPT_MODES.join(', ')}`);
+    return { custom: null, errors };
+  }
+
+  if (customPrompt === undefined || customPrompt === null || customPrompt === '') {
+    if (promptMode === 'override') {
+      errors.push('customPrompt is required when promptMode is override');
+    }
+    return { custom: null, errors };
+  }
+
+  if (typeof customPrompt !== 'string') {
+    errors.push('customPrompt must be text');
+    return { custom: null, errors };
+  }
+
+  const text = promptMode === 'merge'
+    ? collapseWhitespace(stripPromptSyntax(customPrompt)).replace(/\s+([,.;])/g, '$1')
+    : collapseWhitespace(customPrompt);
+  const limit = CUSTOM_PROMPT_LIMITS[promptMode];
+
+  if (text.length > limit) {
+    errors.push(`customPrompt must be at most ${limit} characters in ${promptMode} mode`);
+  }
+  if (!text) {
+    return { custom: null, errors };
+  }
+
+  return { custom: { text, mode: promptMode }, errors };
+};
+
+module.exports = {
+  PROMPT_MODES,
+  CUSTOM_PROMPT_LIMITS,
+  parseCustomPrompt
+};
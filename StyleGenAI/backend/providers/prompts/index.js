@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { ProviderError } = require('../http');
+const promptConfig = require('../../config/prompts');
+const builtInTemplates = require('./templates');
+const { PROMPT_MODES, CUSTOM_PROMPT_LIMITS, parseCustomPrompt } = require('./custom');
+
+// Templates keyed by `${name}@${version}`
+const templates = new Map();
+
+const registerTemplate = (template) => {
+  const missing = ['name', 'version', 'family', 'build'].filter(field => !template[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid prompt template "${template.name}": missing ${missing.join(', ')}`);
+  }
+  templates.set(`${template.name}@${template.version}`, template);
+};
+
+// Look up "name@version", or the latest version when only a name is given
+const getTemplate = (reference) => {
+  const [name, version] = String(reference).split('@');
+  const template = version
+    ? templates.get(`${name}@${version}`)
+    : Array.from(templates.values())
+      .filter(candidate => candidate.name === name)
+      .sort((a, b) => b.version - a.version)[0];
+
+  if (!template) {
+    throw new ProviderError(`Unknown prompt template: ${reference}`, { code: 'UNKNOWN_PROMPT_TEMPLATE', status: 400 });
+  }
+  return template;
+};
+
+const hasTemplate = (reference) => {
+  try {
+    return Boolean(getTemplate(reference));
+  } catch (error) {
+    return false;
+  }
+};
+
+const getModelFamily = (model) => promptConfig.MODEL_FAMILIES[model] || 'sd';
+
+// Stable 0-1 bucket for an id, so repeated selections agree
+const bucketOf = (key) => {
+  const hash = crypto.createHash('sha1').update(String(key)).digest();
+  return hash.readUInt32BE(0) / 0xffffffff;
+};
+
+// Pick the template for a generation: an explicit template wins, then the
+// active A/B experiment for the model's family, then the family default.
+const selectTemplate = ({ model, template, assignmentKey } = {}) => {
+  if (template) {
+    return { template: getTemplate(template) };
+  }
+
+  const family = getModelFamily(model);
+  const experimentName = promptConfig.activeExperiment;
+  const experiment = experimentName && promptConfig.EXPERIMENTS[experimentName];
+
+  if (experiment && experiment.family === family && assignmentKey) {
+    const variant = bucketOf(`${experimentName}:${assignmentKey}`) < experiment.split ? 'B' : 'A';
+    return {
+      template: getTemplate(experiment.variants[variant]),
+      experiment: experimentName,
+      variant
+    };
+  }
+
+  return { template: getTemplate(promptConfig.DEFAULT_TEMPLATES[family]) };
+};
+
+// Build the prompt for a generation. Returns the text plus the template
+// reference to record on the Design (`aiGeneration.promptTemplate`).
+// `custom` ({ text, mode } from parseCustomPrompt) is placed by the template
+// or, in override mode, replaces the template entirely.
+const buildPrompt = (preferences, options = {}) => {
+  const { custom } = options;
+  if (custom && custom.mode === 'override') {
+    return { prompt: custom.text, negativePrompt: undefined, template: undefined };
+  }
+
+  const { template, experiment, variant } = selectTemplate(options);
+  const { prompt, negativePrompt } = template.build(preferences, { customText: custom?.text });
+
+  return {
+    prompt,
+    negativePrompt,
+    template: {
+      name: template.name,
+      version: template.version,
+      family: template.family,
+      experiment,
+      variant
+    }
+  };
+};
+
+const listTemplates = () => Array.from(templates.values()).map(template => ({
+  id: `${template.name}@${template.version}`,
+  name: template.name,
+  version: template.version,
+  family: template.family,
+  description: template.description,
+  isDefault: hasTemplate(promptConfig.DEFAULT_TEMPLATES[template.family]) &&
+    getTemplate(promptConfig.DEFAULT_TEMPLATES[template.family]) === template
+}));
+
+builtInTemplates.forEach(registerTemplate);
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  hasTemplate,
+  getModelFamily,
+  selectTemplate,
+  buildPrompt,
+  listTemplates,
+  parseCustomPrompt,
+  PROMPT_MODES,
+  CUSTOM_PROMPT_LIMITS
+};
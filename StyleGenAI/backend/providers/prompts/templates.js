@@ -0,0 +1,143 @@
+const { MOOD_DESCRIPTIONS, SEASONAL_DETAILS, colorName, withArticle } = require('./vocabulary');
+
+// Prompt templates. A template is identified by name + version: once a version
+// has been used for designs its output must not change, so edits ship as a new
+// version. `family` is the model family the phrasing is written for.
+// build(preferences, { customText }) returns { prompt, negativePrompt? };
+// `customText` is the user's own wording and goes after the outfit
+// description, ahead of the generic quality wording (SD's text encoder only
+// reads ~77 tokens). Without it a template's output is unchanged.
+
+const withDefaults = (preferences) => ({
+  patterns: [],
+  materials: [],
+  mood: 'confident',
+  season: 'all-season',
+  ...preferences,
+  colors: (preferences.colors || []).map(colorName)
+});
+
+// Custom text as a sentence: capitalised, ending in a full stop
+const sentence = (text) => {
+  const trimmed = text.replace(/[\s,]+$/, '');
+  const capitalised = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+  return /[.!?]$/.test(capitalised) ? capitalised : `${capitalised}.`;
+};
+
+// The original prompt, kept word for word so older designs stay comparable
+const sdClassicV1 = {
+  name: 'sd-classic',
+  version: 1,
+  family: 'sd',
+  description: 'Descriptive sentence with a long list of quality keywords',
+  build: (preferences, { customText } = {}) => {
+    const { gender, occasion, style, colors, patterns, materials, mood, season } = withDefaults(preferences);
+
+    // Base prompt for fashion design
+    let prompt = `A professional fashion design illustration of a ${style} ${occasion} outfit for ${gender}, `;
+
+    if (colors.length > 0) {
+      prompt += `featuring ${colors.join(' and ')} colors, `;
+    }
+
+    if (patterns.length > 0) {
+      prompt += `with ${patterns.join(' and ')} patterns, `;
+    }
+
+    if (materials.length > 0) {
+      prompt += `made from ${materials.join(' and ')} materials, `;
+    }
+
+    prompt += `with a ${MOOD_DESCRIPTIONS[mood] || 'stylish design'}. `;
+
+    if (season !== 'all-season' && SEASONAL_DETAILS[season]) {
+      prompt += `${SEASONAL_DETAILS[season]}. `;
+    }
+
+    if (customText) {
+      prompt += `${sentence(customText)} `;
+    }
+
+    // Technical specifications for better results
+    prompt += 'High-quality fashion illustration, clean professional presentation, fashion portfolio style, detailed clothing design, modern aesthetic, studio lighting, white background, full outfit view, fashion sketch style, detailed fabric textures, professional fashion photography style';
+
+    return { prompt };
+  }
+};
+
+// Short comma-separated tags, which SD/SDXL weight better than long sentences
+const sdTaggedV1 = {
+  name: 'sd-tagged',
+  version: 1,
+  family: 'sd',
+  description: 'Comma-separated tags with a default negative prompt',
+  build: (preferences, { customText } = {}) => {
+    const { gender, occasion, style, colors, patterns, materials, mood, season } = withDefaults(preferences);
+
+    const tags = [
+      'fashion design illustration',
+      `${style} ${occasion} outfit`,
+      `${gender} model`,
+      ...colors.map(color => `${color} color`),
+      ...patterns.map(pattern => `${pattern} pattern`),
+      ...materials.map(material => `${material} fabric`),
+      MOOD_DESCRIPTIONS[mood],
+      season !== 'all-season' ? `${season} collection` : null,
+      customText ? customText.replace(/[\s,.]+$/, '') : null,
+      'full body', 'front view', 'white background', 'studio lighting',
+      'detailed fabric texture', 'sharp focus', 'high detail'
+    ];
+
+    return {
+      prompt: tags.filter(Boolean).join(', '),
+      negativePrompt: 'blurry, low quality, deformed, bad anatomy, extra limbs, cropped, watermark, text, logo'
+    };
+  }
+};
+
+// FLUX follows plain descriptive sentences and ignores negative prompts
+const fluxNaturalV1 = {
+  name: 'flux-natural',
+  version: 1,
+  family: 'flux',
+  description: 'Natural-language description for FLUX models',
+  build: (preferences, { customText } = {}) => {
+    const { gender, occasion, style, colors, patterns, materials, mood, season } = withDefaults(preferences);
+
+    const sentences = [
+      `A fashion design illustration of ${withArticle(style)} outfit for ${gender}, made for ${occasion} occasions.`
+    ];
+
+    if (colors.length > 0) {
+      sentences.push(`The color palette is ${colors.join(', ')}.`);
+    }
+
+    const details = [
+      patterns.length > 0 ? `${patterns.join(' and ')} patterns` : null,
+      materials.length > 0 ? `${materials.join(' and ')} fabrics` : null
+    ].filter(Boolean);
+    if (details.length > 0) {
+      sentences.push(`It uses ${details.join(' in ')}.`);
+    }
+
+    sentences.push(`The overall feel is ${withArticle(MOOD_DESCRIPTIONS[mood] || 'stylish design')}.`);
+
+    if (season !== 'all-season' && SEASONAL_DETAILS[season]) {
+      sentences.push(`It is ${SEASONAL_DETAILS[season]}.`);
+    }
+
+    if (customText) {
+      sentences.push(sentence(customText));
+    }
+
+    sentences.push('The full outfit is shown from the front on a plain white background in soft studio light, with clearly visible fabric texture and construction details.');
+
+    return { prompt: sentences.join(' ') };
+  }
+};
+
+module.exports = [
+  sdClassicV1,
+  sdTaggedV1,
+  fluxNaturalV1
+];
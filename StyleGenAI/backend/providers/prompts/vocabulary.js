@@ -0,0 +1,31 @@
+// Words shared by every prompt template
+const { describeColor } = require('../../colors');
+
+const MOOD_DESCRIPTIONS = {
+  confident: 'bold and empowering design',
+  romantic: 'soft and feminine aesthetic',
+  edgy: 'modern and rebellious style',
+  comfortable: 'relaxed and casual feel',
+  professional: 'polished and sophisticated look',
+  playful: 'fun and creative design',
+  sophisticated: 'elegant and refined appearance'
+};
+
+const SEASONAL_DETAILS = {
+  spring: 'perfect for mild spring weather with light layers',
+  summer: 'ideal for warm weather with breathable fabrics',
+  fall: 'suitable for cooler weather with cozy layers',
+  winter: 'designed for cold weather with warm materials'
+};
+
+// Hex/RGB values become the nearest fashion colour name (see colors/)
+const colorName = (color) => describeColor(color);
+
+const withArticle = (word) => `${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}`;
+
+module.exports = {
+  MOOD_DESCRIPTIONS,
+  SEASONAL_DETAILS,
+  colorName,
+  withArticle
+};
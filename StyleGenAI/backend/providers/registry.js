@@ -0,0 +1,98 @@
+const { ProviderError } = require('./http');
+
+// Every provider module must implement this interface
+const REQUIRED_METHODS = ['initialize', 'isAvailable', 'generate', 'test', 'listModels', 'estimateCost'];
+
+// Optional operations on an existing image: the capability flag a provider
+// sets and the method it must then implement (same result shape as generate)
+const OPERATIONS = {
+  variation: { capability: 'variations', method: 'createVariation' },
+  upscale: { capability: 'upscale', method: 'upscale' },
+  edit: { capability: 'edit', method: 'edit' }
+};
+
+const providers = new Map();
+
+// Register an image provider; adding a new backend is a single call to this
+const registerProvider = (provider) => {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  const capabilities = provider.capabilities || {};
+  const missingOperations = Object.values(OPERATIONS)
+    .filter(({ capability, method }) => capabilities[capability] && typeof provider[method] !== 'function')
+    .map(({ method }) => method);
+  if (missingOperations.length > 0) {
+    throw new Error(`Provider "${provider.name}" declares capabilities without implementing: ${missingOperations.join(', ')}`);
+  }
+
+  providers.set(provider.name, {
+    displayName: provider.name,
+    capabilities: {},
+    ...provider
+  });
+};
+
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new ProviderError(`Unknown image provider: ${name}`, { provider: name, code: 'UNKNOWN_PROVIDER' });
+  }
+  return provider;
+};
+
+const hasProvider = (name) => providers.has(name);
+
+const getDefaultProviderName = () => process.env.IMAGE_PROVIDER || 'huggingface';
+
+// Initialize every registered provider, logging which ones are usable
+const initializeProviders = () => {
+  const status = {};
+  providers.forEach((provider, name) => {
+    try {
+      status[name] = Boolean(provider.initialize());
+    } catch (error) {
+      console.error(`${provider.displayName} initialization failed:`, error.message);
+      status[name] = false;
+    }
+  });
+  return status;
+};
+
+const listProviders = () => {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName,
+    available: provider.isAvailable(),
+    capabilities: provider.capabilities
+  }));
+};
+
+const listModels = () => {
+  const defaultProvider = getDefaultProviderName();
+  return Array.from(providers.values()).flatMap(provider =>
+    provider.listModels().map(model => ({
+      ...model,
+      provider: provider.displayName,
+      providerName: provider.name,
+      isDefault: provider.name === defaultProvider
+    }))
+  );
+};
+
+module.exports = {
+  OPERATIONS,
+  registerProvider,
+  getProvider,
+  hasProvider,
+  getDefaultProviderName,
+  initializeProviders,
+  listProviders,
+  listModels
+};
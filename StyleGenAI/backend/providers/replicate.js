@@ -0,0 +1,333 @@
+const Replicate = require('replicate');
+const { ProviderError } = require('./http');
+const { schedulerFor } = require('./parameters');
+
+// Available fashion/image generation models on Replicate
+const MODELS = {
+  // Stable Diffusion XL for high-quality fashion images
+  'sdxl': 'stability-ai/sdxl:39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b',
+
+  // Stable Diffusion 1.5 for general image generation
+  'sd15': 'stability-ai/stable-diffusion:db21e45d3f7023abc2a46ee38a23973f6dce16bb082a930b0c49861f96d1e5bf',
+
+  // FLUX for artistic fashion designs
+  'flux': 'black-forest-labs/flux-schnell:bf2f2e683d03a9549f484a37a0df1581e0b0b3b2c7d15028b982f5532dfb9e56',
+
+  // Playground v2.5 for creative designs
+  'playground': 'playgroundai/playground-v2.5-1024px-aesthetic:a45f82a1382bed5c7aeb861dac7c7d191b0fdf74d8d57c4a0e6ed7d4d0bf7d24'
+};
+
+// Models used for operations on an existing design (variations reuse SDXL img2img)
+const IMAGE_MODELS = {
+  upscale: 'nightmareai/real-esrgan:f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa',
+  edit: 'timothybrooks/instruct-pix2pix:30c1d0b916a6f8efce20493f5d61ee27491ab2a60437c13c588468b9810ec23f'
+};
+
+const MODEL_DESCRIPTIONS = {
+  'sdxl': 'Stable Diffusion XL - High quality, detailed fashion designs',
+  'sd15': 'Stable Diffusion 1.5 - Fast, reliable fashion generation',
+  'flux': 'FLUX Schnell - Artistic and creative fashion designs',
+  'playground': 'Playground v2.5 - Creative and aesthetic designs'
+};
+
+// Approximate cost per image in USD, based on Replicate's public pricing
+const MODEL_COSTS = {
+  'sdxl': 0.0055,
+  'sd15': 0.0023,
+  'flux': 0.003,
+  'playground': 0.0078
+};
+
+const OPERATION_COSTS = {
+  upscale: 0.0025,
+  edit: 0.006
+};
+
+let replicate = null;
+
+const initialize = () => {
+  if (!process.env.REPLICATE_API_TOKEN) {
+    console.log('⚠️  Replicate API token not found');
+    console.log('💡 To enable AI generation:');
+    console.log('   1. Get an API token from https://replicate.com/account/api-tokens');
+    console.log('   2. Set REPLICATE_API_TOKEN in your .env file');
+    return false;
+  }
+
+  // Plain URLs are easier to persist than FileOutput streams
+  replicate = new Replicate({
+    auth: process.env.REPLICATE_API_TOKEN,
+    useFileOutput: false
+  });
+
+  console.log('🤖 Replicate AI client initialized successfully');
+  return true;
+};
+
+const isAvailable = () => Boolean(replicate);
+
+// Different input formats for different models. Sampling parameters left
+// undefined fall back to the model's own defaults on Replicate.
+const buildInput = (model, { prompt, width, height, seed, negativePrompt, scheduler, steps, guidance }) => {
+  if (model === 'flux') {
+    // FLUX Schnell has no negative prompt, guidance or scheduler, and runs 1-4 steps
+    return {
+      prompt,
+      num_outputs: 1,
+      aspect_ratio: '1:1',
+      output_format: 'webp',
+      output_quality: 80,
+      seed,
+      num_inference_steps: steps ? Math.min(steps, 4) : undefined
+    };
+  }
+
+  if (model === 'playground') {
+    return {
+      prompt,
+      width,
+      height,
+      num_outputs: 1,
+      guidance_scale: guidance ?? 7,
+      num_inference_steps: steps ?? 50,
+      seed,
+      negative_prompt: negativePrompt,
+      scheduler: schedulerFor(scheduler, 'replicate')
+    };
+  }
+
+  // Default for SDXL and SD1.5
+  return {
+    prompt,
+    width,
+    height,
+    num_outputs: 1,
+    guidance_scale: guidance ?? 7.5,
+    num_inference_steps: steps ?? 50,
+    scheduler: schedulerFor(scheduler || 'euler', 'replicate'),
+    seed,
+    negative_prompt: negativePrompt
+  };
+};
+
+// The sampling parameters a prediction actually ran with, in provider-neutral names
+const usedParameters = (input, scheduler) => ({
+  seed: input.seed,
+  negativePrompt: input.negative_prompt,
+  scheduler: input.scheduler ? scheduler || 'euler' : undefined,
+  steps: input.num_inference_steps,
+  guidance: input.guidance_scale
+});
+
+// Map Replicate SDK errors onto user-facing messages
+const toProviderError = (error) => {
+  const message = error.message || '';
+  const status = error.response?.status;
+
+  if (message.includes('authentication') || status === 401) {
+    return new ProviderError('Invalid Replicate API token. Please check your configuration.', { provider: 'replicate', status });
+  }
+  if (message.includes('402') || message.includes('Billing required') || status === 402) {
+    return new ProviderError('Replicate billing required. Please set up billing at https://replicate.com/account/billing to generate designs.', { provider: 'replicate', status: 402 });
+  }
+  if (message.includes('quota')) {
+    return new ProviderError('Replicate API quota exceeded. Please check your account.', { provider: 'replicate', status: 429 });
+  }
+  if (message.includes('content')) {
+    return new ProviderError('The design request violates content policy. Please try different preferences.', { provider: 'replicate', status, code: 'CONTENT_POLICY' });
+  }
+
+  return new ProviderError(`Replicate API error: ${message}`, { provider: 'replicate', status });
+};
+
+const ensureInitialized = () => {
+  if (!replicate) {
+    throw new ProviderError('Replicate client not initialized. Please check your API token.', {
+      provider: 'replicate',
+      code: 'PROVIDER_NOT_CONFIGURED'
+    });
+  }
+};
+
+// Run a prediction and return the first output URL. Aborting `signal`
+// cancels the prediction.
+const runModel = async (version, input, signal) => {
+  let output;
+  try {
+    output = await replicate.run(version, { input, signal });
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  if (!output || (Array.isArray(output) && output.length === 0)) {
+    throw new ProviderError('No images generated', { provider: 'replicate' });
+  }
+
+  return String(Array.isArray(output) ? output[0] : output);
+};
+
+// Replicate accepts source images inline as data URIs
+const toDataUri = (image) => `data:${image.mimeType};base64,${image.buffer.toString('base64')}`;
+
+// Generate an image with a Replicate-hosted model
+// With an inspiration image it runs SDXL img2img, the only listed model that takes a starting image.
+const generate = async ({ prompt, model = 'sdxl', width = 1024, height = 1024, reference, signal, ...sampling }) => {
+  ensureInitialized();
+
+  const modelKey = reference || !MODELS[model] ? 'sdxl' : model;
+  const modelVersion = MODELS[modelKey];
+  const startTime = Date.now();
+
+  const input = {
+    ...buildInput(modelKey, { prompt, width, height, ...sampling }),
+    ...(reference && { image: toDataUri(reference.image), prompt_strength: reference.strength })
+  };
+  const url = await runModel(modelVersion, input, signal);
+
+  return {
+    image: {
+      url,
+      mimeType: modelKey === 'flux' ? 'image/webp' : 'image/png'
+    },
+    metadata: {
+      model: modelKey,
+      modelVersion,
+      size: `${width}x${height}`,
+      parameters: usedParameters(input, sampling.scheduler),
+      reference: reference ? { mode: reference.mode, strength: reference.strength } : undefined,
+      generationTime: Date.now() - startTime,
+      cost: estimateCost({ model: modelKey })
+    }
+  };
+};
+
+// SDXL img2img: lower strength stays closer to the source design
+const createVariation = async ({ image, prompt, strength = 0.6, width = 1024, height = 1024, signal }) => {
+  ensureInitialized();
+  const startTime = Date.now();
+
+  const url = await runModel(MODELS.sdxl, {
+    ...buildInput('sdxl', { prompt, width, height }),
+    image: toDataUri(image),
+    prompt_strength: strength
+  }, signal);
+
+  return {
+    image: { url, mimeType: 'image/png' },
+    metadata: {
+      model: 'sdxl',
+      modelVersion: MODELS.sdxl,
+      generationTime: Date.now() - startTime,
+      cost: estimateCost({ model: 'sdxl' })
+    }
+  };
+};
+
+const upscale = async ({ image, scale = 2, signal }) => {
+  ensureInitialized();
+  const startTime = Date.now();
+
+  const url = await runModel(IMAGE_MODELS.upscale, {
+    image: toDataUri(image),
+    scale,
+    face_enhance: false
+  }, signal);
+
+  return {
+    image: { url, mimeType: 'image/png' },
+    metadata: {
+      model: 'real-esrgan',
+      modelVersion: IMAGE_MODELS.upscale,
+      generationTime: Date.now() - startTime,
+      cost: OPERATION_COSTS.upscale
+    }
+  };
+};
+
+const edit = async ({ image, instruction, signal }) => {
+  ensureInitialized();
+  const startTime = Date.now();
+
+  const url = await runModel(IMAGE_MODELS.edit, {
+    image: toDataUri(image),
+    prompt: instruction,
+    num_outputs: 1
+  }, signal);
+
+  return {
+    image: { url, mimeType: 'image/png' },
+    metadata: {
+      model: 'instruct-pix2pix',
+      modelVersion: IMAGE_MODELS.edit,
+      generationTime: Date.now() - startTime,
+      cost: OPERATION_COSTS.edit
+    }
+  };
+};
+
+// Test Replicate connection with a small prediction
+const test = async () => {
+  if (!replicate) {
+    return { success: false, error: 'Replicate client not initialized' };
+  }
+
+  console.log('🧪 Testing Replicate connection...');
+
+  try {
+    const output = await replicate.run(MODELS.sdxl, {
+      input: {
+        prompt: 'A simple red dress, fashion illustration',
+        width: 512,
+        height: 512,
+        num_outputs: 1,
+        num_inference_steps: 20
+      }
+    });
+
+    return {
+      success: true,
+      message: 'Replicate connection successful',
+      testOutput: Array.isArray(output) ? output[0] : output
+    };
+  } catch (error) {
+    return { success: false, error: toProviderError(error).message };
+  }
+};
+
+const listModels = () => {
+  return Object.keys(MODELS).map(key => ({
+    id: key,
+    name: key.toUpperCase(),
+    version: MODELS[key],
+    description: MODEL_DESCRIPTIONS[key] || 'Fashion design generation model',
+    cost: `~$${MODEL_COSTS[key]}/image`
+  }));
+};
+
+const capabilities = {
+  textToImage: true,
+  imageToImage: true,
+  variations: true,
+  upscale: true,
+  edit: true,
+  maxImages: 4
+};
+
+const estimateCost = ({ model = 'sdxl', count = 1 } = {}) => {
+  return (MODEL_COSTS[model] || MODEL_COSTS.sdxl) * count;
+};
+
+module.exports = {
+  name: 'replicate',
+  displayName: 'Replicate',
+  initialize,
+  isAvailable,
+  generate,
+  createVariation,
+  upscale,
+  edit,
+  test,
+  listModels,
+  capabilities,
+  estimateCost
+};
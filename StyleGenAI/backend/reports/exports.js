@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { getStorage, loadSourceImage } = require('../storage');
+const { renderDesignReport } = require('./index');
+const { IMAGE_FORMATS, parseImageOptions, convertImage } = require('./images');
+
+// Files a design can be exported as on the server. The Design model's
+// `exports[].format` enum uses this list.
+const EXPORT_FORMATS = ['pdf', 'tech-pack', ...Object.keys(IMAGE_FORMATS)];
+
+const primaryImage = (design) => {
+  const images = design.images || [];
+  return images.find(image => image.isPrimary) || images[0] || null;
+};
+
+// Primary image bytes, rasterised (SVG mock-ups) by loadSourceImage
+const loadPrimaryImage = async (design) => {
+  const image = primaryImage(design);
+  if (!image) {
+    throw new Error('Design has no image to export');
+  }
+  return (await loadSourceImage(image)).buffer;
+};
+
+// Each renderer resolves to `{ buffer }` (plus `width` and `height` for
+// images); `extension` and `contentType` describe the file
+const RENDERERS = {
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    render: async design => ({ buffer: await renderDesignReport(design, { type: 'design' }) })
+  },
+  'tech-pack': {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    render: async (design, { folder, bodyType }) => ({
+      buffer: await renderDesignReport(design, { type: 'tech-pack', folder, bodyType })
+    })
+  },
+  ...Object.fromEntries(Object.entries(IMAGE_FORMATS).map(([format, { extension, contentType }]) => [format, {
+    extension,
+    contentType,
+    render: async (design, { image }) => convertImage(await loadPrimaryImage(design), format, image)
+  }]))
+};
+
+// Validate the options of an export: image formats take the conversion
+// options of parseImageOptions(), the reports none. Returns `{ options, errors }`.
+const parseExportOptions = (format, input = {}) => {
+  if (!IMAGE_FORMATS[format]) {
+    return { options: undefined, errors: [] };
+  }
+  return parseImageOptions(format, input);
+};
+
+const exportBaseName = (design) => {
+  const title = (design.title || 'StyleGen_Design').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+  return title || 'StyleGen_Design';
+};
+
+// Render a design in `format`, store it under `${folder}/exports/` and return
+// the `exports[]` entry to record on the design. `bodyType` is passed on to
+// tech packs, `options` (from parseExportOptions) to image conversion.
+const createExport = async (design, format, { folder, bodyType, options } = {}) => {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const { buffer, width, height } = await renderer.render(design, { folder, bodyType, image: options });
+  const exportedAt = new Date();
+  const filename = `${exportBaseName(design)}_${format}_${exportedAt.getTime()}_${crypto.randomUUID().slice(0, 8)}.${renderer.extension}`;
+  const key = `${folder ? `${folder}/` : ''}exports/${filename}`;
+  const { url } = await getStorage().save(key, buffer, { contentType: renderer.contentType });
+
+  return {
+    format,
+    url,
+    filename,
+    storageKey: key,
+    mimeType: renderer.contentType,
+    size: buffer.length,
+    ...(width && { dimensions: { width, height } }),
+    ...(options && { options }),
+    exportedAt
+  };
+};
+
+module.exports = {
+  createExport,
+  parseExportOptions,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,173 @@
+const sharp = require('sharp');
+
+// Image formats a design image can be exported as. `quality` is the default
+// for lossy formats; JPEG has no alpha channel, so it can't be transparent.
+const IMAGE_FORMATS = {
+  png: { extension: 'png', contentType: 'image/png', transparency: true },
+  jpg: { extension: 'jpg', contentType: 'image/jpeg', transparency: false, quality: 90 },
+  webp: { extension: 'webp', contentType: 'image/webp', transparency: true, quality: 85 }
+};
+
+// Longest edge in pixels for each resolution; `original` keeps the image's own
+// size. Smaller images are scaled up, so the choice is always the size you get.
+const RESOLUTIONS = {
+  small: 512,
+  medium: 1024,
+  large: 2048,
+  original: null
+};
+
+const QUALITY = { min: 1, max: 100 };
+
+// Pixels flood-filled from the border count as backdrop while they're within
+// this RGB distance of the border colour; up to twice as far they fade out
+const BACKGROUND_TOLERANCE = 40;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate the conversion options for an image `format` from a query string or
+// JSON body. Returns `{ options, errors }` with the defaults filled in.
+const parseImageOptions = (format, { quality, transparent, resolution } = {}) => {
+  const errors = [];
+  const spec = IMAGE_FORMATS[format];
+  const options = { resolution: 'original', transparent: false };
+
+  if (!isBlank(resolution)) {
+    if (!Object.prototype.hasOwnProperty.call(RESOLUTIONS, resolution)) {
+      errors.push(`resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+    } else {
+      options.resolution = resolution;
+    }
+  }
+
+  if (!isBlank(transparent)) {
+    if (![true, false, 'true', 'false'].includes(transparent)) {
+      errors.push('transparent must be true or false');
+    } else if (transparent === true || transparent === 'true') {
+      if (!spec.transparency) {
+        errors.push(`${format} has no transparency; use png or webp for a transparent background`);
+      }
+      options.transparent = true;
+    }
+  }
+
+  if (!isBlank(quality)) {
+    const value = Number(quality);
+    if (!spec.quality) {
+      errors.push(`quality only applies to lossy formats (${Object.keys(IMAGE_FORMATS).filter(name => IMAGE_FORMATS[name].quality).join(', ')})`);
+    } else if (!Number.isInteger(value) || value < QUALITY.min || value > QUALITY.max) {
+      errors.push(`quality must be a whole number between ${QUALITY.min} and ${QUALITY.max}`);
+    } else {
+      options.quality = value;
+    }
+  } else if (spec.quality) {
+    options.quality = spec.quality;
+  }
+
+  return { options, errors };
+};
+
+const colorDistance = (data, offset, color) => Math.sqrt(
+  (data[offset] - color[0]) ** 2 + (data[offset + 1] - color[1]) ** 2 + (data[offset + 2] - color[2]) ** 2
+);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Make a plain backdrop transparent: its colour is the median of the border
+// pixels, and it is flood-filled from the border so the garment's own areas of
+// that colour are kept. `data` is RGBA and is changed in place.
+const removeBackground = (data, width, height) => {
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  const background = [0, 1, 2].map(channel => median(border.map(i => data[i * 4 + channel])));
+  const removed = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  border.forEach(i => {
+    if (!removed[i] && colorDistance(data, i * 4, background) <= BACKGROUND_TOLERANCE) {
+      removed[i] = 1;
+      queue[tail++] = i;
+    }
+  });
+
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % width;
+    const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+    neighbours.forEach(n => {
+      if (n >= 0 && n < width * height && !removed[n] && colorDistance(data, n * 4, background) <= BACKGROUND_TOLERANCE) {
+        removed[n] = 1;
+        queue[tail++] = n;
+      }
+    });
+  }
+
+  for (let i = 0; i < width * height; i++) {
+    if (removed[i]) {
+      data[i * 4 + 3] = 0;
+      continue;
+    }
+    // Soften the outline: pixels next to the backdrop fade by how close they are to its colour
+    const x = i % width;
+    const touchesBackground = (x > 0 && removed[i - 1]) || (x < width - 1 && removed[i + 1])
+      || (i >= width && removed[i - width]) || (i < width * (height - 1) && removed[i + width]);
+    if (touchesBackground) {
+      const distance = colorDistance(data, i * 4, background);
+      if (distance < BACKGROUND_TOLERANCE * 2) {
+        const opacity = (distance - BACKGROUND_TOLERANCE) / BACKGROUND_TOLERANCE;
+        data[i * 4 + 3] = Math.round(data[i * 4 + 3] * opacity);
+      }
+    }
+  }
+};
+
+// Convert image bytes to `format` with options from parseImageOptions().
+// Resolves to `{ buffer, width, height }`.
+const convertImage = async (buffer, format, { resolution = 'original', transparent = false, quality } = {}) => {
+  const spec = IMAGE_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown image format: ${format}`);
+  }
+
+  let image = sharp(buffer);
+  const maxEdge = RESOLUTIONS[resolution];
+  if (maxEdge) {
+    image = image.resize(maxEdge, maxEdge, { fit: 'inside' });
+  }
+
+  if (transparent && spec.transparency) {
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    removeBackground(data, info.width, info.height);
+    image = sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } });
+  }
+
+  switch (format) {
+    case 'jpg':
+      // Whatever transparency the source has becomes white
+      image = image.flatten({ background: '#FFFFFF' }).jpeg({ quality: quality || spec.quality, mozjpeg: true });
+      break;
+    case 'webp':
+      image = image.webp({ quality: quality || spec.quality });
+      break;
+    default:
+      image = image.png({ compressionLevel: 9 });
+  }
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+module.exports = {
+  IMAGE_FORMATS,
+  RESOLUTIONS,
+  QUALITY,
+  parseImageOptions,
+  convertImage
+};
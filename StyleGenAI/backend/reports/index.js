@@ -0,0 +1,137 @@
+const sharp = require('sharp');
+const { loadSourceImage } = require('../storage');
+const { nameColor } = require('../colors');
+const { buildTechPack } = require('../techpack');
+const { renderTechPack } = require('./techPack');
+const {
+  BRAND,
+  titleCase,
+  formatDate,
+  createDocument,
+  heading,
+  paragraph,
+  table,
+  swatches,
+  imageBox,
+  decoratePages
+} = require('./layout');
+
+// Server-side PDF design reports, laid out like the ones the frontend builds
+// with jsPDF (src/services/pdfService.js) so a report looks the same whether
+// it was downloaded in the browser or rendered here for email or archiving.
+// 'tech-pack' reports are rendered from the tech pack model (techPack.js).
+const REPORT_TYPES = ['design', 'tech-pack'];
+
+const listOrNone = (values) => (values && values.length > 0 ? values.map(titleCase).join(', ') : 'None');
+
+// Everything a report shows, from a Design document or simple.js's plain design object
+const reportData = (source) => {
+  const design = typeof source.toObject === 'function' ? source.toObject() : source;
+  const input = design.inputParameters || {};
+  const ai = design.aiGeneration || {};
+  const parameters = ai.parameters || {};
+  const template = ai.promptTemplate;
+
+  return {
+    id: String(design._id || design.id),
+    title: design.title || 'Untitled Design',
+    createdAt: design.createdAt,
+    image: (design.images || []).find(image => image.isPrimary) || (design.images || [])[0],
+    prompt: ai.prompt,
+    negativePrompt: parameters.negativePrompt,
+    customPrompt: input.customPrompt,
+    colors: (input.colors || []).map(color => nameColor(color) || { hex: color, name: color }),
+    parameters: [
+      ['Gender', titleCase(input.gender || 'Not specified')],
+      ['Occasion', titleCase(input.occasion || 'Not specified')],
+      ['Style', titleCase(input.style || 'Not specified')],
+      ['Patterns', listOrNone(input.patterns)],
+      ['Materials', listOrNone(input.materials)],
+      ['Mood', titleCase(input.mood || 'Not specified')],
+      ['Season', titleCase(input.season || 'Not specified')],
+      ['Prompt mode', titleCase(input.promptMode || 'merge')]
+    ],
+    generation: [
+      ['Provider', ai.provider || 'Unknown'],
+      ['Model', ai.model || 'Unknown'],
+      ['Prompt template', template?.name ? `${template.name}@${template.version}` : 'Default'],
+      ['Seed', parameters.seed ?? 'Random'],
+      ['Steps', parameters.inferenceSteps ?? 'Provider default'],
+      ['Guidance', parameters.guidanceScale ?? 'Provider default'],
+      ['Scheduler', parameters.scheduler || 'Provider default'],
+      ['Images', (design.images || []).length],
+      ['Generation time', ai.generationTime ? `${(ai.generationTime / 1000).toFixed(1)}s` : 'Unknown'],
+      ['Created', formatDate(design.createdAt)],
+      ['Completed', formatDate(design.completedAt)]
+    ].map(([label, value]) => [label, String(value)])
+  };
+};
+
+// pdfkit embeds JPEG and PNG only; anything else (WebP, SVG mock-ups) becomes PNG
+const loadReportImage = async (image) => {
+  if (!image) return null;
+  try {
+    const { buffer, mimeType } = await loadSourceImage(image);
+    return ['image/jpeg', 'image/png'].includes(mimeType) ? buffer : await sharp(buffer).png().toBuffer();
+  } catch (error) {
+    console.warn('⚠️ Report image unavailable:', error.message);
+    return null;
+  }
+};
+
+// Render a design report; resolves to the PDF bytes. `type` is one of
+// REPORT_TYPES. Tech packs store their flat sketch under `folder` and fit
+// default measurements to `bodyType`.
+const renderDesignReport = async (design, { type = 'design', folder, bodyType } = {}) => {
+  if (!REPORT_TYPES.includes(type)) {
+    throw new Error(`Unknown report type: ${type}`);
+  }
+
+  const data = reportData(design);
+  const imageBuffer = await loadReportImage(data.image);
+
+  if (type === 'tech-pack') {
+    return renderTechPack(await buildTechPack(design, { folder, bodyType }), { imageBuffer });
+  }
+
+  const reportTitle = 'Fashion Design Report';
+  const { doc, finished } = createDocument({ title: `${data.title} - ${reportTitle}`, subject: reportTitle });
+
+  // Page 1: title, image and prompt
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND.text).text(data.title);
+  doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted).text(`Design ${data.id} · created ${formatDate(data.createdAt)}`);
+  doc.moveDown(1);
+  imageBox(doc, imageBuffer, { height: 400 });
+
+  heading(doc, 'Prompt');
+  paragraph(doc, data.prompt || 'Not recorded');
+  if (data.customPrompt) paragraph(doc, data.customPrompt, { label: 'Custom details' });
+  if (data.negativePrompt) paragraph(doc, data.negativePrompt, { label: 'Negative prompt' });
+
+  // Parameters, palette and generation metadata
+  doc.addPage();
+  heading(doc, 'Design Parameters');
+  table(doc, data.parameters);
+
+  heading(doc, 'Colour Palette');
+  swatches(doc, data.colors);
+
+  heading(doc, 'Generation Details');
+  table(doc, data.generation);
+
+  decoratePages(doc, { title: reportTitle, generatedAt: new Date() });
+  doc.end();
+  return finished;
+};
+
+// Download filename for a report, e.g. "Modern_Casual_Design_tech-pack.pdf"
+const reportFilename = (design, type = 'design') => {
+  const base = (design.title || 'StyleGen_Design').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${base || 'StyleGen_Design'}_${type}.pdf`;
+};
+
+module.exports = {
+  renderDesignReport,
+  reportFilename,
+  REPORT_TYPES
+};
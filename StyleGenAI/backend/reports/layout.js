@@ -0,0 +1,216 @@
+const PDFDocument = require('pdfkit');
+
+// pdfkit layout helpers shared by the design report (index.js) and the tech
+// pack (techPack.js). Every helper draws at PAGE.margin and leaves doc.y below
+// what it drew.
+const BRAND = {
+  name: 'StyleGen AI',
+  color: '#EC4899',
+  text: '#1F2937',
+  muted: '#6B7280',
+  rule: '#E5E7EB',
+  stripe: '#FDF2F8'
+};
+
+const PAGE = { size: 'A4', margin: 50, header: 40, footer: 30 };
+
+const titleCase = (value) => String(value).replace(/[-_]/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'Unknown');
+
+// A buffered A4 document plus a promise for its bytes once doc.end() is called
+const createDocument = ({ title, subject }) => {
+  const doc = new PDFDocument({
+    size: PAGE.size,
+    margins: { top: PAGE.margin + PAGE.header, bottom: PAGE.margin, left: PAGE.margin, right: PAGE.margin },
+    bufferPages: true,
+    info: { Title: title, Author: BRAND.name, Subject: subject }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  return { doc, finished };
+};
+
+const contentWidth = (doc) => doc.page.width - PAGE.margin * 2;
+
+// Start a new page when fewer than `height` points are left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE.margin - PAGE.footer) {
+    doc.addPage();
+  }
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.color).text(text, PAGE.margin);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE.margin, y).lineTo(PAGE.margin + contentWidth(doc), y).lineWidth(1).strokeColor(BRAND.rule).stroke();
+  doc.moveDown(0.6);
+};
+
+const paragraph = (doc, text, { label } = {}) => {
+  if (label) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.muted).text(label, PAGE.margin);
+  }
+  doc.font('Helvetica').fontSize(10).fillColor(BRAND.text).text(text, PAGE.margin, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.5);
+};
+
+// Two-column label/value table with striped rows
+const table = (doc, rows) => {
+  const width = contentWidth(doc);
+  const labelWidth = 150;
+  const padding = 6;
+
+  rows.forEach(([label, value], index) => {
+    doc.font('Helvetica').fontSize(10);
+    const height = Math.max(doc.heightOfString(value, { width: width - labelWidth - padding * 2 }), 12) + padding * 2;
+    ensureSpace(doc, height);
+    const y = doc.y;
+
+    if (index % 2 === 0) {
+      doc.rect(PAGE.margin, y, width, height).fill(BRAND.stripe);
+    }
+    doc.font('Helvetica-Bold').fillColor(BRAND.muted).text(label, PAGE.margin + padding, y + padding, { width: labelWidth - padding });
+    doc.font('Helvetica').fillColor(BRAND.text).text(value, PAGE.margin + labelWidth, y + padding, { width: width - labelWidth - padding * 2 });
+    doc.y = y + height;
+  });
+  doc.x = PAGE.margin;
+};
+
+// Multi-column table with a brand-coloured header row, repeated when the
+// table runs onto a new page. `columns` are { label, width, align? } with
+// widths as fractions of the content width; `rows` are arrays of strings.
+// `swatches[i]` (a hex colour) is drawn as a chip in row i's first cell.
+const grid = (doc, columns, rows, { fontSize = 9, swatches: swatchColumn } = {}) => {
+  const width = contentWidth(doc);
+  const padding = 5;
+  const cells = columns.map(column => ({ ...column, width: column.width * width }));
+
+  const rowHeight = (values, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...values.map((value, index) => doc.heightOfString(String(value), { width: cells[index].width - padding * 2 })), fontSize) + padding * 2;
+  };
+
+  const drawRow = (values, { font, color, fill }) => {
+    const height = rowHeight(values, font);
+    const y = doc.y;
+    if (fill) doc.rect(PAGE.margin, y, width, height).fill(fill);
+
+    let x = PAGE.margin;
+    values.forEach((value, index) => {
+      doc.font(font).fontSize(fontSize).fillColor(color)
+        .text(String(value), x + padding, y + padding, { width: cells[index].width - padding * 2, align: cells[index].align || 'left' });
+      x += cells[index].width;
+    });
+    doc.y = y + height;
+  };
+
+  const header = () => drawRow(cells.map(cell => cell.label), { font: 'Helvetica-Bold', color: '#FFFFFF', fill: BRAND.color });
+
+  ensureSpace(doc, rowHeight(cells.map(cell => cell.label), 'Helvetica-Bold') + rowHeight(rows[0] || [], 'Helvetica'));
+  header();
+
+  rows.forEach((values, index) => {
+    const height = rowHeight(values, 'Helvetica');
+    if (doc.y + height > doc.page.height - PAGE.margin - PAGE.footer) {
+      doc.addPage();
+      header();
+    }
+    const y = doc.y;
+    drawRow(values, { font: 'Helvetica', color: BRAND.text, fill: index % 2 === 0 ? BRAND.stripe : null });
+
+    if (swatchColumn && swatchColumn[index]) {
+      const size = 10;
+      doc.rect(PAGE.margin + cells[0].width - padding - size, y + padding, size, size).fillAndStroke(swatchColumn[index], BRAND.rule);
+    }
+  });
+
+  doc.moveTo(PAGE.margin, doc.y).lineTo(PAGE.margin + width, doc.y).lineWidth(0.5).strokeColor(BRAND.rule).stroke();
+  doc.x = PAGE.margin;
+  doc.moveDown(0.5);
+};
+
+const swatches = (doc, colors) => {
+  const size = 48;
+  const cell = 110;
+  const rowHeight = size + 36;
+  const perRow = Math.max(1, Math.floor(contentWidth(doc) / cell));
+
+  for (let start = 0; start < colors.length; start += perRow) {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+
+    colors.slice(start, start + perRow).forEach((color, column) => {
+      const x = PAGE.margin + column * cell;
+      doc.rect(x, y, size, size).fillAndStroke(color.hex, BRAND.rule);
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(BRAND.text).text(titleCase(color.name), x, y + size + 4, { width: cell - 8 });
+      doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted).text(color.hex, x, doc.y, { width: cell - 8 });
+    });
+    doc.y = y + rowHeight;
+  }
+  doc.x = PAGE.margin;
+};
+
+// An image fitted and centred in a box `height` points tall, or a placeholder
+const imageBox = (doc, buffer, { height, placeholder = 'Image unavailable' }) => {
+  const top = doc.y;
+  const width = contentWidth(doc);
+
+  if (buffer) {
+    doc.image(buffer, PAGE.margin, top, { fit: [width, height], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(PAGE.margin, top, width, height).fill(BRAND.stripe);
+    doc.font('Helvetica').fontSize(11).fillColor(BRAND.muted)
+      .text(placeholder, PAGE.margin, top + height / 2 - 6, { width, align: 'center' });
+  }
+  doc.y = top + height;
+  doc.x = PAGE.margin;
+};
+
+// Branded header and footer on every page, drawn once the page count is known
+const decoratePages = (doc, { title, generatedAt }) => {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const { width, height } = doc.page;
+    // Footer text sits inside the bottom margin; keep pdfkit from adding a page for it
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.rect(0, 0, width, PAGE.header).fill(BRAND.color);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#FFFFFF').text(BRAND.name, PAGE.margin, 13, { lineBreak: false });
+    doc.font('Helvetica').fontSize(10).text(title, PAGE.margin, 16, { width: width - PAGE.margin * 2, align: 'right', lineBreak: false });
+
+    const footerY = height - PAGE.footer;
+    doc.moveTo(PAGE.margin, footerY - 8).lineTo(width - PAGE.margin, footerY - 8).lineWidth(0.5).strokeColor(BRAND.rule).stroke();
+    doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+      .text(`Generated by ${BRAND.name} on ${formatDate(generatedAt)}`, PAGE.margin, footerY, { lineBreak: false })
+      .text(`Page ${index - range.start + 1} of ${range.count}`, PAGE.margin, footerY, { width: width - PAGE.margin * 2, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+module.exports = {
+  BRAND,
+  PAGE,
+  titleCase,
+  formatDate,
+  createDocument,
+  contentWidth,
+  ensureSpace,
+  heading,
+  paragraph,
+  table,
+  grid,
+  swatches,
+  imageBox,
+  decoratePages
+};
@@ -0,0 +1,148 @@
+const { readStoredFile } = require('../storage');
+const {
+  BRAND,
+  PAGE,
+  titleCase,
+  formatDate,
+  createDocument,
+  ensureSpace,
+  heading,
+  paragraph,
+  table,
+  grid,
+  imageBox,
+  decoratePages
+} = require('./layout');
+
+const REPORT_TITLE = 'Tech Pack';
+
+const readSketch = async (flatSketch) => {
+  if (!flatSketch?.storageKey) return null;
+  try {
+    return await readStoredFile(flatSketch.storageKey);
+  } catch (error) {
+    console.warn('⚠️ Flat sketch unavailable:', error.message);
+    return null;
+  }
+};
+
+const orNotSpecified = (value) => (value ? titleCase(value) : 'Not specified');
+
+const sizeChartNote = (chart) => [
+  `* Base (sample) size. Finished garment measurements (${chart.unit}).`,
+  chart.fit ? `Fitted for a ${chart.fit} body type.` : '',
+  chart.isDefault ? 'Default grading; confirm with the pattern maker.' : ''
+].filter(Boolean).join(' ');
+
+// Render a tech pack model from techpack/buildTechPack() as PDF bytes.
+// `imageBuffer` is the design image (JPEG/PNG) shown on the cover page.
+const renderTechPack = async (techPack, { imageBuffer } = {}) => {
+  const { style } = techPack;
+  const sketch = await readSketch(techPack.flatSketch);
+  const { doc, finished } = createDocument({ title: `${style.name} - ${REPORT_TITLE}`, subject: REPORT_TITLE });
+
+  // Cover: style summary and the design image
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND.text).text(style.name);
+  doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted).text(`Style ${style.number} · design ${style.designId}`);
+  doc.moveDown(1);
+  table(doc, [
+    ['Style number', style.number],
+    ['Garment', orNotSpecified(style.garmentType)],
+    ['Category', orNotSpecified(style.category)],
+    ['Gender', orNotSpecified(style.gender)],
+    ['Occasion', orNotSpecified(style.occasion)],
+    ['Season', orNotSpecified(style.season)],
+    ['Patterns', style.patterns.length > 0 ? style.patterns.map(titleCase).join(', ') : 'Solid'],
+    ['Current revision', techPack.revisions[techPack.revisions.length - 1].revision]
+  ]);
+  doc.moveDown(1);
+  imageBox(doc, imageBuffer, { height: 380 });
+
+  // Flat sketch
+  doc.addPage();
+  heading(doc, 'Flat Sketch');
+  imageBox(doc, sketch, { height: 480, placeholder: 'Flat sketch unavailable' });
+  paragraph(doc, 'Traced from the generated design. Line work is indicative; confirm proportions against the size chart.', { label: 'Note' });
+
+  // Bill of materials
+  heading(doc, 'Bill of Materials');
+  grid(doc, [
+    { label: 'Item', width: 0.16 },
+    { label: 'Placement', width: 0.17 },
+    { label: 'Description', width: 0.33 },
+    { label: 'Colour', width: 0.18 },
+    { label: 'Qty', width: 0.16, align: 'right' }
+  ], techPack.billOfMaterials.map(row => [row.item, row.placement, row.description, row.colour, `${row.quantity} ${row.unit}`]));
+
+  // Colourways
+  techPack.colourways.forEach(colourway => {
+    heading(doc, `Colourway ${colourway.name}: ${colourway.description}`);
+    if (colourway.colors.length === 0) {
+      paragraph(doc, 'No colours specified.');
+      return;
+    }
+    grid(doc, [
+      { label: 'Role', width: 0.2 },
+      { label: 'Hex', width: 0.14 },
+      { label: 'RGB', width: 0.18 },
+      { label: 'Nearest named colour', width: 0.33 },
+      { label: 'Delta E', width: 0.15, align: 'right' }
+    ], colourway.colors.map(color => [
+      color.role,
+      color.hex,
+      color.rgb ? color.rgb.join(', ') : '-',
+      color.name,
+      color.matchDistance === null ? '-' : color.matchDistance.toFixed(1)
+    ]), { swatches: colourway.colors.map(color => color.hex) });
+  });
+
+  // Size grading
+  const chart = techPack.sizeChart;
+  heading(doc, `Size Chart: ${titleCase(chart.garmentType)}, ${chart.sizeRunName} (${chart.unit})`);
+  const sizeShare = 0.64 / chart.sizes.length;
+  grid(doc, [
+    { label: 'POM', width: 0.07 },
+    { label: 'Point of measure', width: 0.19 },
+    ...chart.sizes.map(size => ({ label: size === chart.baseSize ? `${size}*` : size, width: sizeShare, align: 'right' })),
+    { label: 'Tol +/-', width: 0.1, align: 'right' }
+  ], chart.points.map(point => [point.code, point.name, ...point.values.map(String), String(point.tolerance)]), { fontSize: 8 });
+  paragraph(doc, sizeChartNote(chart));
+
+  // Construction and care
+  heading(doc, 'Construction Notes');
+  techPack.construction.forEach(note => paragraph(doc, `• ${note}`));
+
+  heading(doc, 'Care Labels');
+  grid(doc, [
+    { label: 'Material', width: 0.16 },
+    { label: 'Composition', width: 0.26 },
+    { label: 'Instructions', width: 0.58 }
+  ], techPack.care.map(label => [label.material, label.composition, label.instructions.join('; ')]));
+
+  // Revision history with sign-off rows for the approvers to fill in
+  heading(doc, 'Revisions');
+  grid(doc, [
+    { label: 'Rev', width: 0.08 },
+    { label: 'Date', width: 0.24 },
+    { label: 'Description', width: 0.48 },
+    { label: 'By', width: 0.2 }
+  ], techPack.revisions.map(entry => [entry.revision, formatDate(entry.date), entry.description, entry.author]));
+
+  doc.moveDown(1);
+  ensureSpace(doc, 120);
+  grid(doc, [
+    { label: 'Approval', width: 0.3 },
+    { label: 'Name', width: 0.3 },
+    { label: 'Signature', width: 0.25 },
+    { label: 'Date', width: 0.15 }
+  ], ['Design', 'Technical', 'Production'].map(role => [role, ' ', ' ', ' ']), { fontSize: 12 });
+
+  doc.x = PAGE.margin;
+  decoratePages(doc, { title: `${REPORT_TITLE} · ${style.number}`, generatedAt: techPack.generatedAt });
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  renderTechPack
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { nameColor, nearestColors, FASHION_COLORS } = require('../colors');
+const { ValidationError } = require('../errors');
+
+const MAX_ALTERNATIVES = 10;
+
+// @route   GET /api/colors/name?hex=7B1E2B
+// @desc    Name a colour: nearest curated fashion colour for a hex or rgb value
+// @access  Public
+router.get('/name', (req, res) => {
+  const value = req.query.hex || req.query.rgb;
+  const named = nameColor(value);
+
+  if (!named) {
+    throw new ValidationError('Provide a hex value (e.g. ?hex=7B1E2B) or rgb triplet (e.g. ?rgb=123,30,43)', { code: 'INVALID_COLOR' });
+  }
+
+  const limit = Math.min(parseInt(req.query.alternatives, 10) || 0, MAX_ALTERNATIVES);
+
+  res.json({
+    success: true,
+    color: named,
+    ...(limit > 0 && { alternatives: nearestColors(named.hex, limit + 1).slice(1) })
+  });
+});
+
+// @route   GET /api/colors/palette
+// @desc    List the curated fashion colours used for naming
+// @access  Public
+router.get('/palette', (req, res) => {
+  res.json({
+    success: true,
+    colors: FASHION_COLORS
+  });
+});
+
+module.exports = router;
@@ -1,533 +1,1130 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { authenticateToken, checkDesignLimit, optionalAuth } = require('../middleware/auth');
-const { generateDesign: generateReplicateDesign, generateDesignVariations, testConnection: testReplicateConnection, getAvailableModels: getReplicateModels } = require('../config/replicate');
-const { generateDesign: generateHuggingFaceDesign, testConnection: testHuggingFaceConnection, getAvailableModels: getHuggingFaceModels } = require('../config/huggingface');
+const { testProvider, listModels, listProviders, getCircuitStates, getDefaultProviderName, hasProvider } = require('../providers');
+const { parseGenerationParameters, SCHEDULERS, REFERENCE_MODES, LIMITS: PARAMETER_LIMITS } = require('../providers/parameters');
+const { getTemplate, hasTemplate, parseCustomPrompt } = require('../providers/prompts');
 const Design = require('../models/Design');
 const User = require('../models/User');
+const { enqueueGeneration, enqueueImageOperation, getQueueStats } = require('../jobs/queue');
+const { subscribeToDesign, TERMINAL_EVENTS, OPERATION_TERMINAL_EVENTS } = require('../jobs/events');
+const { selectRendition } = require('../storage');
+const { RENDITIONS } = require('../storage/renditions');
+const { getPlanLimits } = require('../config/plans');
+const queueConfig = require('../config/queue');
+const { parseColorList, MAX_DESIGN_COLORS } = require('../colors');
+const { parseStyleDetails } = require('../config/designOptions');
+const { uploadImage } = require('../middleware/upload');
+const { storeInspiration, resolveInspiration } = require('../storage/inspiration');
+const { validateOperation, screenOperation } = require('../jobs/imageOperations');
+const { moderatePrompt, mergeModeration, rejectionError } = require('../moderation');
+const { validateGeneration, validateFeedback } = require('../middleware/validate');
+const { asyncHandler, errorBody } = require('../middleware/errors');
+const { ValidationError, QuotaError, NotFoundError, ConflictError } = require('../errors');
+const { renderDesignReport, reportFilename, REPORT_TYPES } = require('../reports');
+const { buildTechPack } = require('../techpack');
+const { resolveMeasurements, gradeMeasurements, parseMeasurements } = require('../measurements');
+const { createExport, parseExportOptions, EXPORT_FORMATS } = require('../reports/exports');
+const { parseDesignImport, importedText, storeImportedImages, EXPORT_VERSION } = require('../imports');
+
+// Designs generated without a signed-in user are saved under this id
+const DEMO_USER_ID = new mongoose.Types.ObjectId('507f1f77bcf86cd799439011');
+
+// List views only need a small preview of each image; ?rendition= picks the size
+const getListRendition = (query) => {
+  return Object.prototype.hasOwnProperty.call(RENDITIONS, query.rendition) ? query.rendition : 'thumbnail';
+};
+
+const withRendition = (design, rendition) => {
+  const data = design.toObject();
+  data.images = (data.images || []).map(image => ({
+    ...image,
+    display: selectRendition(image, rendition)
+  }));
+  return data;
+};
+
+// Demo designs can be seen and changed by anyone; other designs only by their owner
+const findEditableDesign = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  const design = await Design.findById(req.params.id);
+  if (!design) {
+    return null;
+  }
+
+  const ownerId = req.user ? req.user._id : DEMO_USER_ID;
+  return design.userId.equals(ownerId) || design.userId.equals(DEMO_USER_ID) ? design : null;
+};
+
+// Body type the signed-in owner set in their profile; fits default measurements
+const ownerBodyType = (req) => req.user?.preferences?.bodyType;
+
+// Shape returned to the frontend for a single design
+const formatDesign = (design) => ({
+  id: design._id,
+  title: design.title,
+  description: design.description,
+  images: design.images,
+  inputParameters: design.inputParameters,
+  aiGeneration: design.aiGeneration,
+  status: design.status,
+  progress: design.progress,
+  inspiration: design.inspiration?.storageKey ? design.inspiration : undefined,
+  moderation: design.moderation
+    ? { status: design.moderation.status, categories: design.moderation.categories, rejectedImages: design.moderation.rejectedImages }
+    : undefined,
+  regeneratedFrom: design.regeneratedFrom,
+  importedFrom: design.importedFrom?.importedAt ? design.importedFrom : undefined,
+  createdAt: design.createdAt,
+  completedAt: design.completedAt
+});
+
+// A variation/upscale/edit of one of the design's images, with the variation
+// it produced once completed
+const formatOperation = (design, operation) => ({
+  id: operation._id,
+  operation: operation.operation,
+  imageId: operation.imageId,
+  status: operation.status,
+  progress: operation.progress,
+  error: operation.status === 'failed' ? operation.error : undefined,
+  variation: operation.variationId
+    ? design.images.id(operation.imageId)?.variations.id(operation.variationId) || undefined
+    : undefined,
+  createdAt: operation.createdAt,
+  completedAt: operation.completedAt
+});
+
+const designNotFound = (message) => new NotFoundError(message || 'Design not found', { code: 'DESIGN_NOT_FOUND' });
+const imageNotFound = () => new NotFoundError('This design has no image with that id', { code: 'IMAGE_NOT_FOUND' });
+const operationNotFound = () => new NotFoundError('This design has no image operation with that id', { code: 'OPERATION_NOT_FOUND' });
+
+// The operation picked with ?operation= on the status and events endpoints
+const findOperation = (design, query) => {
+  if (query.operation === undefined) return undefined;
+  const operation = mongoose.Types.ObjectId.isValid(query.operation) && design.operations.id(query.operation);
+  if (!operation) {
+    throw operationNotFound();
+  }
+  return operation;
+};
+
+// Save a design whose prompt was blocked by moderation as failed, so the
+// attempt is on record with its rejection code, and answer with 422
+const rejectDesign = async (res, design, promptModeration) => {
+  const rejection = rejectionError(promptModeration);
+  design.status = 'failed';
+  design.error = {
+    message: rejection.message,
+    code: rejection.code,
+    type: rejection.type,
+    timestamp: new Date()
+  };
+  design.progress = {
+    stage: 'failed',
+    percent: 100,
+    message: rejection.message,
+    updatedAt: new Date()
+  };
+  await design.save();
+  console.warn(`🚫 Design ${design._id} rejected by moderation:`, rejection.categories.join(', '));
+
+  // The failed design goes with the error so the client can show it
+  rejection.details = { ...rejection.details, design: formatDesign(design) };
+  return res.status(rejection.statusCode).json(errorBody(rejection));
+};
 
 // @route   GET /api/designs/models
 // @desc    Get available AI models
 // @access  Public
-router.get('/models', async (req, res) => {
-  try {
-    const hfModels = getHuggingFaceModels();
-    const replicateModels = getReplicateModels();
-
-    res.json({
-      success: true,
-      models: [
-        ...hfModels,
-        ...replicateModels.map(model => ({ ...model, provider: 'Replicate (Backup)' }))
-      ],
-      primary: 'Hugging Face (FREE!)',
-      backup: 'Replicate'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+router.get('/models', optionalAuth, asyncHandler(async (req, res) => {
+  const plan = req.user ? req.user.subscription.plan : 'free';
+
+  res.json({
+    success: true,
+    models: listModels(),
+    providers: listProviders(),
+    circuits: getCircuitStates(),
+    defaultProvider: getDefaultProviderName(),
+    plan,
+    limits: getPlanLimits(plan),
+    maxColors: MAX_DESIGN_COLORS,
+    schedulers: Object.keys(SCHEDULERS),
+    inspirationModes: REFERENCE_MODES,
+    parameterLimits: PARAMETER_LIMITS
+  });
+}));
+
+// @route   GET /api/designs/test/:provider
+// @desc    Test an image provider connection (huggingface, replicate, ...)
+// @access  Public
+router.get('/test/:provider', asyncHandler(async (req, res) => {
+  if (!hasProvider(req.params.provider)) {
+    throw new NotFoundError(`Unknown image provider: ${req.params.provider}`, { code: 'UNKNOWN_PROVIDER' });
   }
-});
 
-// @route   GET /api/designs/test/huggingface
-// @desc    Test Hugging Face AI connection
+  const result = await testProvider(req.params.provider);
+  res.json(result);
+}));
+
+// @route   GET /api/designs/queue/stats
+// @desc    Generation queue depth and worker concurrency
 // @access  Public
-router.get('/test/huggingface', async (req, res) => {
-  try {
-    const result = await testHuggingFaceConnection();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+router.get('/queue/stats', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    queue: await getQueueStats()
+  });
+}));
+
+// @route   POST /api/designs/inspiration
+// @desc    Upload an inspiration image (multipart field "image") to generate from
+// @access  Public (stored under the signed-in user, or the demo user)
+router.post('/inspiration', optionalAuth, uploadImage('image'), asyncHandler(async (req, res) => {
+  const ownerId = req.user ? req.user._id : DEMO_USER_ID;
+  const inspiration = await storeInspiration(req.file, ownerId);
+
+  if (!inspiration) {
+    throw new ValidationError('The uploaded file is not a readable JPEG, PNG or WebP image', { code: 'INVALID_IMAGE' });
   }
-});
 
-// @route   GET /api/designs/test/replicate
-// @desc    Test Replicate AI connection (backup)
-// @access  Public
-router.get('/test/replicate', async (req, res) => {
-  try {
-    const result = await testReplicateConnection();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  res.status(201).json({
+    success: true,
+    inspiration,
+    modes: REFERENCE_MODES
+  });
+}));
+
+// @route   POST /api/designs/import
+// @desc    Create a design from a JSON export (the body is the exported document). Older
+//          export versions are migrated and the images are copied into our storage.
+// @access  Public (owned by the signed-in user, or the demo user)
+router.post('/import', optionalAuth, asyncHandler(async (req, res) => {
+  const { design: imported, source, errors } = parseDesignImport(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_IMPORT', details: { errors } });
   }
-});
+
+  const promptModeration = await moderatePrompt(importedText(imported));
+  if (promptModeration.status === 'rejected') {
+    throw rejectionError(promptModeration);
+  }
+
+  const { images, ...fields } = imported;
+  const design = new Design({
+    ...fields,
+    userId: req.user ? req.user._id : DEMO_USER_ID,
+    importedFrom: { ...source, importedAt: new Date() },
+    status: 'completed',
+    progress: {
+      stage: 'completed',
+      percent: 100,
+      message: 'Imported',
+      updatedAt: new Date()
+    }
+  });
+
+  const stored = await storeImportedImages(images, {
+    folder: `designs/${design._id}`,
+    name: `design_${design._id}_${Date.now()}`,
+    moderation: mergeModeration(undefined, promptModeration)
+  });
+  design.images = stored.images;
+  design.moderation = stored.moderation;
+  await design.save();
+
+  res.status(201).json({
+    success: true,
+    message: source.exportVersion === EXPORT_VERSION
+      ? 'Design imported'
+      : `Design imported (migrated from export version ${source.exportVersion})`,
+    design: formatDesign(design)
+  });
+}));
 
 // @route   POST /api/designs/generate
-// @desc    Generate a new fashion design
-// @access  Public (for demo purposes, but now saves to database)
-router.post('/generate', async (req, res) => {
-  try {
-    // For demo purposes, we'll work without user authentication but save to database
-    const {
+// @desc    Start generating a new fashion design (runs in the background)
+// @access  Public (for demo purposes, but now saves to database; signed-in users get their plan's limits)
+router.post('/generate', optionalAuth, validateGeneration, asyncHandler(async (req, res) => {
+  // For demo purposes, we'll work without user authentication but save to database
+  const {
+    gender,
+    occasion,
+    style,
+    colors,
+    patterns,
+    materials,
+    mood,
+    season,
+    modelType = 'sdxl', // Default to Stable Diffusion XL
+    provider = getDefaultProviderName(),
+    count = 1,
+    promptTemplate, // optional "name" or "name@version"; defaults per model family
+    inspiration: inspirationRequest // optional { storageKey, mode, strength } from /inspiration
+  } = req.body;
+
+  // Gender, occasion, style and style details were checked against the schema by validateGeneration
+  if (!colors || colors.length === 0) {
+    throw new ValidationError('Please provide at least one color', { code: 'MISSING_FIELDS' });
+  }
+
+  const colorList = parseColorList(colors);
+  if (!colorList || colorList.length > MAX_DESIGN_COLORS) {
+    throw new ValidationError(`Colors must be 1-${MAX_DESIGN_COLORS} hex values`, { code: 'INVALID_COLORS' });
+  }
+
+  const { details: styleDetails, errors: styleErrors } = parseStyleDetails({ patterns, materials, mood, season });
+  if (styleErrors.length > 0) {
+    throw new ValidationError(styleErrors.join('; '), { code: 'INVALID_STYLE_DETAILS', details: { errors: styleErrors } });
+  }
+
+  if (!hasProvider(provider)) {
+    throw new ValidationError(`Unknown image provider: ${provider}`, { code: 'UNKNOWN_PROVIDER' });
+  }
+
+  const plan = req.user ? req.user.subscription.plan : 'free';
+  const { imagesPerRequest } = getPlanLimits(plan);
+  const imageCount = Number(count);
+
+  if (!Number.isInteger(imageCount) || imageCount < 1 || imageCount > imagesPerRequest) {
+    throw new QuotaError(`count must be a whole number between 1 and ${imagesPerRequest} on the ${plan} plan`, {
+      code: 'IMAGE_COUNT_EXCEEDED',
+      statusCode: 400,
+      details: { maxImages: imagesPerRequest, plan }
+    });
+  }
+
+  if (promptTemplate && !hasTemplate(promptTemplate)) {
+    throw new ValidationError(`Unknown prompt template: ${promptTemplate}`, { code: 'UNKNOWN_PROMPT_TEMPLATE' });
+  }
+
+  const { custom, errors: customErrors } = parseCustomPrompt(req.body);
+  if (customErrors.length > 0) {
+    throw new ValidationError(customErrors.join('; '), { code: 'INVALID_CUSTOM_PROMPT', details: { errors: customErrors } });
+  }
+  if (custom?.mode === 'override' && promptTemplate) {
+    throw new ValidationError('promptTemplate has no effect when promptMode is override', { code: 'INVALID_CUSTOM_PROMPT' });
+  }
+  const template = promptTemplate ? getTemplate(promptTemplate) : null;
+
+  const { inspiration, errors: inspirationErrors } = await resolveInspiration(
+    inspirationRequest,
+    req.user ? req.user._id : DEMO_USER_ID
+  );
+  if (inspirationErrors.length > 0) {
+    throw new ValidationError(inspirationErrors.join('; '), { code: 'INVALID_INSPIRATION', details: { errors: inspirationErrors } });
+  }
+
+  const { parameters: sampling, errors: parameterErrors } = parseGenerationParameters(req.body);
+  if (parameterErrors.length > 0) {
+    throw new ValidationError(parameterErrors.join('; '), { code: 'INVALID_PARAMETERS', details: { errors: parameterErrors } });
+  }
+
+  // Screen the user's own text before anything is queued
+  const promptModeration = await moderatePrompt(custom?.text);
+
+  // Create design document in database
+  const design = new Design({
+    userId: req.user ? req.user._id : DEMO_USER_ID,
+    title: `${style} ${occasion} Design`,
+    description: custom?.text || `AI-generated ${style} ${occasion} outfit for ${gender}`,
+    inputParameters: {
       gender,
       occasion,
       style,
-      colors,
-      patterns,
-      materials,
-      mood,
-      season,
-      customPrompt,
-      modelType = 'sdxl' // Default to Stable Diffusion XL
-    } = req.body;
-
-    // Validate required fields
-    if (!gender || !occasion || !style || !colors || colors.length === 0) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Please provide gender, occasion, style, and at least one color'
-      });
+      colors: colorList,
+      ...styleDetails,
+      customPrompt: custom?.text,
+      promptMode: custom?.mode || 'merge'
+    },
+    inspiration: inspiration || undefined,
+    moderation: mergeModeration(undefined, promptModeration),
+    aiGeneration: {
+      prompt: `Generating ${style} ${occasion} outfit for ${gender} with colors: ${colorList.join(', ')}`,
+      model: modelType || 'sdxl',
+      provider,
+      promptTemplate: template ? { name: template.name, version: template.version, family: template.family } : undefined,
+      parameters: {
+        imageCount,
+        seed: sampling.seed,
+        negativePrompt: sampling.negativePrompt,
+        scheduler: sampling.scheduler,
+        inferenceSteps: sampling.steps,
+        guidanceScale: sampling.guidance
+      }
+    },
+    status: 'generating',
+    progress: {
+      stage: 'queued',
+      percent: 5,
+      message: 'Waiting for an available generator...',
+      updatedAt: new Date()
     }
+  });
+
+  if (promptModeration.status === 'rejected') {
+    return rejectDesign(res, design, promptModeration);
+  }
 
-    // Create a demo user ID for database storage
-    const mongoose = require('mongoose');
-    const demoUserId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439011');
-
-    // Create design document in database
-    const design = new Design({
-      userId: demoUserId,
-      title: `${style} ${occasion} Design`,
-      description: customPrompt || `AI-generated ${style} ${occasion} outfit for ${gender}`,
-      inputParameters: {
-        gender,
-        occasion,
-        style,
-        colors,
-        patterns: patterns || [],
-        materials: materials || [],
-        mood: mood || 'confident',
-        season: season || 'all-season'
-      },
-      aiGeneration: {
-        prompt: `Generating ${style} ${occasion} outfit for ${gender} with colors: ${colors.join(', ')}`,
-        model: modelType || 'sdxl'
-      },
-      status: 'generating'
+  // Save initial design to database
+  await design.save();
+  console.log('💾 Design saved to database with ID:', design._id);
+
+  // Generate in the background; the client polls /api/designs/:id/status
+  await enqueueGeneration(design._id, { provider });
+
+  res.status(202).json({
+    success: true,
+    message: 'Design generation started',
+    design: formatDesign(design),
+    statusUrl: `/api/designs/${design._id}/status`
+  });
+}));
+
+// @route   POST /api/designs/:id/regenerate
+// @desc    Generate a new design with exactly the same prompt, provider, model and sampling parameters
+// @access  Public for demo designs, owner only otherwise
+router.post('/:id/regenerate', optionalAuth, asyncHandler(async (req, res) => {
+  const source = await findEditableDesign(req);
+  if (!source) {
+    throw designNotFound();
+  }
+
+  if (source.status !== 'completed') {
+    throw new ConflictError('Only completed designs can be regenerated', { code: 'DESIGN_NOT_READY' });
+  }
+
+  const parameters = source.aiGeneration.parameters || {};
+  const plan = req.user ? req.user.subscription.plan : 'free';
+  const { imagesPerRequest } = getPlanLimits(plan);
+  if ((parameters.imageCount || 1) > imagesPerRequest) {
+    throw new QuotaError(`This design has ${parameters.imageCount} images; the ${plan} plan allows ${imagesPerRequest} per request`, {
+      code: 'IMAGE_COUNT_EXCEEDED',
+      statusCode: 400,
+      details: { maxImages: imagesPerRequest, plan }
     });
+  }
 
-    // Save initial design to database
-    await design.save();
-    console.log('💾 Design saved to database with ID:', design._id);
-
-    // Generate the design using Hugging Face AI (FREE!)
-    try {
-      const startTime = Date.now();
-      const generationResult = await generateHuggingFaceDesign({
-        gender,
-        occasion,
-        style,
-        colors,
-        patterns,
-        materials,
-        mood,
-        season
-      }, modelType);
-      const generationTime = Date.now() - startTime;
-
-      // Update design with generated content and save to database
-      design.images = [{
-        url: generationResult.image.url,
-        filename: `design_${design._id}_${Date.now()}.png`,
-        isOriginal: true,
-        dimensions: {
-          width: 1024,
-          height: 1024
-        }
-      }];
-
-      design.aiGeneration = {
-        prompt: generationResult.image.originalPrompt,
-        model: generationResult.metadata.model,
-        generationTime: generationTime,
-        modelVersion: generationResult.metadata.modelVersion,
-        parameters: {
-          size: '1024x1024',
-          modelVersion: generationResult.metadata.modelVersion
-        }
-      };
-
-      design.status = 'completed';
-      design.completedAt = new Date();
-
-      // Save completed design to database
-      await design.save();
-      console.log('✅ Design generation completed and saved to database');
-
-      res.json({
-        success: true,
-        message: 'Design generated and saved successfully',
-        design: {
-          id: design._id,
-          title: design.title,
-          description: design.description,
-          images: design.images,
-          inputParameters: design.inputParameters,
-          aiGeneration: design.aiGeneration,
-          status: design.status,
-          createdAt: design.createdAt,
-          completedAt: design.completedAt
-        }
-      });
-
-    } catch (generationError) {
-      // Update design status to failed and save error
-      design.status = 'failed';
-      design.error = {
-        message: generationError.message,
-        code: generationError.code || 'GENERATION_ERROR',
-        timestamp: new Date()
-      };
-      await design.save();
-      console.error('❌ Design generation failed, error saved to database');
-      throw generationError;
+  // The word lists may have changed since the source was generated
+  const promptModeration = await moderatePrompt(source.inputParameters.customPrompt);
+
+  const design = new Design({
+    userId: req.user ? req.user._id : DEMO_USER_ID,
+    title: source.title,
+    description: source.description,
+    inputParameters: source.inputParameters,
+    inspiration: source.inspiration?.storageKey ? source.inspiration : undefined,
+    moderation: mergeModeration(undefined, promptModeration),
+    aiGeneration: {
+      prompt: source.aiGeneration.prompt,
+      model: source.aiGeneration.model,
+      provider: source.aiGeneration.provider,
+      promptTemplate: source.aiGeneration.promptTemplate,
+      parameters: {
+        size: parameters.size,
+        imageCount: parameters.imageCount,
+        seed: parameters.seed,
+        negativePrompt: parameters.negativePrompt,
+        scheduler: parameters.scheduler,
+        inferenceSteps: parameters.inferenceSteps,
+        guidanceScale: parameters.guidanceScale
+      }
+    },
+    regeneratedFrom: source._id,
+    status: 'generating',
+    progress: {
+      stage: 'queued',
+      percent: 5,
+      message: 'Waiting for an available generator...',
+      updatedAt: new Date()
     }
+  });
 
-  } catch (error) {
-    console.error('Design generation error:', error);
-    
-    res.status(500).json({
-      error: 'Design generation failed',
-      message: error.message || 'Internal server error'
-    });
+  if (promptModeration.status === 'rejected') {
+    return rejectDesign(res, design, promptModeration);
   }
-});
+
+  await design.save();
+  await enqueueGeneration(design._id, { provider: design.aiGeneration.provider });
+
+  res.status(202).json({
+    success: true,
+    message: 'Regeneration started',
+    design: formatDesign(design),
+    statusUrl: `/api/designs/${design._id}/status`
+  });
+}));
+
+// Current state of a design, or of one of its image operations, as an SSE event
+const designSnapshot = (design) => {
+  const event = {
+    type: design.status === 'generating' ? (design.progress?.stage || 'queued') : design.status,
+    designId: String(design._id),
+    status: design.status,
+    percent: design.progress?.percent,
+    message: design.progress?.message,
+    timestamp: new Date().toISOString()
+  };
+  return design.status === 'failed'
+    ? { ...event, message: design.error?.message, code: design.error?.code, errorType: design.error?.type }
+    : event;
+};
+
+const operationSnapshot = (design, operation) => {
+  const finished = operation.status === 'completed' || operation.status === 'failed';
+  const event = {
+    type: `operation-${finished ? operation.status : (operation.progress?.stage || 'queued')}`,
+    designId: String(design._id),
+    operationId: String(operation._id),
+    operation: operation.operation,
+    imageId: String(operation.imageId),
+    status: operation.status,
+    percent: operation.progress?.percent,
+    message: operation.progress?.message,
+    timestamp: new Date().toISOString()
+  };
+  return operation.status === 'failed'
+    ? { ...event, message: operation.error?.message, code: operation.error?.code, errorType: operation.error?.type }
+    : event;
+};
+
+// @route   GET /api/designs/:id/status
+// @desc    Poll the generation status of a design; ?operation=<id> adds that
+//          variation/upscale/edit's status
+// @access  Public for demo designs (same as /generate), otherwise the owner
+router.get('/:id/status', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+
+  if (!design) {
+    throw designNotFound();
+  }
+
+  const operation = findOperation(design, req.query);
+
+  res.json({
+    success: true,
+    status: design.status,
+    progress: design.progress,
+    error: design.status === 'failed' ? design.error : undefined,
+    operation: operation ? formatOperation(design, operation) : undefined,
+    design: design.status === 'completed' ? formatDesign(design) : undefined
+  });
+}));
+
+// @route   GET /api/designs/:id/events
+// @desc    Server-Sent Events stream of generation progress
+//          (queued, started, provider-switched, retrying, completed, failed).
+//          With ?operation=<id>, that image operation's progress instead, as
+//          operation-queued, operation-started, ... operation-failed.
+// @access  Public for demo designs (same as /generate), otherwise the owner
+router.get('/:id/events', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+
+  if (!design) {
+    throw designNotFound();
+  }
+
+  const operation = findOperation(design, req.query);
+  const operationId = operation ? String(operation._id) : undefined;
+  const terminalEvents = operation ? OPERATION_TERMINAL_EVENTS : TERMINAL_EVENTS;
+  const [completedEvent] = terminalEvents;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // A terminal event can arrive while the snapshot below is being read, so
+  // nothing is written once the stream has been closed (by us or the client)
+  let closed = false;
+
+  // Progress last sent, so a re-read that shows nothing new isn't repeated
+  let lastSent;
+
+  const send = (event) => {
+    if (closed) return;
+    lastSent = `${event.type}:${event.percent}`;
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  let unsubscribe = () => {};
+  let refresh;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(refresh);
+    unsubscribe();
+    res.end();
+  };
+
+  // The completed event carries the design, and an operation's the variation it made
+  const withResult = (event, current) => {
+    const finished = operation && current.operations.id(operation._id);
+    return {
+      ...event,
+      ...(finished && { variation: formatOperation(current, finished).variation }),
+      design: formatDesign(current)
+    };
+  };
+
+  // Send the stored state unless it was just sent, and close on an outcome
+  const sendState = (current) => {
+    const snapshot = operation
+      ? operationSnapshot(current, current.operations.id(operation._id) || operation)
+      : designSnapshot(current);
+
+    if (snapshot.type === completedEvent) {
+      send(withResult(snapshot, current));
+    } else if (`${snapshot.type}:${snapshot.percent}` !== lastSent) {
+      send(snapshot);
+    }
+    if (terminalEvents.includes(snapshot.type)) {
+      close();
+    }
+  };
+
+  // Subscribe before sending the snapshot so no event is missed in between
+  unsubscribe = subscribeToDesign(design._id, (event) => {
+    // Only the requested operation's events, or only the generation's
+    if (event.operationId !== operationId) return;
+
+    if (event.type === completedEvent) {
+      Design.findById(design._id)
+        .then(current => (current ? withResult(event, current) : event), () => event)
+        .then(result => {
+          send(result);
+          close();
+        });
+      return;
+    }
+
+    send(event);
+    if (terminalEvents.includes(event.type)) {
+      close();
+    }
+  });
+
+  req.on('close', close);
+
+  // Current state first (re-read after subscribing), so late subscribers still get the outcome
+  const current = await Design.findById(design._id) || design;
+  if (closed) return;
+  sendState(current);
+  if (closed) return;
+
+  // Events are only published in this process, so a job claimed by another
+  // worker is followed by re-reading the design
+  let reading = false;
+  refresh = setInterval(() => {
+    if (reading) return;
+    reading = true;
+    Design.findById(design._id)
+      .then(latest => {
+        // A deleted design ends the stream; the client's fallback poll gets the 404
+        if (latest) {
+          sendState(latest);
+        } else {
+          close();
+        }
+      })
+      .catch(error => console.warn(`⚠️ Could not re-read design ${design._id} for its event stream:`, error.message))
+      .finally(() => { reading = false; });
+  }, queueConfig.pollInterval);
+}));
 
 // @route   GET /api/designs/demo
 // @desc    Get all designs (demo mode - no authentication)
 // @access  Public
-router.get('/demo', async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status } = req.query;
+router.get('/demo', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
 
-    const query = { isArchived: false };
-    if (status) {
-      query.status = status;
-    }
+  const query = { isArchived: false };
+  if (status) {
+    query.status = status;
+  }
 
-    const designs = await Design.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-aiGeneration.cost -error');
-
-    const total = await Design.countDocuments(query);
-
-    res.json({
-      success: true,
-      designs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+  const designs = await Design.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-aiGeneration.cost -error');
 
-  } catch (error) {
-    console.error('Fetch designs error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch designs',
-      message: 'Internal server error'
-    });
-  }
-});
+  const total = await Design.countDocuments(query);
+
+  const rendition = getListRendition(req.query);
+
+  res.json({
+    success: true,
+    designs: designs.map(design => withRendition(design, rendition)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
 
 // @route   GET /api/designs
 // @desc    Get user's designs
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const user = req.user;
-    const { page = 1, limit = 10, status } = req.query;
-
-    const query = { userId: user._id, isArchived: false };
-    if (status) {
-      query.status = status;
-    }
-
-    const designs = await Design.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-aiGeneration.cost -error');
-
-    const total = await Design.countDocuments(query);
-
-    res.json({
-      success: true,
-      designs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { page = 1, limit = 10, status } = req.query;
 
-  } catch (error) {
-    console.error('Fetch designs error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch designs',
-      message: 'Internal server error'
-    });
+  const query = { userId: user._id, isArchived: false };
+  if (status) {
+    query.status = status;
   }
-});
 
-// @route   GET /api/designs/:id
-// @desc    Get specific design
-// @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const user = req.user;
-    const designId = req.params.id;
-
-    const design = await Design.findOne({
-      _id: designId,
-      userId: user._id,
-      isArchived: false
-    });
+  const designs = await Design.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-aiGeneration.cost -error');
 
-    if (!design) {
-      return res.status(404).json({
-        error: 'Design not found',
-        message: 'The requested design does not exist or you do not have access to it'
-      });
-    }
+  const total = await Design.countDocuments(query);
 
-    // Increment view count
-    await design.incrementView();
+  const rendition = getListRendition(req.query);
 
-    res.json({
-      success: true,
-      design
-    });
+  res.json({
+    success: true,
+    designs: designs.map(design => withRendition(design, rendition)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
 
-  } catch (error) {
-    console.error('Fetch design error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch design',
-      message: 'Internal server error'
-    });
+// @route   GET /api/designs/:id
+// @desc    Get specific design
+// @access  Private
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const user = req.user;
+  const designId = req.params.id;
+
+  const design = await Design.findOne({
+    _id: designId,
+    userId: user._id,
+    isArchived: false
+  });
+
+  if (!design) {
+    throw designNotFound('The requested design does not exist or you do not have access to it');
   }
-});
+
+  // Increment view count
+  await design.incrementView();
+
+  res.json({
+    success: true,
+    design
+  });
+}));
 
 // @route   POST /api/designs/:id/favorite
 // @desc    Toggle favorite status
 // @access  Private
-router.post('/:id/favorite', authenticateToken, async (req, res) => {
-  try {
-    const user = req.user;
-    const designId = req.params.id;
-
-    const design = await Design.findOne({
-      _id: designId,
-      userId: user._id
-    });
+router.post('/:id/favorite', authenticateToken, asyncHandler(async (req, res) => {
+  const user = req.user;
+  const designId = req.params.id;
 
-    if (!design) {
-      return res.status(404).json({
-        error: 'Design not found'
-      });
-    }
+  const design = await Design.findOne({
+    _id: designId,
+    userId: user._id
+  });
 
-    await design.toggleFavorite();
+  if (!design) {
+    throw designNotFound();
+  }
 
-    res.json({
-      success: true,
-      message: design.interactions.isFavorited ? 'Added to favorites' : 'Removed from favorites',
-      isFavorited: design.interactions.isFavorited
-    });
+  await design.toggleFavorite();
 
-  } catch (error) {
-    console.error('Toggle favorite error:', error);
-    res.status(500).json({
-      error: 'Failed to update favorite status',
-      message: 'Internal server error'
-    });
-  }
-});
+  res.json({
+    success: true,
+    message: design.interactions.isFavorited ? 'Added to favorites' : 'Removed from favorites',
+    isFavorited: design.interactions.isFavorited
+  });
+}));
 
 // @route   POST /api/designs/:id/download
 // @desc    Track design download
 // @access  Private
-router.post('/:id/download', authenticateToken, async (req, res) => {
-  try {
-    const user = req.user;
-    const designId = req.params.id;
-
-    const design = await Design.findOne({
-      _id: designId,
-      userId: user._id
-    });
+router.post('/:id/download', authenticateToken, asyncHandler(async (req, res) => {
+  const user = req.user;
+  const designId = req.params.id;
 
-    if (!design) {
-      return res.status(404).json({
-        error: 'Design not found'
-      });
-    }
+  const design = await Design.findOne({
+    _id: designId,
+    userId: user._id
+  });
 
-    await design.addDownload();
+  if (!design) {
+    throw designNotFound();
+  }
 
-    // Update user stats
-    user.stats.downloadsCount++;
-    await user.save();
+  await design.addDownload();
 
-    res.json({
-      success: true,
-      message: 'Download tracked successfully',
-      downloadCount: design.interactions.downloads
-    });
+  // Update user stats
+  user.stats.downloadsCount++;
+  await user.save();
 
-  } catch (error) {
-    console.error('Track download error:', error);
-    res.status(500).json({
-      error: 'Failed to track download',
-      message: 'Internal server error'
-    });
-  }
-});
+  res.json({
+    success: true,
+    message: 'Download tracked successfully',
+    downloadCount: design.interactions.downloads
+  });
+}));
 
 // @route   GET /api/designs/public/gallery
 // @desc    Get public designs gallery
 // @access  Public
-router.get('/public/gallery', optionalAuth, async (req, res) => {
-  try {
-    const { page = 1, limit = 20 } = req.query;
-
-    const designs = await Design.findPublicDesigns(limit)
-      .skip((page - 1) * limit);
-
-    res.json({
-      success: true,
-      designs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      }
-    });
+router.get('/public/gallery', optionalAuth, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
 
-  } catch (error) {
-    console.error('Fetch gallery error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch gallery',
-      message: 'Internal server error'
-    });
+  const designs = await Design.findPublicDesigns(limit)
+    .skip((page - 1) * limit);
+
+  const rendition = getListRendition(req.query);
+
+  res.json({
+    success: true,
+    designs: designs.map(design => withRendition(design, rendition)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// @route   PUT /api/designs/:id/images/:imageId/primary
+// @desc    Choose which generated candidate represents the design
+// @access  Public for demo designs, owner only otherwise
+router.put('/:id/images/:imageId/primary', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+
+  const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && design.setPrimaryImage(req.params.imageId);
+  if (!image) {
+    throw imageNotFound();
+  }
+
+  await design.save();
+
+  res.json({
+    success: true,
+    message: 'Primary image updated',
+    design: formatDesign(design)
+  });
+}));
+
+// Shared handler for the variation/upscale/edit routes below. The operation
+// runs on the generation queue; like /generate this answers 202 and the client
+// follows it with /status or /events and ?operation=<id>.
+const imageOperationHandler = (operation) => asyncHandler(async (req, res) => {
+  const validationError = validateOperation(operation, req.body);
+  if (validationError) {
+    throw new ValidationError(validationError, { code: 'INVALID_OPERATION' });
+  }
+
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
   }
+
+  const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && design.images.id(req.params.imageId);
+  if (!image) {
+    throw imageNotFound();
+  }
+
+  // A blocked edit instruction is answered with 422 before anything is queued
+  await screenOperation(operation, req.body);
+
+  const { strength, scale, instruction, provider } = req.body;
+  design.operations.push({
+    operation,
+    imageId: image._id,
+    options: {
+      strength: strength !== undefined ? Number(strength) : undefined,
+      scale: scale !== undefined ? Number(scale) : undefined,
+      instruction: operation === 'edit' ? instruction.trim() : undefined
+    },
+    provider: typeof provider === 'string' && hasProvider(provider) ? provider : undefined,
+    progress: {
+      stage: 'queued',
+      percent: 5,
+      message: 'Waiting for an available generator...',
+      updatedAt: new Date()
+    }
+  });
+  const queued = design.operations[design.operations.length - 1];
+  await design.save();
+
+  await enqueueImageOperation(design._id, queued);
+
+  res.status(202).json({
+    success: true,
+    message: `Image ${operation} started`,
+    operation: formatOperation(design, queued),
+    statusUrl: `/api/designs/${design._id}/status?operation=${queued._id}`,
+    eventsUrl: `/api/designs/${design._id}/events?operation=${queued._id}`
+  });
 });
 
+// @route   POST /api/designs/:id/images/:imageId/variations
+// @desc    Re-render an image as a variation of the same design (body: { strength? })
+// @access  Public for demo designs, owner only otherwise
+router.post('/:id/images/:imageId/variations', optionalAuth, imageOperationHandler('variation'));
+
+// @route   POST /api/designs/:id/images/:imageId/upscale
+// @desc    Upscale an image (body: { scale?: 2 | 4 })
+// @access  Public for demo designs, owner only otherwise
+router.post('/:id/images/:imageId/upscale', optionalAuth, imageOperationHandler('upscale'));
+
+// @route   POST /api/designs/:id/images/:imageId/edit
+// @desc    Edit an image from an instruction (body: { instruction })
+// @access  Public for demo designs, owner only otherwise
+router.post('/:id/images/:imageId/edit', optionalAuth, imageOperationHandler('edit'));
+
+// @route   GET /api/designs/:id/report?type=design|tech-pack
+// @desc    Render the design's PDF report on the server (for emailing or archiving)
+// @access  Public for demo designs, owner only otherwise
+router.get('/:id/report', optionalAuth, asyncHandler(async (req, res) => {
+  const { type = 'design' } = req.query;
+  if (!REPORT_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of: ${REPORT_TYPES.join(', ')}`, { code: 'INVALID_REPORT_TYPE' });
+  }
+
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+  if (design.status !== 'completed') {
+    throw new ConflictError('Reports are available once the design is completed', { code: 'DESIGN_NOT_READY' });
+  }
+
+  const pdf = await renderDesignReport(design, { type, folder: `designs/${design._id}`, bodyType: ownerBodyType(req) });
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${reportFilename(design, type)}"`
+  });
+  res.send(pdf);
+}));
+
+// @route   GET /api/designs/:id/tech-pack
+// @desc    Get the design's tech pack (BOM, colourways, size chart, construction, care) as JSON
+// @access  Public for demo designs, owner only otherwise
+router.get('/:id/tech-pack', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+  if (design.status !== 'completed') {
+    throw new ConflictError('Tech packs are available once the design is completed', { code: 'DESIGN_NOT_READY' });
+  }
+
+  res.json({
+    success: true,
+    techPack: await buildTechPack(design, { folder: `designs/${design._id}`, bodyType: ownerBodyType(req) })
+  });
+}));
+
+// Graded measurement spec as returned by the measurements routes
+const measurementsBody = ({ spec, isDefault, updatedAt }) => ({
+  success: true,
+  measurements: gradeMeasurements(spec),
+  isDefault,
+  updatedAt
+});
+
+// @route   GET /api/designs/:id/measurements
+// @desc    Get the design's measurement spec with every size graded (defaults until one is saved)
+// @access  Public for demo designs, owner only otherwise
+router.get('/:id/measurements', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+
+  res.json(measurementsBody(resolveMeasurements(design, { bodyType: ownerBodyType(req) })));
+}));
+
+// @route   PUT /api/designs/:id/measurements
+// @desc    Update the measurement spec (body: { garmentType?, sizeRun?, unit?, baseSize?, points? })
+// @access  Public for demo designs, owner only otherwise
+router.put('/:id/measurements', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+
+  const bodyType = ownerBodyType(req);
+  const { spec, errors } = parseMeasurements(req.body, {
+    current: resolveMeasurements(design, { bodyType }).spec,
+    gender: design.inputParameters.gender,
+    bodyType
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_MEASUREMENTS', details: { errors } });
+  }
+
+  design.measurements = { ...spec, updatedAt: new Date() };
+  await design.save();
+
+  res.json(measurementsBody(resolveMeasurements(design)));
+}));
+
+// @route   DELETE /api/designs/:id/measurements
+// @desc    Discard the saved spec and go back to the defaults
+// @access  Public for demo designs, owner only otherwise
+router.delete('/:id/measurements', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+
+  design.measurements = undefined;
+  await design.save();
+
+  res.json(measurementsBody(resolveMeasurements(design, { bodyType: ownerBodyType(req) })));
+}));
+
+// @route   POST /api/designs/:id/exports?format=pdf|tech-pack|png|jpg|webp
+// @desc    Render an export on the server, store it under /uploads and record it in design.exports.
+//          Images take ?resolution=small|medium|large|original, ?quality=1-100 (jpg, webp) and ?transparent=true (png, webp)
+// @access  Public for demo designs, owner only otherwise
+router.post('/:id/exports', optionalAuth, asyncHandler(async (req, res) => {
+  const format = req.query.format || req.body?.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, { code: 'INVALID_EXPORT_FORMAT' });
+  }
+  const { options, errors } = parseExportOptions(format, { ...req.body, ...req.query });
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_EXPORT_OPTIONS', details: { errors } });
+  }
+
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+  if (design.status !== 'completed') {
+    throw new ConflictError('Only completed designs can be exported', { code: 'DESIGN_NOT_READY' });
+  }
+
+  const exported = await createExport(design, format, { folder: `designs/${design._id}`, bodyType: ownerBodyType(req), options });
+  design.exports.push({ ...exported, exportedBy: req.user?._id });
+  await design.save();
+
+  const record = design.exports[design.exports.length - 1];
+  res.status(201).json({
+    success: true,
+    message: `Design exported as ${format}`,
+    export: record,
+    downloadUrl: record.url
+  });
+}));
+
+// @route   GET /api/designs/:id/exports
+// @desc    List the exports recorded for a design, newest first
+// @access  Public for demo designs, owner only otherwise
+router.get('/:id/exports', optionalAuth, asyncHandler(async (req, res) => {
+  const design = await findEditableDesign(req);
+  if (!design) {
+    throw designNotFound();
+  }
+
+  res.json({
+    success: true,
+    exports: [...design.exports].reverse()
+  });
+}));
+
 // @route   POST /api/designs/:id/feedback
 // @desc    Submit feedback for a design (demo mode)
 // @access  Public
-router.post('/:id/feedback', async (req, res) => {
-  try {
-    const { id: designId } = req.params;
-    const { rating, comment, feedbackType, tags, helpful } = req.body;
-
-    // Validate rating
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Rating must be between 1 and 5'
-      });
-    }
+router.post('/:id/feedback', validateFeedback, asyncHandler(async (req, res) => {
+  const { id: designId } = req.params;
+  const { rating, comment, feedbackType, tags, helpful } = req.body;
+
+  // Check if design exists
+  const design = await Design.findById(designId);
+  if (!design) {
+    throw designNotFound();
+  }
 
-    // Check if design exists
-    const design = await Design.findById(designId);
-    if (!design) {
-      return res.status(404).json({
-        success: false,
-        error: 'Design not found'
-      });
+  // Import Feedback model
+  const Feedback = require('../models/Feedback');
+
+  // Create feedback
+  const feedback = new Feedback({
+    designId,
+    userId: 'demo-user', // Demo mode
+    rating,
+    comment: comment?.trim(),
+    feedbackType: feedbackType || 'general',
+    tags: tags || [],
+    helpful,
+    metadata: {
+      userAgent: req.headers['user-agent'],
+      timestamp: new Date(),
+      sessionId: req.headers['x-session-id'] || 'demo-session'
     }
+  });
 
-    // Import Feedback model
-    const Feedback = require('../models/Feedback');
-
-    // Create feedback
-    const feedback = new Feedback({
-      designId,
-      userId: 'demo-user', // Demo mode
-      rating,
-      comment: comment?.trim(),
-      feedbackType: feedbackType || 'general',
-      tags: tags || [],
-      helpful,
-      metadata: {
-        userAgent: req.headers['user-agent'],
-        timestamp: new Date(),
-        sessionId: req.headers['x-session-id'] || 'demo-session'
-      }
-    });
-
-    await feedback.save();
-    console.log('💬 Feedback saved to database:', feedback._id);
+  await feedback.save();
+  console.log('💬 Feedback saved to database:', feedback._id);
 
-    // Get updated feedback stats
-    const stats = await Feedback.getAverageRating(designId);
+  // Get updated feedback stats
+  const stats = await Feedback.getAverageRating(designId);
 
-    res.json({
-      success: true,
-      data: {
-        feedback,
-        stats
-      },
-      message: 'Feedback submitted successfully'
-    });
-
-  } catch (error) {
-    console.error('Submit feedback error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to submit feedback',
-      message: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    data: {
+      feedback,
+      stats
+    },
+    message: 'Feedback submitted successfully'
+  });
+}));
 
 // @route   GET /api/designs/:id/feedback
 // @desc    Get feedback for a design
 // @access  Public
-router.get('/:id/feedback', async (req, res) => {
-  try {
-    const { id: designId } = req.params;
-
-    // Check if design exists
-    const design = await Design.findById(designId);
-    if (!design) {
-      return res.status(404).json({
-        success: false,
-        error: 'Design not found'
-      });
-    }
+router.get('/:id/feedback', asyncHandler(async (req, res) => {
+  const { id: designId } = req.params;
 
-    // Import Feedback model
-    const Feedback = require('../models/Feedback');
+  // Check if design exists
+  const design = await Design.findById(designId);
+  if (!design) {
+    throw designNotFound();
+  }
 
-    // Get feedback summary
-    const feedbackSummary = await Feedback.getFeedbackSummary(designId);
+  // Import Feedback model
+  const Feedback = require('../models/Feedback');
 
-    res.json({
-      success: true,
-      data: feedbackSummary
-    });
+  // Get feedback summary
+  const feedbackSummary = await Feedback.getFeedbackSummary(designId);
 
-  } catch (error) {
-    console.error('Get feedback error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get feedback',
-      message: error.message
-    });
-  }
-});
+  res.json({
+    success: true,
+    data: feedbackSummary
+  });
+}));
 
 module.exports = router;
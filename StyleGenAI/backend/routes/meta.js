@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const Design = require('../models/Design');
+const User = require('../models/User');
+const Feedback = require('../models/Feedback');
+const { enumValues } = require('../middleware/validate');
+const { MAX_PATTERNS, MAX_MATERIALS } = require('../config/designOptions');
+const { MAX_DESIGN_COLORS, MAX_SAVED_PALETTES } = require('../colors');
+const { CUSTOM_PROMPT_LIMITS } = require('../providers/prompts/custom');
+const { SIZE_RUNS } = require('../measurements');
+const { IMAGE_FORMATS, RESOLUTIONS, QUALITY } = require('../reports/images');
+
+// Read the option lists once from the schemas that validate requests, so the
+// forms always offer exactly what the server accepts
+const designPath = (field) => `inputParameters.${field}`;
+const DESIGN_FIELDS = ['gender', 'occasion', 'style', 'patterns', 'materials', 'mood', 'season', 'promptMode'];
+
+const designOptions = Object.fromEntries(DESIGN_FIELDS.map(field => [field, enumValues(Design.schema, designPath(field))]));
+designOptions.inspirationMode = enumValues(Design.schema, 'inspiration.mode');
+
+const OPTIONS = {
+  design: designOptions,
+  measurements: {
+    garmentType: enumValues(Design.schema, 'measurements.garmentType'),
+    sizeRun: enumValues(Design.schema, 'measurements.sizeRun'),
+    unit: enumValues(Design.schema, 'measurements.unit'),
+    // Sizes and base size of each run, for the size pickers
+    sizeRuns: Object.fromEntries(Object.entries(SIZE_RUNS).map(([id, { name, sizes, baseSize }]) => [id, { name, sizes, baseSize }]))
+  },
+  export: {
+    format: enumValues(Design.schema, 'exports.format'),
+    resolution: enumValues(Design.schema, 'exports.options.resolution'),
+    // Longest edge of each resolution (null keeps the original size), and what each image format supports
+    resolutions: RESOLUTIONS,
+    imageFormats: Object.fromEntries(Object.entries(IMAGE_FORMATS).map(([id, { transparency, quality }]) => [id, { transparency, defaultQuality: quality || null }]))
+  },
+  feedback: {
+    feedbackType: enumValues(Feedback.schema, 'feedbackType'),
+    tags: enumValues(Feedback.schema, 'tags')
+  },
+  profile: {
+    gender: enumValues(User.schema, 'preferences.gender'),
+    favoriteStyles: enumValues(User.schema, 'preferences.favoriteStyles'),
+    preferredMaterials: enumValues(User.schema, 'preferences.preferredMaterials'),
+    bodyType: enumValues(User.schema, 'preferences.bodyType')
+  }
+};
+
+const DEFAULTS = {
+  design: {
+    mood: Design.schema.path(designPath('mood')).defaultValue,
+    season: Design.schema.path(designPath('season')).defaultValue,
+    promptMode: Design.schema.path(designPath('promptMode')).defaultValue
+  },
+  feedback: {
+    feedbackType: Feedback.schema.path('feedbackType').defaultValue
+  }
+};
+
+const LIMITS = {
+  colors: MAX_DESIGN_COLORS,
+  patterns: MAX_PATTERNS,
+  materials: MAX_MATERIALS,
+  customPrompt: CUSTOM_PROMPT_LIMITS,
+  savedPalettes: MAX_SAVED_PALETTES,
+  rating: {
+    min: Feedback.schema.path('rating').options.min,
+    max: Feedback.schema.path('rating').options.max
+  },
+  comment: Feedback.schema.path('comment').options.maxlength,
+  exportQuality: QUALITY
+};
+
+// @route   GET /api/meta/options
+// @desc    Allowed values, defaults and limits for the design, measurements, export, feedback and profile forms
+// @access  Public
+router.get('/options', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({
+    success: true,
+    options: OPTIONS,
+    defaults: DEFAULTS,
+    limits: LIMITS
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const Design = require('../models/Design');
+const Feedback = require('../models/Feedback');
+const { listTemplates, getTemplate, hasTemplate, buildPrompt, parseCustomPrompt } = require('../providers/prompts');
+const { parseColorList, MAX_DESIGN_COLORS } = require('../colors');
+const { parseStyleDetails } = require('../config/designOptions');
+const { EXPERIMENTS, activeExperiment } = require('../config/prompts');
+const { validateGenerationOptions } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errors');
+const { ValidationError, NotFoundError } = require('../errors');
+
+// Below this many ratings per variant the comparison isn't reported as a winner
+const MIN_RATINGS_PER_VARIANT = 20;
+
+const summarizeRatings = (ratings) => {
+  const count = ratings.length;
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+  const positive = ratings.filter(rating => rating >= 4).length;
+
+  return {
+    ratings: count,
+    averageRating: count > 0 ? Number((total / count).toFixed(2)) : null,
+    positiveRate: count > 0 ? Number((positive / count).toFixed(3)) : null
+  };
+};
+
+// @route   GET /api/prompts/templates
+// @desc    List prompt templates and which one is the default per model family
+// @access  Public
+router.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
+// @route   POST /api/prompts/preview
+// @desc    Build the prompt a set of design preferences would produce, without generating
+// @access  Public
+router.post('/preview', validateGenerationOptions, (req, res) => {
+  const { gender, occasion, style, colors = [], modelType = 'sdxl', promptTemplate } = req.body;
+
+  const colorList = parseColorList(colors);
+  if (!colorList || colorList.length > MAX_DESIGN_COLORS) {
+    throw new ValidationError(`Colors must be up to ${MAX_DESIGN_COLORS} hex values`, { code: 'INVALID_COLORS' });
+  }
+
+  const { details, errors } = parseStyleDetails(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_STYLE_DETAILS', details: { errors } });
+  }
+
+  if (promptTemplate && !hasTemplate(promptTemplate)) {
+    throw new ValidationError(`Unknown prompt template: ${promptTemplate}`, { code: 'UNKNOWN_PROMPT_TEMPLATE' });
+  }
+
+  const { custom, errors: customErrors } = parseCustomPrompt(req.body);
+  if (customErrors.length > 0) {
+    throw new ValidationError(customErrors.join('; '), { code: 'INVALID_CUSTOM_PROMPT', details: { errors: customErrors } });
+  }
+
+  // No assignment key: previews show the family default rather than an experiment variant
+  const built = buildPrompt(
+    { gender, occasion, style, colors: colorList, ...details },
+    { model: modelType, template: promptTemplate, custom }
+  );
+
+  res.json({
+    success: true,
+    prompt: built.prompt,
+    negativePrompt: built.negativePrompt || null,
+    template: built.template || null,
+    promptMode: custom?.mode || 'merge'
+  });
+});
+
+// @route   GET /api/prompts/experiments
+// @desc    List configured prompt A/B tests
+// @access  Public
+router.get('/experiments', (req, res) => {
+  res.json({
+    success: true,
+    activeExperiment,
+    experiments: Object.entries(EXPERIMENTS).map(([name, experiment]) => ({
+      name,
+      ...experiment,
+      active: name === activeExperiment
+    }))
+  });
+});
+
+// @route   GET /api/prompts/experiments/:name/results
+// @desc    Compare feedback ratings of the designs generated with each variant
+// @access  Public
+router.get('/experiments/:name/results', asyncHandler(async (req, res) => {
+  const experiment = EXPERIMENTS[req.params.name];
+  if (!experiment) {
+    throw new NotFoundError(`Unknown prompt experiment: ${req.params.name}`, { code: 'EXPERIMENT_NOT_FOUND' });
+  }
+
+  // Regenerations repeat their source's variant, so only original designs count
+  const groups = await Design.aggregate([
+    {
+      $match: {
+        'aiGeneration.promptTemplate.experiment': req.params.name,
+        regeneratedFrom: { $exists: false }
+      }
+    },
+    {
+      $lookup: {
+        from: Feedback.collection.name,
+        localField: '_id',
+        foreignField: 'designId',
+        as: 'feedback'
+      }
+    },
+    {
+      $group: {
+        _id: '$aiGeneration.promptTemplate.variant',
+        designs: { $sum: 1 },
+        ratings: { $push: '$feedback.rating' }
+      }
+    }
+  ]);
+
+  const variants = Object.entries(experiment.variants).map(([variant, reference]) => {
+    const group = groups.find(entry => entry._id === variant);
+    const template = getTemplate(reference);
+
+    return {
+      variant,
+      template: `${template.name}@${template.version}`,
+      designs: group ? group.designs : 0,
+      ...summarizeRatings(group ? group.ratings.flat() : [])
+    };
+  });
+
+  const [a, b] = variants;
+  const enoughData = variants.every(variant => variant.ratings >= MIN_RATINGS_PER_VARIANT);
+  const difference = a.averageRating !== null && b.averageRating !== null
+    ? Number((b.averageRating - a.averageRating).toFixed(2))
+    : null;
+
+  res.json({
+    success: true,
+    experiment: req.params.name,
+    active: req.params.name === activeExperiment,
+    variants,
+    comparison: {
+      difference, // B minus A, in stars
+      leader: enoughData && difference !== 0 ? (difference > 0 ? b.variant : a.variant) : null,
+      note: enoughData ? null : `Needs at least ${MIN_RATINGS_PER_VARIANT} ratings per variant`
+    }
+  });
+}));
+
+module.exports = router;
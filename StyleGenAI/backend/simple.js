@@ -4,7 +4,26 @@ console.log('🚀 Starting StyleGen AI with Hugging Face...');
 
 const express = require('express');
 const cors = require('cors');
-const https = require('https');
+const { initializeProviders, generateDesign, generateCandidates, listModels } = require('./providers');
+const { storeImage, loadSourceImage, UPLOADS_DIR } = require('./storage');
+const { storeInspiration, resolveInspiration } = require('./storage/inspiration');
+const { uploadImage } = require('./middleware/upload');
+const { getPlanLimits } = require('./config/plans');
+const { getProviderChain } = require('./config/providerChain');
+const { parseGenerationParameters, REFERENCE_MODES } = require('./providers/parameters');
+const { validateOperation, screenOperation, runImageOperation } = require('./jobs/imageOperations');
+const { parseColorList, MAX_DESIGN_COLORS } = require('./colors');
+const { parseStyleDetails } = require('./config/designOptions');
+const { validateGenerationOptions, validateFeedback } = require('./middleware/validate');
+const { buildPrompt, parseCustomPrompt } = require('./providers/prompts');
+const { moderatePrompt, moderateImage, mergeModeration, rejectionError } = require('./moderation');
+const { asyncHandler, errorHandler, notFoundHandler } = require('./middleware/errors');
+const { ValidationError, QuotaError, NotFoundError } = require('./errors');
+const { renderDesignReport, reportFilename, REPORT_TYPES } = require('./reports');
+const { buildTechPack } = require('./techpack');
+const { resolveMeasurements, gradeMeasurements, parseMeasurements } = require('./measurements');
+const { createExport, parseExportOptions, EXPORT_FORMATS } = require('./reports/exports');
+const { parseDesignImport, importedText, storeImportedImages, EXPORT_VERSION } = require('./imports');
 
 const app = express();
 
@@ -40,192 +59,17 @@ app.use(express.json({
 
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// ✅ Generated images are written to uploads/ and served from here
+app.use('/uploads', express.static(UPLOADS_DIR));
+
 // ✅ FIXED: Request logging
 app.use((req, res, next) => {
   console.log(`📝 ${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
 
-// ✅ FIXED: Robust Hugging Face API function with timeout, retry, and proper error handling
-const generateWithHuggingFace = async (prompt, retries = 3) => {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      inputs: prompt,
-      parameters: {
-        num_inference_steps: 20,
-        guidance_scale: 7.5,
-        width: 1024,
-        height: 1024
-      }
-    });
-
-    const options = {
-      hostname: 'api-inference.huggingface.co',
-      port: 443,
-      path: '/models/stabilityai/stable-diffusion-xl-base-1.0',
-      method: 'POST',
-      timeout: 120000, // 2 minutes timeout
-      headers: {
-        'Authorization': `Bearer ${process.env.HUGGINGFACE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Content-Length': data.length,
-        'User-Agent': 'StyleGenAI/1.0'
-      }
-    };
-
-    const attemptRequest = (attemptNumber) => {
-      console.log(`🔄 Attempt ${attemptNumber}/${retries + 1} for Hugging Face API`);
-
-      const req = https.request(options, (res) => {
-        const chunks = [];
-        let totalLength = 0;
-
-        res.on('data', (chunk) => {
-          chunks.push(chunk);
-          totalLength += chunk.length;
-
-          // Prevent memory issues with very large responses
-          if (totalLength > 50 * 1024 * 1024) { // 50MB limit
-            req.destroy();
-            reject(new Error('Response too large'));
-            return;
-          }
-        });
-
-        res.on('end', () => {
-          try {
-            const responseData = Buffer.concat(chunks);
-
-            if (res.statusCode === 200) {
-              const base64Image = responseData.toString('base64');
-              const imageUrl = `data:image/jpeg;base64,${base64Image}`;
-              console.log('✅ Hugging Face API success');
-              resolve({ imageUrl, prompt });
-            } else if (res.statusCode === 503 && attemptNumber <= retries) {
-              // Model loading, retry after delay
-              console.log('⏳ Model loading, retrying in 10 seconds...');
-              setTimeout(() => attemptRequest(attemptNumber + 1), 10000);
-            } else if (res.statusCode === 429 && attemptNumber <= retries) {
-              // Rate limited, retry after delay
-              console.log('⏳ Rate limited, retrying in 5 seconds...');
-              setTimeout(() => attemptRequest(attemptNumber + 1), 5000);
-            } else {
-              const errorMsg = responseData.toString();
-              reject(new Error(`Hugging Face API error: ${res.statusCode} - ${errorMsg}`));
-            }
-          } catch (error) {
-            reject(new Error(`Response processing error: ${error.message}`));
-          }
-        });
-
-        res.on('error', (error) => {
-          if (attemptNumber <= retries) {
-            console.log(`❌ Response error, retrying: ${error.message}`);
-            setTimeout(() => attemptRequest(attemptNumber + 1), 2000);
-          } else {
-            reject(new Error(`Response error: ${error.message}`));
-          }
-        });
-      });
-
-      // Set request timeout
-      req.setTimeout(120000, () => {
-        req.destroy();
-        if (attemptNumber <= retries) {
-          console.log('⏰ Request timeout, retrying...');
-          setTimeout(() => attemptRequest(attemptNumber + 1), 2000);
-        } else {
-          reject(new Error('Request timeout after all retries'));
-        }
-      });
-
-      req.on('error', (error) => {
-        if (attemptNumber <= retries) {
-          console.log(`❌ Request error, retrying: ${error.message}`);
-          setTimeout(() => attemptRequest(attemptNumber + 1), 2000);
-        } else {
-          reject(new Error(`Request error: ${error.message}`));
-        }
-      });
-
-      req.write(data);
-      req.end();
-    };
-
-    attemptRequest(1);
-  });
-};
-
-// ✅ FIXED: Replicate API function as backup
-const generateWithReplicate = async (prompt) => {
-  const https = require('https');
-
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      version: "39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b",
-      input: {
-        prompt: prompt,
-        width: 1024,
-        height: 1024,
-        num_inference_steps: 20,
-        guidance_scale: 7.5
-      }
-    });
-
-    const options = {
-      hostname: 'api.replicate.com',
-      port: 443,
-      path: '/v1/predictions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${process.env.REPLICATE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-
-          if (res.statusCode === 201) {
-            // Replicate returns a prediction URL, we'd need to poll it
-            // For now, return a placeholder
-            console.log('✅ Replicate API request submitted');
-            resolve({
-              imageUrl: `data:image/svg+xml;base64,${Buffer.from(`
-                <svg width="1024" height="1024" xmlns="http://www.w3.org/2000/svg">
-                  <rect width="100%" height="100%" fill="#4ECDC4"/>
-                  <text x="50%" y="50%" text-anchor="middle" font-family="Arial" font-size="32" fill="white">
-                    Replicate API Processing...
-                  </text>
-                </svg>
-              `).toString('base64')}`,
-              prompt
-            });
-          } else {
-            reject(new Error(`Replicate API error: ${res.statusCode} - ${responseData}`));
-          }
-        } catch (error) {
-          reject(new Error(`Replicate response parsing error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(new Error(`Replicate request error: ${error.message}`));
-    });
-
-    req.write(data);
-    req.end();
-  });
-};
+// ✅ Image providers (Hugging Face, Replicate, placeholder) live in providers/
+initializeProviders();
 
 // ✅ Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -251,296 +95,583 @@ app.get('/api/test', (req, res) => {
 app.get('/api/designs/models', (req, res) => {
   res.json({
     success: true,
-    models: [
-      {
-        id: 'sdxl',
-        name: 'SDXL',
-        description: 'Stable Diffusion XL - High quality fashion designs',
-        provider: 'Hugging Face',
-        cost: 'FREE'
-      }
-    ],
-    provider: 'Hugging Face (FREE!)'
+    models: listModels(),
+    provider: 'Hugging Face (FREE!)',
+    plan: 'free',
+    limits: getPlanLimits('free'),
+    maxColors: MAX_DESIGN_COLORS,
+    inspirationModes: REFERENCE_MODES
   });
 });
 
-// ✅ FIXED: Generate design endpoint with input validation and demo mode
-app.post('/api/designs/generate', async (req, res) => {
-  try {
-    console.log('🎨 Generating design...');
-
-    // ✅ FIXED: Input validation
-    const {
-      gender = 'unisex',
-      occasion = 'casual',
-      style = 'modern',
-      colors = ['#FF6B6B', '#4ECDC4'],
-      demoMode = false
-    } = req.body;
-
-    // Validate inputs
-    const validGenders = ['male', 'female', 'unisex', 'other'];
-    const validOccasions = ['casual', 'formal', 'party', 'business', 'sport', 'sports', 'wedding', 'vacation', 'date'];
-    const validStyles = ['modern', 'vintage', 'bohemian', 'minimalist', 'classic', 'trendy', 'streetwear', 'elegant'];
-
-    if (!validGenders.includes(gender)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid gender',
-        message: `Gender must be one of: ${validGenders.join(', ')}`
-      });
-    }
+// ✅ Colour naming and form options (same routers as the full server, no database needed)
+app.use('/api/colors', require('./routes/colors'));
+app.use('/api/meta', require('./routes/meta'));
 
-    if (!validOccasions.includes(occasion)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid occasion',
-        message: `Occasion must be one of: ${validOccasions.join(', ')}`
-      });
-    }
+// ✅ Prompt preview for the design form
+app.post('/api/prompts/preview', validateGenerationOptions, (req, res) => {
+  const { gender, occasion, style, colors = [], modelType = 'sdxl' } = req.body;
 
-    if (!validStyles.includes(style)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid style',
-        message: `Style must be one of: ${validStyles.join(', ')}`
-      });
-    }
+  const colorList = parseColorList(colors);
+  const { details, errors } = parseStyleDetails(req.body);
+  const { custom, errors: customErrors } = parseCustomPrompt(req.body);
+  errors.push(...customErrors);
+  if (!colorList || colorList.length > MAX_DESIGN_COLORS) {
+    errors.push(`Colors must be up to ${MAX_DESIGN_COLORS} hex values`);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_PREFERENCES', details: { errors } });
+  }
 
-    if (!Array.isArray(colors) || colors.length === 0 || colors.length > 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid colors',
-        message: 'Colors must be an array with 1-5 color values'
-      });
+  const built = buildPrompt({ gender, occasion, style, colors: colorList, ...details }, { model: modelType, custom });
+  res.json({
+    success: true,
+    prompt: built.prompt,
+    negativePrompt: built.negativePrompt || null,
+    template: built.template || null,
+    promptMode: custom?.mode || 'merge'
+  });
+});
+
+// ✅ No database here: keep the latest designs in memory so a primary image can be picked
+const RECENT_DESIGN_LIMIT = 50;
+const recentDesigns = new Map();
+
+const rememberDesign = (design) => {
+  recentDesigns.set(design.id, design);
+  if (recentDesigns.size > RECENT_DESIGN_LIMIT) {
+    recentDesigns.delete(recentDesigns.keys().next().value);
+  }
+};
+
+// ✅ Generate, store and describe a design. `reproduce` ({ provider, prompt, promptTemplate })
+// pins the provider and prompt text so a regeneration matches its source; `custom` is the
+// parsed custom prompt ({ text, mode }) merged into or replacing the built prompt, and
+// `promptModeration` the result of screening it.
+const createDesign = async (preferences, { imageCount = 1, sampling = {}, demoMode = false, reproduce, inspiration, custom, promptModeration } = {}) => {
+  const { gender, occasion, style, colors, patterns, materials, mood, season } = preferences;
+  let results;
+
+  const reference = inspiration
+    ? { image: await loadSourceImage(inspiration), mode: inspiration.mode, strength: inspiration.strength }
+    : undefined;
+
+  // ✅ DEMO MODE: Use enhanced placeholder image when API is unavailable
+  if (demoMode) {
+    console.log('🎭 Enhanced Demo mode: Creating beautiful design');
+    results = [];
+    for (let candidate = 0; candidate < imageCount; candidate++) {
+      results.push(await generateDesign(preferences, { provider: 'placeholder', candidate, reference, custom }));
     }
+  } else {
+    // Walk the provider chain (Hugging Face → Replicate → placeholder by default)
+    results = await generateCandidates(preferences, {
+      count: imageCount,
+      seed: sampling.seed,
+      negativePrompt: sampling.negativePrompt,
+      scheduler: sampling.scheduler,
+      steps: sampling.steps,
+      guidance: sampling.guidance,
+      reference,
+      custom,
+      provider: reproduce?.provider,
+      chain: reproduce ? getProviderChain(reproduce.provider).slice(0, 1) : undefined,
+      prompt: reproduce?.prompt,
+      promptTemplate: reproduce?.promptTemplate
+    });
+  }
 
-    const prompt = `A professional fashion design illustration of a ${style} ${occasion} outfit for ${gender}, featuring ${colors.join(' and ')} colors, high-quality fashion illustration, clean professional presentation, fashion portfolio style, detailed clothing design, modern aesthetic, studio lighting, white background`;
-
-    console.log('📝 Prompt:', prompt);
-
-    let result;
-
-    // ✅ DEMO MODE: Use enhanced placeholder image when API is unavailable
-    if (demoMode || process.env.DEMO_MODE === 'true') {
-      console.log('🎭 Enhanced Demo mode: Creating beautiful design');
-      result = {
-        imageUrl: `data:image/svg+xml;base64,${Buffer.from(`
-          <svg width="1024" height="1024" xmlns="http://www.w3.org/2000/svg">
-            <defs>
-              <linearGradient id="grad1" x1="0%" y1="0%" x2="100%" y2="100%">
-                <stop offset="0%" style="stop-color:${colors[0] || '#FF6B6B'};stop-opacity:1" />
-                <stop offset="100%" style="stop-color:${colors[1] || '#4ECDC4'};stop-opacity:1" />
-              </linearGradient>
-            </defs>
-            <rect width="100%" height="100%" fill="url(#grad1)" />
-            <text x="50%" y="45%" text-anchor="middle" font-family="Arial, sans-serif" font-size="48" fill="white" font-weight="bold">
-              ${style.toUpperCase()} ${occasion.toUpperCase()}
-            </text>
-            <text x="50%" y="55%" text-anchor="middle" font-family="Arial, sans-serif" font-size="32" fill="white">
-              ${gender} Fashion Design
-            </text>
-            <text x="50%" y="65%" text-anchor="middle" font-family="Arial, sans-serif" font-size="24" fill="rgba(255,255,255,0.8)">
-              Demo Mode - Get Hugging Face API Token
-            </text>
-          </svg>
-        `).toString('base64')}`,
-        prompt
-      };
-    } else {
-      // Try real API call
-      try {
-        console.log('🤗 Trying Hugging Face API...');
-        result = await generateWithHuggingFace(prompt);
-      } catch (apiError) {
-        console.log('⚠️ Hugging Face failed, trying Replicate API...', apiError.message);
-
-        // Try Replicate as backup
-        try {
-          result = await generateWithReplicate(prompt);
-        } catch (replicateError) {
-          console.log('⚠️ Replicate also failed, falling back to demo mode:', replicateError.message);
-          result = {
-          imageUrl: `data:image/svg+xml;base64,${Buffer.from(`
-            <svg width="1024" height="1024" xmlns="http://www.w3.org/2000/svg">
-              <defs>
-                <linearGradient id="grad1" x1="0%" y1="0%" x2="100%" y2="100%">
-                  <stop offset="0%" style="stop-color:${colors[0] || '#FF6B6B'};stop-opacity:1" />
-                  <stop offset="100%" style="stop-color:${colors[1] || '#4ECDC4'};stop-opacity:1" />
-                </linearGradient>
-              </defs>
-              <rect width="100%" height="100%" fill="url(#grad1)" />
-              <text x="50%" y="40%" text-anchor="middle" font-family="Arial, sans-serif" font-size="48" fill="white" font-weight="bold">
-                ${style.toUpperCase()} ${occasion.toUpperCase()}
-              </text>
-              <text x="50%" y="50%" text-anchor="middle" font-family="Arial, sans-serif" font-size="32" fill="white">
-                ${gender} Fashion Design
-              </text>
-              <text x="50%" y="60%" text-anchor="middle" font-family="Arial, sans-serif" font-size="20" fill="rgba(255,255,255,0.8)">
-                API Credits Exceeded
-              </text>
-              <text x="50%" y="65%" text-anchor="middle" font-family="Arial, sans-serif" font-size="16" fill="rgba(255,255,255,0.7)">
-                Get new Hugging Face token
-              </text>
-            </svg>
-          `).toString('base64')}`,
-          prompt
-          };
-        }
+  const designId = `hf_${Date.now()}`;
+  const storedImages = [];
+  let moderation = promptModeration ? mergeModeration(undefined, promptModeration) : undefined;
+  for (const [index, candidate] of results.entries()) {
+    // Blocked images are never stored
+    const imageModeration = await moderateImage(candidate.image);
+    moderation = mergeModeration(moderation, imageModeration);
+    if (imageModeration.status === 'rejected') continue;
+
+    const storedImage = await storeImage(imageModeration.image, {
+      folder: 'designs/demo',
+      name: `design_${designId}_${index + 1}`,
+      renditions: true
+    });
+    storedImages.push({ ...storedImage, seed: candidate.metadata.parameters?.seed });
+  }
+  if (storedImages.length === 0) {
+    throw rejectionError({ stage: 'image', categories: moderation.categories });
+  }
+  const [result] = results;
+  const used = result.metadata.parameters || {};
+
+  return {
+    id: designId,
+    title: `${style} ${occasion} Design`,
+    description: custom?.text || `AI-generated ${style} ${occasion} outfit for ${gender}`,
+    images: storedImages.map((storedImage, index) => ({
+      ...storedImage,
+      _id: `${designId}_${index + 1}`,
+      isOriginal: true,
+      isPrimary: index === 0
+    })),
+    inputParameters: {
+      gender, occasion, style, colors, patterns, materials, mood, season,
+      customPrompt: custom?.text,
+      promptMode: custom?.mode || 'merge'
+    },
+    inspiration: inspiration || undefined,
+    moderation: {
+      status: moderation.status,
+      categories: moderation.categories,
+      rejectedImages: moderation.rejectedImages
+    },
+    aiGeneration: {
+      prompt: result.image.originalPrompt,
+      model: result.metadata.model,
+      provider: result.metadata.provider,
+      promptTemplate: result.metadata.promptTemplate,
+      attempts: result.metadata.attempts,
+      generationTime: results.reduce((total, candidate) => total + (candidate.metadata.generationTime || 0), 0),
+      cost: results.reduce((total, candidate) => total + (candidate.metadata.cost || 0), 0),
+      parameters: {
+        imageCount,
+        seed: used.seed,
+        negativePrompt: used.negativePrompt,
+        scheduler: used.scheduler,
+        guidanceScale: used.guidance,
+        inferenceSteps: used.steps
       }
-    }
+    },
+    status: 'completed',
+    createdAt: new Date().toISOString()
+  };
+};
 
-    const designResponse = {
-      id: `hf_${Date.now()}`,
-      title: `${style} ${occasion} Design`,
-      description: `AI-generated ${style} ${occasion} outfit for ${gender}`,
-      images: [{
-        url: result.imageUrl,
-        filename: `design_hf_${Date.now()}.jpg`,
-        isOriginal: true,
-        dimensions: { width: 1024, height: 1024 }
-      }],
-      inputParameters: { gender, occasion, style, colors },
-      aiGeneration: {
-        prompt: result.prompt,
-        model: 'SDXL',
-        provider: 'Hugging Face',
-        cost: 'FREE'
-      },
-      status: 'completed',
-      createdAt: new Date().toISOString()
-    };
+// ✅ Inspiration image upload (multipart field "image") for image-to-image generation
+const DEMO_OWNER = 'demo';
 
-    const isDemo = demoMode || process.env.DEMO_MODE === 'true' || result.imageUrl.includes('svg+xml');
+app.post('/api/designs/inspiration', uploadImage('image'), asyncHandler(async (req, res) => {
+  const inspiration = await storeInspiration(req.file, DEMO_OWNER);
+  if (!inspiration) {
+    throw new ValidationError('The uploaded file is not a readable JPEG, PNG or WebP image', { code: 'INVALID_IMAGE' });
+  }
 
-    res.json({
-      success: true,
-      message: isDemo ? 'Demo design generated! Get a Hugging Face API token for AI generation.' : 'Design generated successfully with Hugging Face!',
-      design: designResponse,
-      demoMode: isDemo
-    });
+  res.status(201).json({
+    success: true,
+    inspiration,
+    modes: REFERENCE_MODES
+  });
+}));
+
+// ✅ Import a design from its JSON export; older export versions are migrated
+app.post('/api/designs/import', asyncHandler(async (req, res) => {
+  const { design: imported, source, errors } = parseDesignImport(req.body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_IMPORT', details: { errors } });
+  }
 
-  } catch (error) {
-    console.error(' Design generation failed:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Design generation failed'
+  const promptModeration = await moderatePrompt(importedText(imported));
+  if (promptModeration.status === 'rejected') {
+    throw rejectionError(promptModeration);
+  }
+
+  const designId = `import_${Date.now()}`;
+  const { images, moderation } = await storeImportedImages(imported.images, {
+    folder: 'designs/demo',
+    name: `design_${designId}`,
+    moderation: mergeModeration(undefined, promptModeration)
+  });
+
+  const design = {
+    ...imported,
+    id: designId,
+    images: images.map((image, index) => ({ ...image, _id: `${designId}_${index + 1}` })),
+    moderation: {
+      status: moderation.status,
+      categories: moderation.categories,
+      rejectedImages: moderation.rejectedImages
+    },
+    importedFrom: { ...source, importedAt: new Date() },
+    status: 'completed',
+    createdAt: new Date().toISOString()
+  };
+  rememberDesign(design);
+
+  res.status(201).json({
+    success: true,
+    message: source.exportVersion === EXPORT_VERSION
+      ? 'Design imported'
+      : `Design imported (migrated from export version ${source.exportVersion})`,
+    design
+  });
+}));
+
+// ✅ FIXED: Generate design endpoint with input validation and demo mode
+app.post('/api/designs/generate', validateGenerationOptions, asyncHandler(async (req, res) => {
+  console.log('🎨 Generating design...');
+
+  // Gender, occasion, style and style details are checked against the Design schema
+  // by validateGenerationOptions; missing ones get these demo defaults
+  const {
+    gender = 'unisex',
+    occasion = 'casual',
+    style = 'modern',
+    colors = ['#FF6B6B', '#4ECDC4'],
+    count = 1,
+    demoMode = false,
+    inspiration: inspirationRequest
+  } = req.body;
+
+  const colorList = parseColorList(colors);
+  if (!colorList || colorList.length === 0 || colorList.length > MAX_DESIGN_COLORS) {
+    throw new ValidationError(`Colors must be an array with 1-${MAX_DESIGN_COLORS} hex color values`, { code: 'INVALID_COLORS' });
+  }
+
+  const { details: styleDetails, errors: styleErrors } = parseStyleDetails(req.body);
+  if (styleErrors.length > 0) {
+    throw new ValidationError(styleErrors.join('; '), { code: 'INVALID_STYLE_DETAILS', details: { errors: styleErrors } });
+  }
+
+  // No accounts here, so every request gets the free plan's image limit
+  const { imagesPerRequest } = getPlanLimits('free');
+  const imageCount = Number(count);
+  if (!Number.isInteger(imageCount) || imageCount < 1 || imageCount > imagesPerRequest) {
+    throw new QuotaError(`count must be a whole number between 1 and ${imagesPerRequest}`, {
+      code: 'IMAGE_COUNT_EXCEEDED',
+      statusCode: 400,
+      details: { maxImages: imagesPerRequest, plan: 'free' }
     });
   }
-});
 
-// ✅ Feedback routes (mock)
-app.post('/api/designs/:designId/feedback', async (req, res) => {
-  try {
-    const { designId } = req.params;
-    const { rating, comment, feedbackType, tags, helpful } = req.body;
-
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Rating must be between 1 and 5'
-      });
+  const { custom, errors: customErrors } = parseCustomPrompt(req.body);
+  if (customErrors.length > 0) {
+    throw new ValidationError(customErrors.join('; '), { code: 'INVALID_CUSTOM_PROMPT', details: { errors: customErrors } });
+  }
+
+  const promptModeration = await moderatePrompt(custom?.text);
+  if (promptModeration.status === 'rejected') {
+    throw rejectionError(promptModeration);
+  }
+
+  const { inspiration, errors: inspirationErrors } = await resolveInspiration(inspirationRequest, DEMO_OWNER);
+  if (inspirationErrors.length > 0) {
+    throw new ValidationError(inspirationErrors.join('; '), { code: 'INVALID_INSPIRATION', details: { errors: inspirationErrors } });
+  }
+
+  const { parameters: sampling, errors: parameterErrors } = parseGenerationParameters(req.body);
+  if (parameterErrors.length > 0) {
+    throw new ValidationError(parameterErrors.join('; '), { code: 'INVALID_PARAMETERS', details: { errors: parameterErrors } });
+  }
+
+  const designResponse = await createDesign({ gender, occasion, style, colors: colorList, ...styleDetails }, {
+    imageCount,
+    sampling,
+    demoMode: demoMode || process.env.DEMO_MODE === 'true',
+    inspiration,
+    custom,
+    promptModeration
+  });
+
+  rememberDesign(designResponse);
+
+  const isDemo = designResponse.aiGeneration.provider === 'placeholder';
+
+  res.json({
+    success: true,
+    message: isDemo ? 'Demo design generated! Get a Hugging Face API token for AI generation.' : 'Design generated successfully with Hugging Face!',
+    design: designResponse,
+    demoMode: isDemo
+  });
+}));
+
+// ✅ Regenerate a design with the same prompt, provider and sampling parameters
+app.post('/api/designs/:designId/regenerate', asyncHandler(async (req, res) => {
+  const source = recentDesigns.get(req.params.designId);
+  if (!source) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  const { aiGeneration, inputParameters } = source;
+  const promptModeration = await moderatePrompt(inputParameters.customPrompt);
+  if (promptModeration.status === 'rejected') {
+    throw rejectionError(promptModeration);
+  }
+
+  const design = await createDesign(inputParameters, {
+    imageCount: aiGeneration.parameters.imageCount,
+    sampling: {
+      seed: aiGeneration.parameters.seed,
+      negativePrompt: aiGeneration.parameters.negativePrompt,
+      scheduler: aiGeneration.parameters.scheduler,
+      steps: aiGeneration.parameters.inferenceSteps,
+      guidance: aiGeneration.parameters.guidanceScale
+    },
+    demoMode: aiGeneration.provider === 'placeholder',
+    inspiration: source.inspiration,
+    custom: inputParameters.customPrompt
+      ? { text: inputParameters.customPrompt, mode: inputParameters.promptMode }
+      : undefined,
+    promptModeration,
+    reproduce: {
+      provider: aiGeneration.provider,
+      prompt: aiGeneration.prompt,
+      promptTemplate: aiGeneration.promptTemplate
     }
+  });
+  design.regeneratedFrom = source.id;
+  rememberDesign(design);
 
-    const feedback = {
-      id: Date.now().toString(),
-      designId,
-      rating,
-      comment: comment?.trim(),
-      feedbackType: feedbackType || 'general',
-      tags: tags || [],
-      helpful,
-      timestamp: new Date().toISOString()
-    };
+  res.json({
+    success: true,
+    message: 'Design regenerated with the same settings',
+    design
+  });
+}));
 
-    console.log(' Feedback submitted:', feedback);
+const notFound = (design) => design
+  ? new NotFoundError('This design has no image with that id', { code: 'IMAGE_NOT_FOUND' })
+  : new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
 
-    res.json({
-      success: true,
-      data: { feedback },
-      message: 'Feedback submitted successfully'
-    });
+// ✅ Choose which candidate represents the design
+app.put('/api/designs/:designId/images/:imageId/primary', (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  const image = design && design.images.find(candidate => candidate._id === req.params.imageId);
 
-  } catch (error) {
-    console.error('Error submitting feedback:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to submit feedback'
-    });
+  if (!image) {
+    throw notFound(design);
   }
+
+  design.images.forEach(candidate => {
+    candidate.isPrimary = candidate === image;
+  });
+
+  res.json({
+    success: true,
+    message: 'Primary image updated',
+    design
+  });
 });
 
-app.get('/api/designs/:designId/feedback', async (req, res) => {
-  try {
-    const { designId } = req.params;
-
-    const mockFeedbacks = [
-      {
-        id: '1',
-        designId,
-        rating: 5,
-        comment: 'Amazing design! Love the color combination.',
-        feedbackType: 'general',
-        tags: ['colors', 'creativity'],
-        timestamp: new Date().toISOString()
-      },
-      {
-        id: '2',
-        designId,
-        rating: 4,
-        comment: 'Great style, very modern and trendy.',
-        feedbackType: 'design_quality',
-        tags: ['style', 'quality'],
-        timestamp: new Date(Date.now() - 86400000).toISOString()
-      }
-    ];
-
-    res.json({
-      success: true,
-      data: {
-        feedbacks: mockFeedbacks,
-        stats: {
-          averageRating: 4.5,
-          totalFeedbacks: 2,
-          positiveCount: 2
-        }
-      }
-    });
+// ✅ Variations, upscales and edits of a stored image
+const IMAGE_OPERATION_ROUTES = { variations: 'variation', upscale: 'upscale', edit: 'edit' };
 
-  } catch (error) {
-    console.error('Error fetching feedback:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch feedback'
-    });
+app.post('/api/designs/:designId/images/:imageId/:operation', asyncHandler(async (req, res, next) => {
+  const operation = IMAGE_OPERATION_ROUTES[req.params.operation];
+  if (!operation) {
+    return next();
   }
+
+  const validationError = validateOperation(operation, req.body);
+  if (validationError) {
+    throw new ValidationError(validationError, { code: 'INVALID_OPERATION' });
+  }
+
+  const design = recentDesigns.get(req.params.designId);
+  const image = design && design.images.find(candidate => candidate._id === req.params.imageId);
+  if (!image) {
+    throw notFound(design);
+  }
+
+  await screenOperation(operation, req.body);
+  const variation = await runImageOperation(image, operation, {
+    ...req.body,
+    prompt: design.aiGeneration.prompt,
+    folder: 'designs/demo'
+  });
+  variation._id = `${image._id}_${operation}_${Date.now()}`;
+
+  image.variations = [...(image.variations || []), variation];
+
+  res.status(201).json({
+    success: true,
+    message: `Image ${operation} created`,
+    variation,
+    design
+  });
+}));
+
+// ✅ PDF design report rendered on the server
+app.get('/api/designs/:designId/report', asyncHandler(async (req, res) => {
+  const { type = 'design' } = req.query;
+  if (!REPORT_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of: ${REPORT_TYPES.join(', ')}`, { code: 'INVALID_REPORT_TYPE' });
+  }
+
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  const pdf = await renderDesignReport(design, { type, folder: 'designs/demo' });
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${reportFilename(design, type)}"`
+  });
+  res.send(pdf);
+}));
+
+// ✅ Tech pack model (the tech-pack report renders this)
+app.get('/api/designs/:designId/tech-pack', asyncHandler(async (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  res.json({
+    success: true,
+    techPack: await buildTechPack(design, { folder: 'designs/demo' })
+  });
+}));
+
+// ✅ Measurement spec and grading rules, kept on the in-memory design
+const measurementsBody = ({ spec, isDefault, updatedAt }) => ({
+  success: true,
+  measurements: gradeMeasurements(spec),
+  isDefault,
+  updatedAt
 });
 
-// ✅ FIXED: Global error handling middleware
-app.use((err, req, res, next) => {
-  console.error('❌ Unhandled error:', err);
+app.get('/api/designs/:designId/measurements', (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
 
-  if (res.headersSent) {
-    return next(err);
+  res.json(measurementsBody(resolveMeasurements(design)));
+});
+
+app.put('/api/designs/:designId/measurements', (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
   }
 
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  const { spec, errors } = parseMeasurements(req.body, {
+    current: resolveMeasurements(design).spec,
+    gender: design.inputParameters.gender
   });
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_MEASUREMENTS', details: { errors } });
+  }
+
+  design.measurements = { ...spec, updatedAt: new Date() };
+  res.json(measurementsBody(resolveMeasurements(design)));
+});
+
+app.delete('/api/designs/:designId/measurements', (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  delete design.measurements;
+  res.json(measurementsBody(resolveMeasurements(design)));
 });
 
-// ✅ FIXED: 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    message: `Cannot ${req.method} ${req.originalUrl}`
+// ✅ Server-side exports, stored under uploads/ and recorded on the design
+app.post('/api/designs/:designId/exports', asyncHandler(async (req, res) => {
+  const format = req.query.format || req.body?.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, { code: 'INVALID_EXPORT_FORMAT' });
+  }
+  const { options, errors } = parseExportOptions(format, { ...req.body, ...req.query });
+  if (errors.length > 0) {
+    throw new ValidationError(errors.join('; '), { code: 'INVALID_EXPORT_OPTIONS', details: { errors } });
+  }
+
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  const exported = await createExport(design, format, { folder: 'designs/demo', options });
+  design.exports = [...(design.exports || []), exported];
+
+  res.status(201).json({
+    success: true,
+    message: `Design exported as ${format}`,
+    export: exported,
+    downloadUrl: exported.url
+  });
+}));
+
+app.get('/api/designs/:designId/exports', (req, res) => {
+  const design = recentDesigns.get(req.params.designId);
+  if (!design) {
+    throw new NotFoundError('Design not found', { code: 'DESIGN_NOT_FOUND' });
+  }
+
+  res.json({
+    success: true,
+    exports: [...(design.exports || [])].reverse()
   });
 });
 
+// ✅ Feedback routes (mock)
+app.post('/api/designs/:designId/feedback', validateFeedback, asyncHandler(async (req, res) => {
+  const { designId } = req.params;
+  const { rating, comment, feedbackType, tags, helpful } = req.body;
+
+  const feedback = {
+    id: Date.now().toString(),
+    designId,
+    rating,
+    comment: comment?.trim(),
+    feedbackType: feedbackType || 'general',
+    tags: tags || [],
+    helpful,
+    timestamp: new Date().toISOString()
+  };
+
+  console.log(' Feedback submitted:', feedback);
+
+  res.json({
+    success: true,
+    data: { feedback },
+    message: 'Feedback submitted successfully'
+  });
+}));
+
+app.get('/api/designs/:designId/feedback', asyncHandler(async (req, res) => {
+  const { designId } = req.params;
+
+  const mockFeedbacks = [
+    {
+      id: '1',
+      designId,
+      rating: 5,
+      comment: 'Amazing design! Love the color combination.',
+      feedbackType: 'general',
+      tags: ['colors', 'creativity'],
+      timestamp: new Date().toISOString()
+    },
+    {
+      id: '2',
+      designId,
+      rating: 4,
+      comment: 'Great style, very modern and trendy.',
+      feedbackType: 'design_quality',
+      tags: ['style', 'quality'],
+      timestamp: new Date(Date.now() - 86400000).toISOString()
+    }
+  ];
+
+  res.json({
+    success: true,
+    data: {
+      feedbacks: mockFeedbacks,
+      stats: {
+        averageRating: 4.5,
+        totalFeedbacks: 2,
+        positiveCount: 2
+      }
+    }
+  });
+}));
+
+// ✅ 404 and error handling: every failure gets the same { success: false, error: { type, code, message } } envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5002;
 
 // ✅ FIXED: Robust server startup with error handling
@@ -3,32 +3,34 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // Load environment variables
 dotenv.config();
 
-// Import database connection, Firebase, and Replicate AI
+// Import database connection, Firebase, and the image providers
 const connectDB = require('../config/database');
 const { initializeFirebase } = require('../config/firebase');
-const { initializeReplicate } = require('../config/replicate');
-const { initializeHuggingFace } = require('../config/huggingface');
+const { initializeProviders } = require('../providers');
+const { startGenerationWorker } = require('../jobs/queue');
+const { UPLOADS_DIR } = require('../storage');
+const { errorHandler, notFoundHandler } = require('../middleware/errors');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Connect to database and initialize services
 console.log('🚀 Starting StyleGen AI Backend...');
-connectDB();
+connectDB().then(startGenerationWorker);
 initializeFirebase();
-console.log(' Initializing Hugging Face...');
-initializeHuggingFace();
-console.log(' Initializing Replicate...');
-initializeReplicate();
+console.log(' Initializing image providers...');
+initializeProviders();
 console.log('AI services initialized');
 
 // Middleware
-app.use(helmet());
+app.use(helmet({
+  // Generated images under /uploads are loaded by the frontend from another origin
+  crossOriginResourcePolicy: { policy: 'cross-origin' }
+}));
 app.use(cors({
   origin: [
     'http://localhost:5173',
@@ -42,7 +44,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Routes
 app.get('/api/health', (req, res) => {
@@ -67,21 +69,16 @@ app.get('/api/test', (req, res) => {
 app.use('/api/auth', require('../routes/auth'));
 app.use('/api/designs', require('../routes/designs'));
 app.use('/api/feedback', require('../routes/feedback'));
+app.use('/api/prompts', require('../routes/prompts'));
+app.use('/api/colors', require('../routes/colors'));
+app.use('/api/meta', require('../routes/meta'));
 // app.use('/api/users', require('../routes/users'));
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
-
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+app.use(notFoundHandler);
+
+// Error handling middleware: every failure is answered with the same envelope
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files under backend/uploads, which src/server.js serves at /uploads
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+const PUBLIC_PATH = '/uploads';
+
+// Keys are relative, slash-separated paths such as designs/<id>/<file>.jpg
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOADS_DIR, key);
+  if (!filePath.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return { key, url: getUrl(key) };
+};
+
+const read = (key) => fs.readFile(resolveKey(key));
+
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+const getUrl = (key) => `${PUBLIC_PATH}/${key}`;
+
+// Map a public URL produced by getUrl back to its key
+const keyFromUrl = (url) => {
+  return typeof url === 'string' && url.startsWith(`${PUBLIC_PATH}/`)
+    ? url.slice(PUBLIC_PATH.length + 1)
+    : null;
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  read,
+  remove,
+  getUrl,
+  keyFromUrl,
+  UPLOADS_DIR
+};
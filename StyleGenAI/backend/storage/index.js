@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { makeRequest } = require('../providers/http');
+const { createRenditions, selectRendition } = require('./renditions');
+
+// Storage drivers share one interface: save(key, buffer, { contentType }),
+// read(key), remove(key), getUrl(key) and keyFromUrl(url). An S3-compatible
+// driver can be added with registerStorageDriver and selected via STORAGE_DRIVER.
+const REQUIRED_METHODS = ['save', 'read', 'remove', 'getUrl', 'keyFromUrl'];
+
+const drivers = new Map();
+
+const registerStorageDriver = (driver) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof driver[method] !== 'function');
+  if (!driver.name || missing.length > 0) {
+    throw new Error(`Invalid storage driver "${driver.name}": missing ${missing.join(', ')}`);
+  }
+  drivers.set(driver.name, driver);
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/gif': 'gif'
+};
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  gif: 'image/gif'
+};
+
+// Turn whatever a provider returned (buffer, data URL or remote URL) into bytes
+const loadImageBytes = async (image) => {
+  if (image.buffer) {
+    return { buffer: image.buffer, mimeType: image.mimeType };
+  }
+
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(image.url || '');
+  if (match) {
+    const buffer = match[2]
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]));
+    return { buffer, mimeType: match[1] || image.mimeType };
+  }
+
+  if (/^https:\/\//.test(image.url || '')) {
+    const response = await makeRequest(image.url, { timeout: 60000 });
+    if (!response.ok) {
+      throw new Error(`Failed to download generated image: ${response.status}`);
+    }
+    return {
+      buffer: await response.buffer(),
+      mimeType: (response.headers.get('content-type') || image.mimeType || '').split(';')[0]
+    };
+  }
+
+  throw new Error('Generated image has no data to store');
+};
+
+// Read real dimensions/format from the bytes rather than trusting the provider
+const inspectImage = async (buffer, fallbackMimeType) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    return {
+      width: metadata.width,
+      height: metadata.height,
+      mimeType: MIME_TYPES[metadata.format] || fallbackMimeType
+    };
+  } catch (error) {
+    return { width: undefined, height: undefined, mimeType: fallbackMimeType };
+  }
+};
+
+// Write a generated image to storage and return the Design `images[]` entry.
+// With `renditions: true` thumbnail/medium/full (+ WebP) copies are stored too.
+const storeImage = async (image, { folder, name, renditions = false } = {}) => {
+  const { buffer, mimeType: reportedType } = await loadImageBytes(image);
+  const info = await inspectImage(buffer, reportedType || 'image/png');
+  const extension = EXTENSIONS[info.mimeType] || 'png';
+  const filename = `${name || crypto.randomUUID()}.${extension}`;
+  const key = folder ? `${folder}/${filename}` : filename;
+
+  const storage = getStorage();
+  const { url } = await storage.save(key, buffer, { contentType: info.mimeType });
+
+  const stored = {
+    url,
+    filename,
+    storageKey: key,
+    mimeType: info.mimeType,
+    size: buffer.length,
+    dimensions: {
+      width: info.width,
+      height: info.height
+    }
+  };
+
+  if (renditions) {
+    try {
+      stored.renditions = await createRenditions(stored, buffer, storage);
+    } catch (error) {
+      // The original is still usable; lists just fall back to it
+      console.error('⚠️ Rendition generation failed:', error.message);
+    }
+  }
+
+  return stored;
+};
+
+const readStoredFile = (key) => getStorage().read(key);
+
+// Read a stored design image back as `{ buffer, mimeType }` for image-to-image
+// providers. SVG mock-ups are rasterised since providers only accept bitmaps.
+const loadSourceImage = async (image) => {
+  const storage = getStorage();
+  const key = image.storageKey || storage.keyFromUrl(image.url);
+  const { buffer, mimeType: reportedType } = key
+    ? { buffer: await storage.read(key), mimeType: image.mimeType }
+    : await loadImageBytes(image);
+  const { mimeType } = await inspectImage(buffer, reportedType || 'image/png');
+
+  if (mimeType === 'image/svg+xml') {
+    return { buffer: await sharp(buffer).png().toBuffer(), mimeType: 'image/png' };
+  }
+  return { buffer, mimeType };
+};
+
+const removeStoredFile = (key) => getStorage().remove(key);
+
+const localDriver = require('./drivers/local');
+registerStorageDriver(localDriver);
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+  storeImage,
+  selectRendition,
+  loadImageBytes,
+  inspectImage,
+  readStoredFile,
+  loadSourceImage,
+  removeStoredFile,
+  UPLOADS_DIR: localDriver.UPLOADS_DIR
+};
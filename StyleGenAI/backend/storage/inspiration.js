@@ -0,0 +1,70 @@
+const { storeImage, inspectImage, getStorage } = require('./index');
+const { parseReferenceParameters } = require('../providers/parameters');
+
+// Inspiration images uploaded for image-to-image generation. Each owner's
+// uploads live under inspiration/<owner id>/, which is how a generation
+// request is checked to only reference its own uploads.
+const INSPIRATION_FOLDER = 'inspiration';
+const RASTER_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const ownerFolder = (ownerId) => `${INSPIRATION_FOLDER}/${ownerId}`;
+
+// Store an uploaded file ({ buffer, mimetype } from multer). Returns null when
+// the bytes aren't a readable raster image, whatever the upload claimed.
+const storeInspiration = async (file, ownerId) => {
+  const info = await inspectImage(file.buffer);
+  if (!info.width || !RASTER_TYPES.includes(info.mimeType)) {
+    return null;
+  }
+
+  return storeImage({ buffer: file.buffer, mimeType: info.mimeType }, { folder: ownerFolder(ownerId) });
+};
+
+// Turn `{ storageKey, mode, strength }` from a generation request into the
+// Design's `inspiration` entry. Returns `{ inspiration, errors }`.
+const resolveInspiration = async (request, ownerId) => {
+  if (!request) {
+    return { inspiration: null, errors: [] };
+  }
+
+  const { storageKey } = request;
+  const isOwnUpload = typeof storageKey === 'string' &&
+    storageKey.startsWith(`${ownerFolder(ownerId)}/`) &&
+    !storageKey.split('/').includes('..');
+  if (!isOwnUpload) {
+    return { inspiration: null, errors: ['inspiration.storageKey must be an image uploaded to /api/designs/inspiration'] };
+  }
+
+  const { reference, errors } = parseReferenceParameters(request);
+  if (errors.length > 0) {
+    return { inspiration: null, errors };
+  }
+
+  const storage = getStorage();
+  let buffer;
+  try {
+    buffer = await storage.read(storageKey);
+  } catch (error) {
+    return { inspiration: null, errors: ['Inspiration image not found; upload it again'] };
+  }
+  const info = await inspectImage(buffer);
+
+  return {
+    inspiration: {
+      url: storage.getUrl(storageKey),
+      storageKey,
+      mimeType: info.mimeType,
+      size: buffer.length,
+      dimensions: { width: info.width, height: info.height },
+      mode: reference.mode,
+      strength: reference.strength
+    },
+    errors: []
+  };
+};
+
+module.exports = {
+  INSPIRATION_FOLDER,
+  storeInspiration,
+  resolveInspiration
+};
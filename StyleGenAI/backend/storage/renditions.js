@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+
+// Longest edge in pixels for each rendition; `full` keeps the original size
+const RENDITIONS = {
+  thumbnail: 256,
+  medium: 640,
+  full: null
+};
+
+const FORMATS = {
+  'image/jpeg': { extension: 'jpg', encode: image => image.jpeg({ quality: 82, mozjpeg: true }) },
+  'image/png': { extension: 'png', encode: image => image.png({ compressionLevel: 9 }) }
+};
+
+const WEBP_QUALITY = 80;
+
+const encodeRendition = async (source, maxEdge, encode) => {
+  let image = sharp(source);
+  if (maxEdge) {
+    image = image.resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true });
+  }
+  const { data, info } = await encode(image).toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+// Create thumbnail/medium/full renditions (plus WebP) next to a stored image.
+// `image` is an entry produced by storeImage; returns the `renditions` object for it.
+const createRenditions = async (image, sourceBuffer, storage) => {
+  const folder = image.storageKey.includes('/') ? image.storageKey.slice(0, image.storageKey.lastIndexOf('/')) : '';
+  const baseName = image.filename.replace(/\.[^.]+$/, '');
+  // Vector and other formats are rasterized to PNG
+  const format = FORMATS[image.mimeType] || FORMATS['image/png'];
+  const renditions = {};
+
+  for (const [name, maxEdge] of Object.entries(RENDITIONS)) {
+    const keyFor = (extension) => `${folder ? `${folder}/` : ''}${baseName}_${name}.${extension}`;
+    const rendition = {};
+
+    // The original file already is the full-size rendition when it's a raster format
+    if (name === 'full' && FORMATS[image.mimeType]) {
+      Object.assign(rendition, {
+        url: image.url,
+        width: image.dimensions?.width,
+        height: image.dimensions?.height,
+        size: image.size
+      });
+    } else {
+      const encoded = await encodeRendition(sourceBuffer, maxEdge, format.encode);
+      const saved = await storage.save(keyFor(format.extension), encoded.buffer);
+      Object.assign(rendition, {
+        url: saved.url,
+        width: encoded.width,
+        height: encoded.height,
+        size: encoded.buffer.length
+      });
+    }
+
+    const webp = await encodeRendition(sourceBuffer, maxEdge, img => img.webp({ quality: WEBP_QUALITY }));
+    const savedWebp = await storage.save(keyFor('webp'), webp.buffer);
+    rendition.webpUrl = savedWebp.url;
+    rendition.webpSize = webp.buffer.length;
+
+    renditions[name] = rendition;
+  }
+
+  return renditions;
+};
+
+// Pick the URLs for a rendition, falling back to the original image
+const selectRendition = (image, name = 'full') => {
+  const rendition = image?.renditions?.[name];
+  if (!rendition || !rendition.url) {
+    return { url: image?.url, webpUrl: undefined, width: image?.dimensions?.width, height: image?.dimensions?.height };
+  }
+  return {
+    url: rendition.url,
+    webpUrl: rendition.webpUrl,
+    width: rendition.width,
+    height: rendition.height
+  };
+};
+
+module.exports = {
+  RENDITIONS,
+  createRenditions,
+  selectRendition
+};
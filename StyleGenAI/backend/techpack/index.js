@@ -0,0 +1,216 @@
+const { getStorage } = require('../storage');
+const { nameColor } = require('../colors');
+const { MATERIAL_SPECS, DEFAULT_MATERIAL, CONSUMPTION } = require('./materials');
+const { createFlatSketch } = require('./sketch');
+const { resolveMeasurements, gradeMeasurements } = require('../measurements');
+
+// A tech pack is the production hand-off for a design: what to make it from,
+// in which colours and sizes, and how to sew and label it. buildTechPack()
+// derives one from the design's inputParameters; reports/techPack.js renders
+// it as a PDF. Bump TECH_PACK_VERSION when the model's shape changes.
+const TECH_PACK_VERSION = 1;
+
+// Occasions whose garments are lined and interfaced
+const TAILORED_OCCASIONS = ['formal', 'business', 'wedding', 'interview'];
+const PRINTED_PATTERNS = ['floral', 'geometric', 'animal-print', 'abstract', 'polka-dots'];
+const MATCHED_PATTERNS = ['stripes', 'plaid'];
+const NAP_MATERIALS = ['velvet', 'satin'];
+
+const COLOUR_ROLES = ['Main body', 'Contrast', 'Accent'];
+
+const titleCase = (value) => String(value).replace(/[-_]/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+const primaryImage = (design) => {
+  const images = design.images || [];
+  return images.find(image => image.isPrimary) || images[0] || null;
+};
+
+const styleNumber = (id) => `SG-${String(id).slice(-6).toUpperCase()}`;
+
+const colourways = (colors) => {
+  const named = colors.map((hex, index) => {
+    const color = nameColor(hex) || { hex, rgb: null, name: hex, match: null };
+    return {
+      role: COLOUR_ROLES[Math.min(index, COLOUR_ROLES.length - 1)],
+      hex: color.hex,
+      rgb: color.rgb ? [color.rgb.r, color.rgb.g, color.rgb.b] : null,
+      name: titleCase(color.name),
+      // How far the named colour is from the exact one (CIEDE2000); 0 is an exact match
+      matchDistance: color.match ? Number(color.match.distance.toFixed(1)) : null
+    };
+  });
+
+  return [{ name: 'CW1', description: 'As designed', colors: named }];
+};
+
+const billOfMaterials = ({ materials, colors, tailored }) => {
+  const [main, ...contrasts] = materials;
+  const mainColour = colors[0] ? titleCase(colors[0].name) : 'TBC';
+  const fabric = (material, role, placement, colour) => ({
+    category: 'Fabric',
+    item: titleCase(material),
+    placement,
+    description: `${MATERIAL_SPECS[material].composition}, ${MATERIAL_SPECS[material].weight}, ${MATERIAL_SPECS[material].width} wide`,
+    colour,
+    ...CONSUMPTION[role]
+  });
+
+  const rows = [
+    fabric(main, 'main', 'Body', mainColour),
+    ...contrasts.map((material, index) => fabric(
+      material, 'contrast', 'Contrast panels and trims',
+      colors[index + 1] ? titleCase(colors[index + 1].name) : mainColour
+    ))
+  ];
+
+  if (tailored) {
+    rows.push(
+      { category: 'Fabric', item: 'Lining', placement: 'Body lining', description: '100% viscose twill lining, 70 gsm', colour: `Tone to ${mainColour}`, quantity: 1.8, unit: 'm' },
+      { category: 'Trim', item: 'Fusible interfacing', placement: 'Facings, collar, cuffs', description: 'Woven fusible, lightweight', colour: 'White or black to suit', quantity: 0.5, unit: 'm' }
+    );
+  }
+
+  rows.push(
+    { category: 'Trim', item: 'Sewing thread', placement: 'All seams', description: MATERIAL_SPECS[main].thread, colour: `Match ${mainColour}`, quantity: 1, unit: 'cone' },
+    { category: 'Label', item: 'Main label', placement: 'Centre back neck', description: 'Woven brand label', colour: 'Brand standard', quantity: 1, unit: 'pc' },
+    { category: 'Label', item: 'Size label', placement: 'Below main label', description: 'Woven size label', colour: 'Brand standard', quantity: 1, unit: 'pc' },
+    { category: 'Label', item: 'Care label', placement: 'Left side seam', description: 'Printed satin label with composition and care', colour: 'White', quantity: 1, unit: 'pc' },
+    { category: 'Packaging', item: 'Hangtag', placement: 'Main label loop', description: 'Printed card with barcode', colour: 'Brand standard', quantity: 1, unit: 'pc' },
+    { category: 'Packaging', item: 'Polybag', placement: 'Folded garment', description: 'Recyclable LDPE with suffocation warning', colour: 'Clear', quantity: 1, unit: 'pc' }
+  );
+
+  return rows;
+};
+
+const constructionNotes = ({ materials, patterns, tailored }) => {
+  const notes = materials.map(material => `${titleCase(material)}: ${MATERIAL_SPECS[material].seams}; ${MATERIAL_SPECS[material].needle} needle.`);
+
+  notes.push(tailored
+    ? 'Fully lined; fuse interfacing to facings, collar and cuffs before assembly.'
+    : 'Unlined; clean-finish facings and hems.');
+
+  if (patterns.some(pattern => MATCHED_PATTERNS.includes(pattern))) {
+    notes.push('Match stripes/checks at side seams, centre front and sleeve heads.');
+  }
+  if (patterns.some(pattern => PRINTED_PATTERNS.includes(pattern))) {
+    notes.push('Place print motifs symmetrically about centre front; keep print direction consistent on all pieces.');
+  }
+  if (materials.some(material => NAP_MATERIALS.includes(material))) {
+    notes.push('Cut all pieces with the nap running in one direction.');
+  }
+
+  notes.push('Press all seams as sewn; final press and inspection to AQL 2.5.');
+  return notes;
+};
+
+const careLabels = (materials) => materials.map(material => ({
+  material: titleCase(material),
+  composition: MATERIAL_SPECS[material].composition,
+  instructions: MATERIAL_SPECS[material].care
+}));
+
+// Each tech pack exported so far was an issue of this document; the one being
+// built is the next revision
+const revisions = (design, generatedAt) => {
+  const letter = index => String.fromCharCode('A'.charCodeAt(0) + index);
+  const issued = (design.exports || [])
+    .filter(entry => entry.format === 'tech-pack')
+    .map((entry, index) => ({
+      revision: letter(index),
+      date: entry.exportedAt,
+      description: `Issued as ${entry.filename}`,
+      author: 'StyleGen AI'
+    }));
+
+  let description = issued.length > 0 ? 'Re-issued from the current design' : 'Initial issue from generated design';
+  if (issued.length === 0 && design.regeneratedFrom) {
+    description += `, regenerated from design ${design.regeneratedFrom}`;
+  }
+
+  return [...issued, { revision: letter(issued.length), date: generatedAt, description, author: 'StyleGen AI' }];
+};
+
+// Trace the primary image into a line drawing and store it next to the design.
+// The sketch is named after the image, so one traced before is reused and
+// viewing a tech pack doesn't rewrite it; a new primary image gets its own.
+// Returns null (and the tech pack goes without) if the image can't be traced.
+const storeFlatSketch = async (design, folder) => {
+  const image = primaryImage(design);
+  if (!image) return null;
+
+  const storage = getStorage();
+  const key = `${folder ? `${folder}/` : ''}tech-pack/flat-sketch_${image._id || 'primary'}.png`;
+  const sketch = (url) => ({ url, storageKey: key, sourceImage: image.url, method: 'edge-trace' });
+
+  // Only an image with an id can be matched to a stored sketch
+  if (image._id && await storage.read(key).then(() => true, () => false)) {
+    return sketch(storage.getUrl(key));
+  }
+
+  try {
+    const buffer = await createFlatSketch(image);
+    const { url } = await storage.save(key, buffer, { contentType: 'image/png' });
+    return sketch(url);
+  } catch (error) {
+    console.warn('⚠️ Flat sketch could not be created:', error.message);
+    return null;
+  }
+};
+
+// Build the tech pack model for a Design document or simple.js's plain design.
+// `folder` is where the flat sketch is stored (e.g. designs/<id>); `bodyType`
+// fits the default measurements when the design has none saved.
+const buildTechPack = async (source, { folder, bodyType } = {}) => {
+  const design = typeof source.toObject === 'function' ? source.toObject() : source;
+  const input = design.inputParameters || {};
+  const id = design._id || design.id;
+
+  const materials = (input.materials || []).filter(material => MATERIAL_SPECS[material]);
+  if (materials.length === 0) materials.push(DEFAULT_MATERIAL);
+  const patterns = input.patterns || [];
+  const tailored = TAILORED_OCCASIONS.includes(input.occasion);
+  const ways = colourways(input.colors || []);
+  const { spec, isDefault } = resolveMeasurements(design, { bodyType });
+  const chart = gradeMeasurements(spec);
+  const generatedAt = new Date();
+
+  return {
+    version: TECH_PACK_VERSION,
+    generatedAt,
+    style: {
+      number: styleNumber(id),
+      designId: String(id),
+      name: design.title || 'Untitled Design',
+      description: design.description,
+      garmentType: chart.garmentType,
+      gender: input.gender,
+      occasion: input.occasion,
+      category: input.style,
+      season: input.season,
+      mood: input.mood,
+      patterns
+    },
+    flatSketch: await storeFlatSketch(design, folder),
+    billOfMaterials: billOfMaterials({ materials, colors: ways[0].colors, tailored }),
+    colourways: ways,
+    sizeChart: {
+      garmentType: chart.garmentType,
+      sizeRun: chart.sizeRun,
+      sizeRunName: chart.sizeRunName,
+      unit: chart.unit,
+      sizes: chart.sizes,
+      baseSize: chart.baseSize,
+      fit: chart.fit,
+      isDefault,
+      points: chart.points.map(({ code, name, description, values, tolerance }) => ({ code, name, description, values, tolerance }))
+    },
+    construction: constructionNotes({ materials, patterns, tailored }),
+    care: careLabels(materials),
+    revisions: revisions(design, generatedAt)
+  };
+};
+
+module.exports = {
+  buildTechPack,
+  TECH_PACK_VERSION
+};
@@ -0,0 +1,110 @@
+// Production specs per material, used for the bill of materials, care labels
+// and construction notes of a tech pack. Weights are typical for apparel
+// fabrics of that kind; the factory confirms the final fabric.
+const MATERIAL_SPECS = {
+  cotton: {
+    composition: '100% cotton',
+    weight: '140-180 gsm',
+    width: '150 cm',
+    thread: 'Polyester core-spun, Tex 27',
+    needle: 'Universal 80/12',
+    seams: 'Overlocked 4-thread seams, 2.5 mm stitch length',
+    care: ['Machine wash 30°C', 'Do not bleach', 'Tumble dry low', 'Iron medium heat', 'Dry clean allowed']
+  },
+  silk: {
+    composition: '100% silk',
+    weight: '60-90 gsm',
+    width: '114 cm',
+    thread: 'Silk or fine polyester, Tex 18',
+    needle: 'Microtex 60/8',
+    seams: 'French seams, 2 mm stitch length; tissue-stabilise during sewing',
+    care: ['Dry clean only', 'Do not wash', 'Do not bleach', 'Do not tumble dry', 'Iron low heat on reverse']
+  },
+  wool: {
+    composition: '100% wool',
+    weight: '250-350 gsm',
+    width: '150 cm',
+    thread: 'Polyester core-spun, Tex 40',
+    needle: 'Universal 90/14',
+    seams: 'Pressed-open plain seams with bound edges, 3 mm stitch length',
+    care: ['Dry clean only', 'Do not bleach', 'Do not tumble dry', 'Iron medium heat with pressing cloth']
+  },
+  linen: {
+    composition: '100% linen',
+    weight: '150-200 gsm',
+    width: '140 cm',
+    thread: 'Polyester core-spun, Tex 27',
+    needle: 'Universal 80/12',
+    seams: 'Flat-felled seams to control fraying, 2.5 mm stitch length',
+    care: ['Machine wash 40°C', 'Do not bleach', 'Line dry', 'Iron high heat while damp']
+  },
+  polyester: {
+    composition: '100% polyester',
+    weight: '100-150 gsm',
+    width: '150 cm',
+    thread: 'Polyester, Tex 27',
+    needle: 'Microtex 70/10',
+    seams: 'Overlocked 4-thread seams, 2.5 mm stitch length',
+    care: ['Machine wash 40°C', 'Do not bleach', 'Tumble dry low', 'Iron low heat']
+  },
+  denim: {
+    composition: '98% cotton, 2% elastane',
+    weight: '10-12 oz (340-400 gsm)',
+    width: '150 cm',
+    thread: 'Polyester core-spun, Tex 70 topstitch / Tex 40 seams',
+    needle: 'Denim 100/16',
+    seams: 'Flat-felled and double-needle topstitched seams, bar-tacked stress points',
+    care: ['Machine wash 30°C inside out', 'Do not bleach', 'Line dry', 'Iron medium heat']
+  },
+  leather: {
+    composition: 'Genuine leather (lambskin or cowhide)',
+    weight: '0.8-1.2 mm thickness',
+    width: 'Per hide',
+    thread: 'Bonded nylon, Tex 70',
+    needle: 'Leather point 90/14',
+    seams: 'Glued and topstitched seams, 3.5-4 mm stitch length; no pins',
+    care: ['Professional leather clean only', 'Do not wash', 'Do not tumble dry', 'Do not iron']
+  },
+  chiffon: {
+    composition: '100% polyester chiffon',
+    weight: '40-60 gsm',
+    width: '150 cm',
+    thread: 'Fine polyester, Tex 18',
+    needle: 'Microtex 60/8',
+    seams: 'French seams and rolled hems, 2 mm stitch length',
+    care: ['Hand wash cold', 'Do not bleach', 'Do not tumble dry', 'Iron low heat']
+  },
+  satin: {
+    composition: '100% polyester satin',
+    weight: '90-120 gsm',
+    width: '150 cm',
+    thread: 'Polyester, Tex 24',
+    needle: 'Microtex 70/10',
+    seams: 'French or overlocked seams, 2 mm stitch length; cut single-layer',
+    care: ['Hand wash cold or dry clean', 'Do not bleach', 'Do not tumble dry', 'Iron low heat on reverse']
+  },
+  velvet: {
+    composition: '82% viscose, 18% silk',
+    weight: '200-280 gsm',
+    width: '140 cm',
+    thread: 'Polyester, Tex 27',
+    needle: 'Universal 80/12',
+    seams: 'Walking-foot plain seams, 3 mm stitch length; cut with nap in one direction',
+    care: ['Dry clean only', 'Do not bleach', 'Do not tumble dry', 'Steam only, do not press pile']
+  }
+};
+
+// Used when a design was generated without choosing any material
+const DEFAULT_MATERIAL = 'cotton';
+
+// Estimated fabric usage for the base size, by the material's role in the garment
+const CONSUMPTION = {
+  main: { quantity: 2.2, unit: 'm' },
+  contrast: { quantity: 0.6, unit: 'm' }
+};
+
+module.exports = {
+  MATERIAL_SPECS,
+  DEFAULT_MATERIAL,
+  CONSUMPTION
+};
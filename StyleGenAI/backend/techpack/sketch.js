@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+const { loadSourceImage } = require('../storage');
+
+const SKETCH_SIZE = 800;
+
+// Edges are the strongest gradients: at least this strong, and within the top
+// EDGE_SHARE of the image so busy textures don't turn the sketch black
+const MIN_EDGE_STRENGTH = 60;
+const EDGE_SHARE = 0.08;
+
+// Trace a design image into a black-on-white line drawing (Sobel edge
+// detection), as a starting point for the tech pack's flat sketch page.
+// Resolves to PNG bytes.
+const createFlatSketch = async (image) => {
+  const { buffer } = await loadSourceImage(image);
+  const { data, info } = await sharp(buffer)
+    .resize(SKETCH_SIZE, SKETCH_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#FFFFFF' })
+    .greyscale()
+    .blur(1.2)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const strength = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = data[i - width + 1] + 2 * data[i + 1] + data[i + width + 1]
+        - data[i - width - 1] - 2 * data[i - 1] - data[i + width - 1];
+      const gy = data[i + width - 1] + 2 * data[i + width] + data[i + width + 1]
+        - data[i - width - 1] - 2 * data[i - width] - data[i - width + 1];
+      strength[i] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+
+  const sorted = Float32Array.from(strength).sort();
+  const threshold = Math.max(MIN_EDGE_STRENGTH, sorted[Math.floor(sorted.length * (1 - EDGE_SHARE))]);
+
+  const lines = Buffer.alloc(width * height, 255);
+  strength.forEach((value, i) => {
+    if (value >= threshold) lines[i] = 0;
+  });
+
+  return sharp(lines, { raw: { width, height, channels: 1 } }).png().toBuffer();
+};
+
+module.exports = {
+  createFlatSketch
+};
@@ -1,17 +1,50 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import DesignForm from './components/DesignForm';
 import DesignResult from './components/DesignResult';
-import { designsApi, feedbackApi, apiClient } from './services/api';
-import { downloadDesignAsPDF, downloadImageAsPNG, downloadDesignAsJSON } from './services/pdfService';
-import { showDownloadSuccess, showDownloadError } from './services/notifications';
+import { designsApi, feedbackApi, metaApi, apiClient, resolveAssetUrl } from './services/api';
+import { ModerationError, QuotaError, ValidationError, AuthError } from './services/errors';
+import { downloadDesignAsPDF, downloadImage, downloadDesignAsJSON, downloadServerExport } from './services/pdfService';
+import { IMAGE_FORMATS } from './services/imageExport';
+import { showDownloadSuccess, showDownloadError, showNotification } from './services/notifications';
+
+// Tries at loading the form options before the form shows an error
+const FORM_OPTIONS_ATTEMPTS = 3;
 
 function App() {
   const [isGenerating, setIsGenerating] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState(null);
   const [generatedDesign, setGeneratedDesign] = useState(null);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('testing');
   const [isDownloading, setIsDownloading] = useState(false);
   const [downloadType, setDownloadType] = useState('');
+  const [maxImages, setMaxImages] = useState(1);
+  const [maxColors, setMaxColors] = useState(5);
+  const [schedulers, setSchedulers] = useState([]);
+  const [formOptions, setFormOptions] = useState(null);
+  const [formOptionsError, setFormOptionsError] = useState(null);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Option lists for the forms come from the server so they can't drift from its
+  // validation. A failed load is retried a few times; after that the form shows
+  // the error with a button to try again.
+  const loadFormOptions = useCallback(async () => {
+    setFormOptionsError(null);
+    for (let attempt = 1; attempt <= FORM_OPTIONS_ATTEMPTS; attempt++) {
+      try {
+        setFormOptions(await metaApi.getOptions());
+        return;
+      } catch (error) {
+        console.warn(`Could not load form options (attempt ${attempt}):`, error);
+        if (attempt === FORM_OPTIONS_ATTEMPTS) {
+          setFormOptionsError(error.message);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+        }
+      }
+    }
+  }, []);
 
   // Test backend connection on component mount
   useEffect(() => {
@@ -28,11 +61,46 @@ function App() {
       }
     };
 
+    // Plan limits (candidates per generation) and the sampling options the backend accepts
+    const loadGenerationOptions = async () => {
+      try {
+        const response = await designsApi.getModels();
+        setMaxImages(response.limits?.imagesPerRequest || 1);
+        setMaxColors(response.maxColors || 5);
+        setSchedulers(response.schedulers || []);
+      } catch (error) {
+        console.warn('Could not load generation options:', error);
+      }
+    };
+
     testConnection();
-  }, []);
+    loadGenerationOptions();
+    loadFormOptions();
+  }, [loadFormOptions]);
+
+  // Result view state for a design returned by the API; the primary candidate is the one shown
+  const toResultDesign = (design, preferences) => {
+    const primaryImage = design.images.find(image => image.isPrimary) || design.images[0] || null;
+
+    return {
+      id: design.id,
+      title: design.title,
+      description: design.description,
+      imageUrl: resolveAssetUrl(primaryImage?.url) || 'https://via.placeholder.com/512x512/EC4899/FFFFFF?text=Design+Generated',
+      image: primaryImage,
+      images: design.images,
+      inspiration: design.inspiration,
+      prompt: design.aiGeneration?.prompt || `${preferences.style} ${preferences.occasion} outfit`,
+      preferences,
+      metadata: design.aiGeneration,
+      createdAt: design.createdAt,
+      isFavorited: false
+    };
+  };
 
   const handleDesignSubmit = async (formData) => {
     setIsGenerating(true);
+    setGenerationProgress(null);
     setError(null);
 
     try {
@@ -41,23 +109,43 @@ function App() {
       // Call the real API
       const response = await designsApi.generateDesign(formData);
 
-      if (response.success) {
-        setGeneratedDesign({
-          id: response.design.id,
-          title: response.design.title,
-          imageUrl: response.design.images[0]?.url || 'https://via.placeholder.com/512x512/EC4899/FFFFFF?text=Design+Generated',
-          prompt: response.design.aiGeneration?.prompt || `${formData.style} ${formData.occasion} outfit`,
-          preferences: formData,
-          metadata: response.design.aiGeneration,
-          isFavorited: false
-        });
-      } else {
+      if (!response.success) {
         throw new Error(response.message || 'Design generation failed');
       }
 
+      // Generation runs in the background; follow its live progress until it finishes
+      let design = response.design;
+      if (design.status === 'generating') {
+        setGenerationProgress(design.progress || null);
+        design = await designsApi.watchDesign(design.id, { onProgress: setGenerationProgress });
+      }
+
+      setGeneratedDesign(toResultDesign(design, formData));
+
     } catch (error) {
       console.error('Design generation failed:', error);
 
+      // Blocked content is never shown, not even as a demo stand-in
+      if (error instanceof ModerationError) {
+        setError(error.message);
+        setGeneratedDesign(null);
+        return;
+      }
+
+      // A demo stand-in can't help with plan limits or a bad request
+      if (error instanceof QuotaError) {
+        const plan = error.details?.plan;
+        setError(plan ? `${error.message} Upgrade from the ${plan} plan for more.` : error.message);
+        setGeneratedDesign(null);
+        return;
+      }
+      if (error instanceof ValidationError || error instanceof AuthError) {
+        setError(error.message);
+        setGeneratedDesign(null);
+        return;
+      }
+
+      // Provider, network and server failures fall back to a demo design
       let errorMessage = error.message || 'Failed to generate design. Please try again.';
       let demoImageText = 'Demo+Design+(API+Error)';
 
@@ -80,40 +168,56 @@ function App() {
       });
     } finally {
       setIsGenerating(false);
+      setGenerationProgress(null);
     }
   };
 
-  const handleDownload = async (design, format = 'png') => {
+  // `options` are the image conversion options ({ resolution, quality, transparent })
+  const handleDownload = async (design, format = 'png', options = {}) => {
+    const isImage = Boolean(IMAGE_FORMATS[format]);
     try {
       setError(null);
       setIsDownloading(true);
-      setDownloadType(format);
+      setDownloadType(isImage ? 'image' : format);
 
-      if (design.isDemo && format === 'png') {
+      if (design.isDemo && isImage) {
         // For demo image download, just open in new tab
         window.open(design.imageUrl, '_blank');
         return;
       }
 
+      // Reports of saved designs are exported on the server, which keeps a record
+      // of them; the browser renders them itself when that isn't possible
+      const exportReport = async (type) => {
+        if (!design.isDemo) {
+          try {
+            return await downloadServerExport(design, type === 'design' ? 'pdf' : type);
+          } catch (exportError) {
+            console.warn('Server export failed, rendering the report in the browser:', exportError);
+          }
+        }
+        return downloadDesignAsPDF(design, type);
+      };
+
       let result;
       switch (format) {
         case 'pdf':
-          result = await downloadDesignAsPDF(design, 'design');
+          result = await exportReport('design');
           break;
         case 'tech-pack':
-          result = await downloadDesignAsPDF(design, 'tech-pack');
+          result = await exportReport('tech-pack');
           break;
         case 'json':
-          result = downloadDesignAsJSON(design);
+          result = await downloadDesignAsJSON(design);
           break;
-        case 'png':
-        case 'image':
         default:
-          if (design.isDemo) {
-            window.open(design.imageUrl, '_blank');
-            return;
+          // Images are converted on the server too, falling back to the browser's canvas
+          try {
+            result = await downloadServerExport(design, format, options);
+          } catch (exportError) {
+            console.warn('Server export failed, converting the image in the browser:', exportError);
+            result = await downloadImage(design, format, options);
           }
-          result = await downloadImageAsPNG(design);
           break;
       }
 
@@ -128,12 +232,12 @@ function App() {
 
       if (result && result.success) {
         console.log(`Download successful: ${result.filename}`);
-        showDownloadSuccess(result.filename || 'File downloaded successfully', format);
+        showDownloadSuccess(result.filename || 'File downloaded successfully', isImage ? 'image' : format);
       }
 
     } catch (error) {
       console.error('Download failed:', error);
-      showDownloadError(error.message, format);
+      showDownloadError(error.message, isImage ? 'image' : format);
       setError(`Download failed: ${error.message}`);
     } finally {
       setIsDownloading(false);
@@ -163,6 +267,70 @@ function App() {
     }
   };
 
+  const handleSetPrimary = async (imageId) => {
+    try {
+      const response = await designsApi.setPrimaryImage(generatedDesign.id, imageId);
+      setGeneratedDesign(prev => ({
+        ...toResultDesign(response.design, prev.preferences),
+        isFavorited: prev.isFavorited
+      }));
+    } catch (error) {
+      console.error('Failed to set primary image:', error);
+      setError(`Could not change the primary image: ${error.message}`);
+    }
+  };
+
+  // Re-run the design with identical settings; the result replaces the current view
+  const handleRegenerate = async () => {
+    setError(null);
+    setIsRegenerating(true);
+    try {
+      const response = await designsApi.regenerateDesign(generatedDesign.id);
+      let design = response.design;
+      if (design.status === 'generating') {
+        design = await designsApi.watchDesign(design.id);
+      }
+
+      setGeneratedDesign(prev => toResultDesign(design, prev.preferences));
+    } catch (error) {
+      console.error('Regeneration failed:', error);
+      setError(`Regeneration failed: ${error.message}`);
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  // Variation, upscale or edit of one image; the result is appended to that image's variations
+  const handleImageOperation = async (imageId, operation, options = {}) => {
+    setError(null);
+    try {
+      let response;
+      if (operation === 'upscale') {
+        response = await designsApi.upscaleImage(generatedDesign.id, imageId, options.scale);
+      } else if (operation === 'edit') {
+        response = await designsApi.editImage(generatedDesign.id, imageId, options.instruction);
+      } else {
+        response = await designsApi.createVariation(generatedDesign.id, imageId, options);
+      }
+
+      // The database-backed server queues the operation; follow it until it finishes
+      let { design, variation } = response;
+      if (response.operation) {
+        ({ design, variation } = await designsApi.watchOperation(generatedDesign.id, response.operation.id));
+      }
+
+      setGeneratedDesign(prev => ({
+        ...toResultDesign(design, prev.preferences),
+        isFavorited: prev.isFavorited
+      }));
+      return variation;
+    } catch (error) {
+      console.error(`Image ${operation} failed:`, error);
+      setError(`Image ${operation} failed: ${error.message}`);
+      return null;
+    }
+  };
+
   const handleShare = async (design) => {
     try {
       if (navigator.share) {
@@ -181,6 +349,35 @@ function App() {
     }
   };
 
+  // Create a design from a JSON file saved with "Export Data (JSON)" and show it
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setError(null);
+    try {
+      let document;
+      try {
+        document = JSON.parse(await file.text());
+      } catch (parseError) {
+        throw new Error('The file is not valid JSON');
+      }
+
+      const response = await designsApi.importDesign(document);
+      setGeneratedDesign(toResultDesign(response.design, response.design.inputParameters));
+      showNotification(response.message || 'Design imported', 'success', 4000);
+    } catch (error) {
+      console.error('Import failed:', error);
+      // Validation errors list every problem with the file
+      const problems = error instanceof ValidationError ? error.details?.errors : null;
+      setError(`Import failed: ${problems?.length ? problems.join('; ') : error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleBack = () => {
     setGeneratedDesign(null);
     setError(null);
@@ -210,6 +407,16 @@ function App() {
               <a href="#" className="text-gray-700 hover:text-primary-600 font-medium">
                 About
               </a>
+              <label className={`text-gray-700 hover:text-primary-600 font-medium cursor-pointer ${isImporting ? 'opacity-50 cursor-wait' : ''}`}>
+                {isImporting ? 'Importing...' : 'Import Design'}
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImport}
+                  disabled={isImporting}
+                  className="hidden"
+                />
+              </label>
               <div className={`px-2 py-1 rounded text-xs font-medium ${
                 connectionStatus === 'connected' ? 'bg-green-100 text-green-800' :
                 connectionStatus === 'failed' ? 'bg-red-100 text-red-800' :
@@ -243,7 +450,17 @@ function App() {
         )}
 
         {!generatedDesign ? (
-          <DesignForm onSubmit={handleDesignSubmit} isLoading={isGenerating} />
+          <DesignForm
+            onSubmit={handleDesignSubmit}
+            isLoading={isGenerating}
+            progress={generationProgress}
+            maxImages={maxImages}
+            maxColors={maxColors}
+            schedulers={schedulers}
+            options={formOptions}
+            optionsError={formOptionsError}
+            onRetryOptions={loadFormOptions}
+          />
         ) : (
           <DesignResult
             design={generatedDesign}
@@ -251,8 +468,14 @@ function App() {
             onDownload={handleDownload}
             onFavorite={handleFavorite}
             onShare={handleShare}
+            onSetPrimary={handleSetPrimary}
+            onImageOperation={handleImageOperation}
+            onRegenerate={handleRegenerate}
+            isRegenerating={isRegenerating}
             isDownloading={isDownloading}
             downloadType={downloadType}
+            feedbackTags={formOptions?.options.feedback.tags}
+            exportOptions={formOptions?.options.export}
           />
         )}
       </main>
@@ -1,6 +1,82 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { designsApi, colorsApi, palettesApi, promptsApi } from '../services/api';
+import { normalizeHex, getHarmonies, sampleImageColor } from '../services/colorHarmony';
+import { showNotification } from '../services/notifications';
 
-const DesignForm = ({ onSubmit, isLoading = false }) => {
+// How each option value is shown. The values themselves (and the limits)
+// come from GET /api/meta/options, so the form offers what the server accepts;
+// a value without an entry here is still shown, with a title-cased label.
+const OPTION_DISPLAY = {
+  gender: {
+    male: { label: 'Male', icon: '👨' },
+    female: { label: 'Female', icon: '👩' },
+    unisex: { label: 'Unisex', icon: '👤' },
+    other: { label: 'Other', icon: '🌈' }
+  },
+  occasion: {
+    casual: { label: 'Casual', icon: '👕' },
+    formal: { label: 'Formal', icon: '👔' },
+    business: { label: 'Business', icon: '💼' },
+    party: { label: 'Party', icon: '🎉' },
+    wedding: { label: 'Wedding', icon: '💒' },
+    vacation: { label: 'Vacation', icon: '🏖️' },
+    sports: { label: 'Sports', icon: '⚽' },
+    date: { label: 'Date', icon: '💕' },
+    interview: { label: 'Interview', icon: '🤝' }
+  },
+  style: {
+    vintage: { label: 'Vintage', description: 'Classic retro styles' },
+    modern: { label: 'Modern', description: 'Contemporary and sleek' },
+    bohemian: { label: 'Bohemian', description: 'Free-spirited and artistic' },
+    minimalist: { label: 'Minimalist', description: 'Clean and simple' },
+    streetwear: { label: 'Streetwear', description: 'Urban and trendy' },
+    classic: { label: 'Classic', description: 'Timeless elegance' },
+    trendy: { label: 'Trendy', description: 'Latest fashion trends' },
+    elegant: { label: 'Elegant', description: 'Sophisticated and refined' }
+  },
+  mood: {
+    confident: { label: 'Confident', icon: '💪' },
+    romantic: { label: 'Romantic', icon: '💕' },
+    edgy: { label: 'Edgy', icon: '🔥' },
+    comfortable: { label: 'Comfortable', icon: '😌' },
+    professional: { label: 'Professional', icon: '💼' },
+    playful: { label: 'Playful', icon: '🎨' },
+    sophisticated: { label: 'Sophisticated', icon: '✨' }
+  },
+  season: {
+    'all-season': { label: 'All Season', icon: '🗓️' },
+    spring: { label: 'Spring', icon: '🌸' },
+    summer: { label: 'Summer', icon: '☀️' },
+    fall: { label: 'Fall', icon: '🍂' },
+    winter: { label: 'Winter', icon: '❄️' }
+  }
+};
+
+const titleCase = (value) => value.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Server values for a field, with their labels and icons
+const toOptions = (values = [], field) => values.map(value => ({
+  value,
+  label: titleCase(value),
+  icon: '•',
+  ...OPTION_DISPLAY[field]?.[value]
+}));
+
+const PREVIEW_DELAY_MS = 400;
+
+// Split a prompt into words, flagging the ones that weren't in the previous prompt
+const diffPromptWords = (previous, current) => {
+  const remaining = new Map();
+  (previous || '').split(/\s+/).forEach(word => remaining.set(word, (remaining.get(word) || 0) + 1));
+
+  return current.split(/\s+/).map(word => {
+    const count = remaining.get(word) || 0;
+    if (count > 0) remaining.set(word, count - 1);
+    return { word, isNew: Boolean(previous) && count === 0 };
+  });
+};
+
+const DesignForm = ({ onSubmit, isLoading = false, progress = null, maxImages = 1, maxColors = 5, schedulers = [], options = null, optionsError = null, onRetryOptions }) => {
   const [formData, setFormData] = useState({
     gender: 'unisex',
     occasion: 'casual',
@@ -10,41 +86,50 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
     materials: [],
     mood: 'confident',
     season: 'all-season',
-    inspirationImage: null,
-    customPrompt: ''
+    inspiration: null, // { storageKey, mode, strength } once the image is uploaded
+    customPrompt: '',
+    promptMode: 'merge', // 'override' (expert mode) sends customPrompt as the whole prompt
+    count: 1,
+    // Advanced sampling settings; empty means the provider default (random seed)
+    seed: '',
+    negativePrompt: '',
+    scheduler: '',
+    steps: '',
+    guidance: ''
   });
 
   const [selectedColors, setSelectedColors] = useState([]);
   const [imagePreview, setImagePreview] = useState(null);
+  const [isUploadingInspiration, setIsUploadingInspiration] = useState(false);
+  const [inspirationModes, setInspirationModes] = useState({});
+  const [inspirationInputKey, setInspirationInputKey] = useState(0);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [colorNames, setColorNames] = useState({});
+  const [customColor, setCustomColor] = useState('#7B1E2B');
+  const [savedPalettes, setSavedPalettes] = useState([]);
+  const [paletteName, setPaletteName] = useState('');
+  const [isSavingPalette, setIsSavingPalette] = useState(false);
+  const [promptPreview, setPromptPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const previousPromptRef = useRef(null);
 
-  const genderOptions = [
-    { value: 'male', label: 'Male', icon: '👨' },
-    { value: 'female', label: 'Female', icon: '👩' },
-    { value: 'unisex', label: 'Unisex', icon: '👤' },
-    { value: 'other', label: 'Other', icon: '🌈' }
-  ];
+  const isColorLimitReached = selectedColors.length >= maxColors;
+  const harmonies = getHarmonies(selectedColors[selectedColors.length - 1]);
+  const supportsEyeDropper = typeof window !== 'undefined' && 'EyeDropper' in window;
 
-  const occasionOptions = [
-    { value: 'casual', label: 'Casual', icon: '👕' },
-    { value: 'formal', label: 'Formal', icon: '👔' },
-    { value: 'business', label: 'Business', icon: '💼' },
-    { value: 'party', label: 'Party', icon: '🎉' },
-    { value: 'wedding', label: 'Wedding', icon: '💒' },
-    { value: 'vacation', label: 'Vacation', icon: '🏖️' },
-    { value: 'sports', label: 'Sports', icon: '⚽' },
-    { value: 'date', label: 'Date', icon: '💕' }
-  ];
+  // Option lists and limits from GET /api/meta/options (null until loaded)
+  const designOptions = options?.options.design || {};
+  const limits = options?.limits || {};
+  const arrayLimits = { patterns: limits.patterns, materials: limits.materials };
+  const customPromptLimits = limits.customPrompt || {};
 
-  const styleOptions = [
-    { value: 'vintage', label: 'Vintage', description: 'Classic retro styles' },
-    { value: 'modern', label: 'Modern', description: 'Contemporary and sleek' },
-    { value: 'bohemian', label: 'Bohemian', description: 'Free-spirited and artistic' },
-    { value: 'minimalist', label: 'Minimalist', description: 'Clean and simple' },
-    { value: 'streetwear', label: 'Streetwear', description: 'Urban and trendy' },
-    { value: 'classic', label: 'Classic', description: 'Timeless elegance' },
-    { value: 'trendy', label: 'Trendy', description: 'Latest fashion trends' },
-    { value: 'elegant', label: 'Elegant', description: 'Sophisticated and refined' }
-  ];
+  const genderOptions = toOptions(designOptions.gender, 'gender');
+  const occasionOptions = toOptions(designOptions.occasion, 'occasion');
+  const styleOptions = toOptions(designOptions.style, 'style');
+  const moodOptions = toOptions(designOptions.mood, 'mood');
+  const seasonOptions = toOptions(designOptions.season, 'season');
+  const patternOptions = designOptions.patterns || [];
+  const materialOptions = designOptions.materials || [];
 
   const colorPalette = [
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
@@ -53,25 +138,56 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
     '#000000', '#FFFFFF', '#808080', '#8B4513', '#2F4F4F'
   ];
 
-  const patternOptions = [
-    'solid', 'stripes', 'floral', 'geometric', 'polka-dots', 
-    'animal-print', 'abstract', 'plaid'
-  ];
+  useEffect(() => {
+    palettesApi.load()
+      .then(setSavedPalettes)
+      .catch(error => console.warn('Could not load saved palettes:', error));
+  }, []);
 
-  const materialOptions = [
-    'cotton', 'silk', 'wool', 'linen', 'polyester', 
-    'denim', 'leather', 'chiffon', 'satin', 'velvet'
-  ];
+  // Live prompt preview: rebuilt shortly after any choice changes, with the
+  // words that changed highlighted
+  const { gender, occasion, style, colors, patterns, materials, mood, season, customPrompt, promptMode } = formData;
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await promptsApi.preview({
+          gender, occasion, style, colors, patterns, materials, mood, season, customPrompt, promptMode
+        });
+        if (cancelled) return;
+        setPromptPreview({
+          words: diffPromptWords(previousPromptRef.current, response.prompt),
+          negativePrompt: response.negativePrompt,
+          template: response.template
+        });
+        setPreviewError(null);
+        previousPromptRef.current = response.prompt;
+      } catch (error) {
+        if (!cancelled) setPreviewError(error.message);
+      }
+    }, PREVIEW_DELAY_MS);
 
-  const moodOptions = [
-    { value: 'confident', label: 'Confident', emoji: '💪' },
-    { value: 'romantic', label: 'Romantic', emoji: '💕' },
-    { value: 'edgy', label: 'Edgy', emoji: '🔥' },
-    { value: 'comfortable', label: 'Comfortable', emoji: '😌' },
-    { value: 'professional', label: 'Professional', emoji: '💼' },
-    { value: 'playful', label: 'Playful', emoji: '🎨' },
-    { value: 'sophisticated', label: 'Sophisticated', emoji: '✨' }
-  ];
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [gender, occasion, style, colors, patterns, materials, mood, season, customPrompt, promptMode]);
+
+  // Show selected colours by the same name the prompt will use. A colour
+  // whose lookup failed is kept as null (shown by its hex) so it isn't
+  // requested again on every render.
+  useEffect(() => {
+    const unnamed = selectedColors.filter(color => !(color in colorNames));
+    if (unnamed.length === 0) return;
+
+    let cancelled = false;
+    colorsApi.getNames(unnamed).then(names => {
+      if (cancelled) return;
+      const looked = Object.fromEntries(unnamed.map(color => [color, names[color] ?? null]));
+      setColorNames(prev => ({ ...prev, ...looked }));
+    });
+    return () => { cancelled = true; };
+  }, [selectedColors, colorNames]);
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
@@ -80,17 +196,89 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
     }));
   };
 
+  const updateColors = (colors) => {
+    setSelectedColors(colors);
+    handleInputChange('colors', colors);
+  };
+
   const handleColorSelect = (color) => {
     const newColors = selectedColors.includes(color)
       ? selectedColors.filter(c => c !== color)
       : [...selectedColors, color];
     
-    setSelectedColors(newColors);
-    handleInputChange('colors', newColors);
+    updateColors(newColors);
+  };
+
+  const addColor = (value) => {
+    const color = normalizeHex(value);
+    if (!color) {
+      showNotification('Enter a hex color like #7B1E2B', 'warning');
+      return;
+    }
+    if (selectedColors.includes(color)) return;
+    if (isColorLimitReached) {
+      showNotification(`You can pick up to ${maxColors} colors`, 'warning');
+      return;
+    }
+
+    updateColors([...selectedColors, color]);
+  };
+
+  const applyPalette = (colors) => {
+    updateColors(colors.slice(0, maxColors));
+  };
+
+  const handleEyeDropper = async () => {
+    try {
+      const { sRGBHex } = await new window.EyeDropper().open();
+      addColor(sRGBHex);
+    } catch {
+      // Closing the eyedropper with Escape rejects; nothing to do
+    }
+  };
+
+  const handleInspirationClick = (e) => {
+    try {
+      addColor(sampleImageColor(e.currentTarget, e.clientX, e.clientY));
+    } catch (error) {
+      console.warn('Could not sample inspiration image:', error);
+    }
+  };
+
+  const persistPalettes = async (palettes, successMessage) => {
+    setIsSavingPalette(true);
+    try {
+      setSavedPalettes(await palettesApi.save(palettes));
+      showNotification(successMessage, 'success');
+      return true;
+    } catch (error) {
+      showNotification(`Could not save palettes: ${error.message}`, 'error');
+      return false;
+    } finally {
+      setIsSavingPalette(false);
+    }
+  };
+
+  const handleSavePalette = async () => {
+    const name = paletteName.trim();
+    const others = savedPalettes.filter(palette => palette.name !== name);
+    if (others.length >= limits.savedPalettes) {
+      showNotification(`You can save up to ${limits.savedPalettes} palettes`, 'warning');
+      return;
+    }
+
+    const saved = await persistPalettes([...others, { name, colors: selectedColors }], `Saved "${name}"`);
+    if (saved) setPaletteName('');
+  };
+
+  const handleDeletePalette = (name) => {
+    persistPalettes(savedPalettes.filter(palette => palette.name !== name), `Deleted "${name}"`);
   };
 
   const handleArrayToggle = (field, value) => {
     const currentArray = formData[field];
+    if (!currentArray.includes(value) && currentArray.length >= arrayLimits[field]) return;
+
     const newArray = currentArray.includes(value)
       ? currentArray.filter(item => item !== value)
       : [...currentArray, value];
@@ -98,22 +286,96 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
     handleInputChange(field, newArray);
   };
 
-  const handleImageUpload = (e) => {
+  const handleImageUpload = async (e) => {
     const file = e.target.files[0];
     if (file) {
-      setFormData(prev => ({ ...prev, inspirationImage: file }));
+      setFormData(prev => ({ ...prev, inspiration: null }));
       
       const reader = new FileReader();
       reader.onload = (e) => setImagePreview(e.target.result);
       reader.readAsDataURL(file);
+
+      // Upload straight away so generating doesn't wait on it
+      setIsUploadingInspiration(true);
+      try {
+        const response = await designsApi.uploadInspiration(file);
+        setInspirationModes(response.modes || {});
+        setFormData(prev => ({
+          ...prev,
+          inspiration: {
+            storageKey: response.inspiration.storageKey,
+            mode: 'img2img',
+            strength: response.modes?.img2img?.defaultStrength ?? 0.55
+          }
+        }));
+      } catch (error) {
+        showNotification(`Could not upload inspiration image: ${error.message}`, 'error');
+      } finally {
+        setIsUploadingInspiration(false);
+      }
     }
   };
 
+  // Switching mode resets the strength to that mode's default
+  const handleInspirationMode = (mode) => {
+    setFormData(prev => ({
+      ...prev,
+      inspiration: {
+        ...prev.inspiration,
+        mode,
+        strength: inspirationModes[mode]?.defaultStrength ?? prev.inspiration.strength
+      }
+    }));
+  };
+
+  const handleRemoveInspiration = () => {
+    setImagePreview(null);
+    setFormData(prev => ({ ...prev, inspiration: null }));
+    setInspirationInputKey(key => key + 1);
+  };
+
+  // Expert mode starts from the prompt the form would have built; leaving it
+  // clears the text, since a whole prompt makes no sense as extra details
+  const handleExpertMode = (enabled) => {
+    setFormData(prev => ({
+      ...prev,
+      promptMode: enabled ? 'override' : 'merge',
+      customPrompt: enabled
+        ? (previousPromptRef.current || prev.customPrompt).slice(0, customPromptLimits.override)
+        : ''
+    }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     onSubmit(formData);
   };
 
+  if (!options && optionsError) {
+    return (
+      <div className="max-w-4xl mx-auto p-6 text-center">
+        <p className="text-red-700">Could not load design options: {optionsError}</p>
+        {onRetryOptions && (
+          <button
+            type="button"
+            onClick={onRetryOptions}
+            className="btn-primary mt-4"
+          >
+            Try again
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!options) {
+    return (
+      <div className="max-w-4xl mx-auto p-6 text-center text-gray-500">
+        Loading design options...
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-4xl mx-auto p-6">
       <div className="text-center mb-8">
@@ -201,12 +463,87 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
           </div>
         </div>
 
+        {/* Inspiration Image */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">🖼️</span>
+            <h3 className="text-lg font-semibold text-gray-900">Inspiration Image</h3>
+            <span className="ml-2 text-sm text-gray-500">(Optional)</span>
+          </div>
+          <input
+            key={inspirationInputKey}
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            onChange={handleImageUpload}
+            className="input-field"
+          />
+          {imagePreview && (
+            <div className="mt-4">
+              <img
+                src={imagePreview}
+                alt="Inspiration"
+                onClick={handleInspirationClick}
+                className="inspiration-preview"
+              />
+              <p className="mt-2 text-sm text-gray-500">Click the image to pick a color from it</p>
+
+              {isUploadingInspiration && (
+                <p className="mt-2 text-sm text-gray-500">Uploading image...</p>
+              )}
+
+              {formData.inspiration && (
+                <div className="mt-4">
+                  <span className="block text-sm font-medium text-gray-700 mb-2">Use it to</span>
+                  <div className="flex flex-wrap gap-2">
+                    {[
+                      { value: 'img2img', label: 'Follow the outfit' },
+                      { value: 'style', label: 'Borrow colors & texture' }
+                    ].map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => handleInspirationMode(option.value)}
+                        className={`option-chip ${formData.inspiration.mode === option.value ? 'selected' : ''}`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  <label className="block mt-4">
+                    <span className="block text-sm font-medium text-gray-700 mb-2">
+                      Creative freedom: {Math.round(formData.inspiration.strength * 100)}%
+                    </span>
+                    <input
+                      type="range"
+                      min="0.1"
+                      max="0.9"
+                      step="0.05"
+                      value={formData.inspiration.strength}
+                      onChange={(e) => handleInputChange('inspiration', { ...formData.inspiration, strength: Number(e.target.value) })}
+                      className="w-full"
+                    />
+                  </label>
+                </div>
+              )}
+
+              <button
+                type="button"
+                onClick={handleRemoveInspiration}
+                className="mt-4 text-sm text-gray-500"
+              >
+                Remove image
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* Color Selection */}
         <div className="card">
           <div className="flex items-center mb-4">
             <span className="text-primary-600 mr-2 text-xl">🎨</span>
             <h3 className="text-lg font-semibold text-gray-900">Colors</h3>
-            <span className="ml-2 text-sm text-gray-500">(Select up to 3)</span>
+            <span className="ml-2 text-sm text-gray-500">(Select up to {maxColors})</span>
           </div>
           <div className="grid grid-cols-5 md:grid-cols-10 gap-3">
             {colorPalette.map((color) => (
@@ -214,16 +551,60 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
                 key={color}
                 type="button"
                 onClick={() => handleColorSelect(color)}
-                disabled={selectedColors.length >= 3 && !selectedColors.includes(color)}
+                disabled={isColorLimitReached && !selectedColors.includes(color)}
                 className={`w-12 h-12 rounded-lg border-4 transition-all duration-200 ${
                   selectedColors.includes(color)
                     ? 'border-primary-500 scale-110'
                     : 'border-gray-200 hover:border-gray-300'
-                } ${selectedColors.length >= 3 && !selectedColors.includes(color) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                } ${isColorLimitReached && !selectedColors.includes(color) ? 'opacity-50 cursor-not-allowed' : ''}`}
                 style={{ backgroundColor: color }}
               />
             ))}
           </div>
+
+          {/* Custom colour: native picker, hex input and the browser eyedropper where supported */}
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <input
+              type="color"
+              value={normalizeHex(customColor) || '#000000'}
+              onChange={(e) => setCustomColor(e.target.value.toUpperCase())}
+              className="color-input"
+              aria-label="Pick a custom color"
+            />
+            <input
+              type="text"
+              value={customColor}
+              onChange={(e) => setCustomColor(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  addColor(customColor);
+                }
+              }}
+              placeholder="#7B1E2B"
+              maxLength={7}
+              className="input-field hex-input"
+            />
+            <button
+              type="button"
+              onClick={() => addColor(customColor)}
+              disabled={isColorLimitReached}
+              className="btn-secondary disabled:opacity-50"
+            >
+              Add Color
+            </button>
+            {supportsEyeDropper && (
+              <button
+                type="button"
+                onClick={handleEyeDropper}
+                disabled={isColorLimitReached}
+                className="btn-secondary disabled:opacity-50"
+              >
+                💧 Eyedropper
+              </button>
+            )}
+          </div>
+
           {selectedColors.length > 0 && (
             <div className="mt-4 flex flex-wrap gap-2">
               {selectedColors.map((color) => (
@@ -235,24 +616,387 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
                     className="w-4 h-4 rounded-full mr-2"
                     style={{ backgroundColor: color }}
                   />
-                  {color}
+                  {colorNames[color] ? (
+                    <>
+                      <span className="capitalize">{colorNames[color]}</span>
+                      <span className="ml-1 text-xs text-gray-500">{color}</span>
+                    </>
+                  ) : color}
+                  <button
+                    type="button"
+                    onClick={() => handleColorSelect(color)}
+                    className="ml-2 text-gray-500"
+                    aria-label={`Remove ${color}`}
+                  >
+                    ×
+                  </button>
                 </span>
               ))}
             </div>
           )}
+
+          {/* Harmonies around the most recently picked colour */}
+          {harmonies.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Suggested Palettes</h4>
+              <div className="space-y-2">
+                {harmonies.map((harmony) => (
+                  <button
+                    key={harmony.type}
+                    type="button"
+                    onClick={() => applyPalette(harmony.colors)}
+                    className="palette-row"
+                  >
+                    <span className="palette-row-label">{harmony.label}</span>
+                    {harmony.colors.map((color) => (
+                      <span key={color} className="swatch-dot" style={{ backgroundColor: color }} title={color} />
+                    ))}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Saved palettes */}
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Saved Palettes</h4>
+            {savedPalettes.length > 0 ? (
+              <div className="space-y-2">
+                {savedPalettes.map((palette) => (
+                  <div key={palette.name} className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => applyPalette(palette.colors)}
+                      className="palette-row"
+                    >
+                      <span className="palette-row-label">{palette.name}</span>
+                      {palette.colors.map((color) => (
+                        <span key={color} className="swatch-dot" style={{ backgroundColor: color }} title={color} />
+                      ))}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeletePalette(palette.name)}
+                      disabled={isSavingPalette}
+                      className="text-sm text-gray-500"
+                      aria-label={`Delete palette ${palette.name}`}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No saved palettes yet</p>
+            )}
+            {selectedColors.length > 0 && (
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={paletteName}
+                  onChange={(e) => setPaletteName(e.target.value)}
+                  placeholder="Palette name, e.g. Autumn Evening"
+                  maxLength={40}
+                  className="input-field palette-name-input"
+                />
+                <button
+                  type="button"
+                  onClick={handleSavePalette}
+                  disabled={isSavingPalette || !paletteName.trim()}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  {isSavingPalette ? 'Saving...' : 'Save Palette'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Pattern Selection */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">🧵</span>
+            <h3 className="text-lg font-semibold text-gray-900">Patterns</h3>
+            <span className="ml-2 text-sm text-gray-500">(Optional, up to {limits.patterns})</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {patternOptions.map((pattern) => (
+              <button
+                key={pattern}
+                type="button"
+                onClick={() => handleArrayToggle('patterns', pattern)}
+                disabled={formData.patterns.length >= limits.patterns && !formData.patterns.includes(pattern)}
+                className={`option-chip ${formData.patterns.includes(pattern) ? 'selected' : ''}`}
+              >
+                {pattern.replace('-', ' ')}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Material Selection */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">🧶</span>
+            <h3 className="text-lg font-semibold text-gray-900">Materials</h3>
+            <span className="ml-2 text-sm text-gray-500">(Optional, up to {limits.materials})</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {materialOptions.map((material) => (
+              <button
+                key={material}
+                type="button"
+                onClick={() => handleArrayToggle('materials', material)}
+                disabled={formData.materials.length >= limits.materials && !formData.materials.includes(material)}
+                className={`option-chip ${formData.materials.includes(material) ? 'selected' : ''}`}
+              >
+                {material}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Mood Selection */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">💫</span>
+            <h3 className="text-lg font-semibold text-gray-900">Mood</h3>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {moodOptions.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => handleInputChange('mood', option.value)}
+                className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                  formData.mood === option.value
+                    ? 'border-primary-500 bg-primary-50 text-primary-700'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="text-2xl mb-2">{option.icon}</div>
+                <div className="font-medium">{option.label}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Season Selection */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">🌦️</span>
+            <h3 className="text-lg font-semibold text-gray-900">Season</h3>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {seasonOptions.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => handleInputChange('season', option.value)}
+                className={`p-4 rounded-lg border-2 transition-all duration-200 ${
+                  formData.season === option.value
+                    ? 'border-primary-500 bg-primary-50 text-primary-700'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="text-2xl mb-2">{option.icon}</div>
+                <div className="font-medium">{option.label}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Number of Designs */}
+        {maxImages > 1 && (
+          <div className="card">
+            <div className="flex items-center mb-4">
+              <span className="text-primary-600 mr-2 text-xl">🖼️</span>
+              <h3 className="text-lg font-semibold text-gray-900">Number of Designs</h3>
+              <span className="ml-2 text-sm text-gray-500">(Pick your favorite afterwards)</span>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {Array.from({ length: maxImages }, (_, index) => index + 1).map((count) => (
+                <button
+                  key={count}
+                  type="button"
+                  onClick={() => handleInputChange('count', count)}
+                  className={`w-12 h-12 rounded-lg border-2 font-medium transition-all duration-200 ${
+                    formData.count === count
+                      ? 'border-primary-500 bg-primary-50 text-primary-700'
+                      : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Advanced Settings */}
+        <div className="card">
+          <button
+            type="button"
+            onClick={() => setShowAdvanced(prev => !prev)}
+            className="flex items-center justify-between w-full"
+          >
+            <span className="flex items-center">
+              <span className="text-primary-600 mr-2 text-xl">⚙️</span>
+              <span className="text-lg font-semibold text-gray-900">Advanced Settings</span>
+            </span>
+            <span className="text-sm text-gray-500">{showAdvanced ? 'Hide' : 'Show'}</span>
+          </button>
+
+          {showAdvanced && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-4">
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Seed</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={formData.seed}
+                  onChange={(e) => handleInputChange('seed', e.target.value)}
+                  placeholder="Random"
+                  className="input-field"
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Scheduler</span>
+                <select
+                  value={formData.scheduler}
+                  onChange={(e) => handleInputChange('scheduler', e.target.value)}
+                  className="input-field"
+                >
+                  <option value="">Model default</option>
+                  {schedulers.map((scheduler) => (
+                    <option key={scheduler} value={scheduler}>{scheduler}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Steps</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={formData.steps}
+                  onChange={(e) => handleInputChange('steps', e.target.value)}
+                  placeholder="Model default"
+                  className="input-field"
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Guidance</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="20"
+                  step="0.5"
+                  value={formData.guidance}
+                  onChange={(e) => handleInputChange('guidance', e.target.value)}
+                  placeholder="Model default"
+                  className="input-field"
+                />
+              </label>
+
+              <label className="block md:col-span-2">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Negative Prompt</span>
+                <textarea
+                  value={formData.negativePrompt}
+                  onChange={(e) => handleInputChange('negativePrompt', e.target.value)}
+                  placeholder="Things to avoid, e.g. blurry, extra limbs, watermark"
+                  className="input-field resize-none h-24"
+                  maxLength={500}
+                />
+              </label>
+            </div>
+          )}
+        </div>
+
+        {/* Custom Details */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <span className="text-primary-600 mr-2 text-xl">✍️</span>
+              <h3 className="text-lg font-semibold text-gray-900">Custom Details</h3>
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.promptMode === 'override'}
+                onChange={(e) => handleExpertMode(e.target.checked)}
+                className="mr-2"
+              />
+              Expert mode
+            </label>
+          </div>
+          <p className="text-sm text-gray-500 mb-2">
+            {formData.promptMode === 'override'
+              ? 'Your text is sent as the whole prompt. The choices above are saved with the design but not added to the prompt.'
+              : 'Extra details added after your choices above, e.g. "puff sleeves, gold buttons". Your choices take priority.'}
+          </p>
+          <textarea
+            value={formData.customPrompt}
+            onChange={(e) => handleInputChange('customPrompt', e.target.value)}
+            placeholder={formData.promptMode === 'override' ? 'Write the full prompt' : 'Add details the options above don\'t cover'}
+            className={`input-field resize-none ${formData.promptMode === 'override' ? 'h-32' : 'h-24'}`}
+            maxLength={customPromptLimits[formData.promptMode]}
+          />
+          <p className="text-sm text-gray-500 mt-1 text-right">
+            {formData.customPrompt.length}/{customPromptLimits[formData.promptMode]}
+          </p>
+        </div>
+
+        {/* Prompt Preview */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <span className="text-primary-600 mr-2 text-xl">📝</span>
+            <h3 className="text-lg font-semibold text-gray-900">Prompt Preview</h3>
+            {promptPreview?.template && (
+              <span className="ml-2 text-sm text-gray-500">
+                {promptPreview.template.name}@{promptPreview.template.version}
+              </span>
+            )}
+          </div>
+          {previewError ? (
+            <p className="text-sm text-red-600">{previewError}</p>
+          ) : promptPreview ? (
+            <>
+              <p className="prompt-preview">
+                {promptPreview.words.map(({ word, isNew }, index) => (
+                  <React.Fragment key={index}>
+                    {isNew ? <mark className="prompt-change">{word}</mark> : word}{' '}
+                  </React.Fragment>
+                ))}
+              </p>
+              {promptPreview.negativePrompt && (
+                <p className="mt-2 text-sm text-gray-500">
+                  <span className="font-medium">Avoids:</span> {promptPreview.negativePrompt}
+                </p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Building preview...</p>
+          )}
         </div>
 
         {/* Submit Button */}
         <div className="text-center">
           <button
             type="submit"
-            disabled={isLoading || selectedColors.length === 0}
+            disabled={
+              isLoading || isUploadingInspiration || selectedColors.length === 0 ||
+              (formData.promptMode === 'override' && !formData.customPrompt.trim())
+            }
             className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed inline-flex items-center justify-center"
           >
             {isLoading ? (
               <>
                 <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                Generating Design...
+                {progress?.message || 'Generating Design...'}
               </>
             ) : (
               <>
@@ -262,6 +1006,17 @@ const DesignForm = ({ onSubmit, isLoading = false }) => {
             )}
           </button>
 
+          {isLoading && progress && (
+            <div className="generation-progress mx-auto mt-4">
+              <div className="progress-track">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${progress.percent || 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+
           {selectedColors.length === 0 && (
             <p className="text-sm text-gray-500 mt-2">
               Please select at least one color to generate your design
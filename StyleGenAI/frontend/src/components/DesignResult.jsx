@@ -1,8 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { feedbackApi } from '../services/api';
+import { feedbackApi, colorsApi, getImageRendition, resolveAssetUrl } from '../services/api';
 import { showNotification } from '../services/notifications';
+import { IMAGE_FORMATS, RESOLUTIONS } from '../services/imageExport';
 
-const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownloading, downloadType }) => {
+const RESOLUTION_LABELS = {
+  small: 'Small (512px)',
+  medium: 'Medium (1024px)',
+  large: 'Large (2048px)',
+  original: 'Original size'
+};
+
+const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, onSetPrimary, onImageOperation, onRegenerate, isRegenerating = false, isDownloading, downloadType, feedbackTags = [], exportOptions }) => {
   const [rating, setRating] = useState(design.rating || 0);
   const [feedback, setFeedback] = useState('');
   const [isSubmittingFeedback, setIsSubmittingFeedback] = useState(false);
@@ -11,10 +19,51 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
   const [existingFeedbacks, setExistingFeedbacks] = useState([]);
   const [feedbackStats, setFeedbackStats] = useState(null);
 
-  // Available feedback tags
-  const availableTags = [
-    'colors', 'style', 'fit', 'creativity', 'accuracy', 'quality', 'other'
-  ];
+  const [selectedImageId, setSelectedImageId] = useState(design.image?._id || null);
+  const [isSettingPrimary, setIsSettingPrimary] = useState(false);
+  const [activeOperation, setActiveOperation] = useState(null);
+  const [showEditInput, setShowEditInput] = useState(false);
+  const [editInstruction, setEditInstruction] = useState('');
+  const [colorNames, setColorNames] = useState({});
+  const [imageDownload, setImageDownload] = useState({ format: 'png', resolution: 'original', quality: null, transparent: false });
+
+  // Multi-image generations show every candidate; the primary one is used for downloads and exports
+  const candidates = design.images || [];
+  const selectedImage = candidates.find(image => image._id === selectedImageId) || design.image;
+  const isPrimarySelected = !selectedImage || selectedImage._id === design.image?._id;
+
+  // The result view shows the medium rendition; "Open Full Size" uses the original
+  const preview = selectedImage ? getImageRendition(selectedImage, 'medium') : { url: design.imageUrl };
+
+  // Feedback tags the server accepts (GET /api/meta/options)
+  const availableTags = feedbackTags;
+
+  // Image formats and resolutions the server converts to (GET /api/meta/options)
+  const imageFormats = Object.keys(IMAGE_FORMATS).filter(format => !exportOptions || exportOptions.format.includes(format));
+  const resolutions = exportOptions?.resolution || Object.keys(RESOLUTIONS);
+  const downloadFormat = IMAGE_FORMATS[imageDownload.format];
+  const downloadQuality = imageDownload.quality || downloadFormat.quality;
+
+  const handleImageDownloadChange = (field, value) => {
+    setImageDownload(prev => {
+      const next = { ...prev, [field]: value };
+      if (field === 'format') {
+        // Quality is per format, and JPG can't be transparent
+        next.quality = null;
+        next.transparent = IMAGE_FORMATS[value].transparency && prev.transparent;
+      }
+      return next;
+    });
+  };
+
+  const handleImageDownload = () => {
+    const { format, resolution, transparent } = imageDownload;
+    onDownload(design, format, {
+      resolution,
+      ...(downloadFormat.quality && { quality: downloadQuality }),
+      ...(downloadFormat.transparency && { transparent })
+    });
+  };
 
   // Load existing feedback on component mount
   useEffect(() => {
@@ -23,6 +72,18 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
     }
   }, [design.id]);
 
+  // Palette swatches are labelled with their fashion colour names
+  useEffect(() => {
+    const colors = design.preferences?.colors || [];
+    if (colors.length === 0) return;
+
+    let cancelled = false;
+    colorsApi.getNames(colors).then(names => {
+      if (!cancelled) setColorNames(names);
+    });
+    return () => { cancelled = true; };
+  }, [design.preferences?.colors]);
+
   const loadFeedback = async () => {
     try {
       const response = await feedbackApi.getFeedback(design.id);
@@ -85,6 +146,31 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
     }
   };
 
+  const handleSetPrimary = async () => {
+    setIsSettingPrimary(true);
+    try {
+      await onSetPrimary(selectedImage._id);
+    } finally {
+      setIsSettingPrimary(false);
+    }
+  };
+
+  const handleImageOperation = async (operation, options = {}) => {
+    setActiveOperation(operation);
+    try {
+      const variation = await onImageOperation(selectedImage._id, operation, options);
+      if (variation) {
+        showNotification(`Your ${operation === 'variation' ? 'variation' : operation === 'upscale' ? 'upscaled image' : 'edit'} is ready`, 'success');
+        if (operation === 'edit') {
+          setEditInstruction('');
+          setShowEditInput(false);
+        }
+      }
+    } finally {
+      setActiveOperation(null);
+    }
+  };
+
   const formatGenerationTime = (time) => {
     if (!time) return 'Unknown';
     return time < 1000 ? `${time}ms` : `${(time / 1000).toFixed(1)}s`;
@@ -135,22 +221,181 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
               </div>
             )}
             
-            <img
-              src={design.imageUrl}
-              alt={design.title || 'Generated Design'}
-              className="w-full h-auto rounded-lg shadow-lg"
-            />
+            <picture>
+              {preview.webpUrl && <source srcSet={preview.webpUrl} type="image/webp" />}
+              <img
+                src={preview.url || design.imageUrl}
+                alt={design.title || 'Generated Design'}
+                className="w-full h-auto rounded-lg shadow-lg"
+              />
+            </picture>
+
+            {/* Candidate Picker */}
+            {candidates.length > 1 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-medium text-gray-700 mb-2">
+                  {candidates.length} designs generated — pick your favorite
+                </h3>
+                <div className="candidate-grid">
+                  {candidates.map((image, index) => (
+                    <button
+                      key={image._id || index}
+                      type="button"
+                      onClick={() => setSelectedImageId(image._id)}
+                      className={`candidate-thumb ${image._id === selectedImage?._id ? 'selected' : ''}`}
+                      title={`Design ${index + 1}`}
+                    >
+                      <img src={getImageRendition(image, 'thumbnail').url} alt={`Design ${index + 1}`} />
+                      {image._id === design.image?._id && <span className="primary-badge">Primary</span>}
+                    </button>
+                  ))}
+                </div>
+                {!isPrimarySelected && onSetPrimary && (
+                  <button
+                    onClick={handleSetPrimary}
+                    disabled={isSettingPrimary}
+                    className="btn-secondary w-full mt-4 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <span className="mr-2">⭐</span>
+                    {isSettingPrimary ? 'Saving...' : 'Use as Primary Image'}
+                  </button>
+                )}
+              </div>
+            )}
             
-            {/* Download Button */}
-            <div className="mt-4">
+            {/* Variations, upscales and edits of the selected image */}
+            {selectedImage?._id && onImageOperation && !design.isDemo && (
+              <div className="mt-4">
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Refine This Image</h3>
+                <div className="grid grid-cols-3 gap-2">
+                  <button
+                    onClick={() => handleImageOperation('variation')}
+                    disabled={Boolean(activeOperation)}
+                    className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {activeOperation === 'variation' ? 'Working...' : '🔀 Variation'}
+                  </button>
+                  <button
+                    onClick={() => handleImageOperation('upscale', { scale: 2 })}
+                    disabled={Boolean(activeOperation)}
+                    className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {activeOperation === 'upscale' ? 'Working...' : '🔍 Upscale 2×'}
+                  </button>
+                  <button
+                    onClick={() => setShowEditInput(prev => !prev)}
+                    disabled={Boolean(activeOperation)}
+                    className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {activeOperation === 'edit' ? 'Working...' : '✏️ Edit'}
+                  </button>
+                </div>
+
+                {showEditInput && (
+                  <div className="mt-3">
+                    <textarea
+                      value={editInstruction}
+                      onChange={(e) => setEditInstruction(e.target.value)}
+                      placeholder="Describe the change, e.g. make the jacket navy blue"
+                      className="input-field resize-none h-24 mb-2"
+                      maxLength={500}
+                    />
+                    <button
+                      onClick={() => handleImageOperation('edit', { instruction: editInstruction })}
+                      disabled={Boolean(activeOperation) || !editInstruction.trim()}
+                      className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Apply Edit
+                    </button>
+                  </div>
+                )}
+
+                {selectedImage.variations?.length > 0 && (
+                  <div className="candidate-grid mt-4">
+                    {selectedImage.variations.map((variation, index) => (
+                      <a
+                        key={variation._id || index}
+                        href={resolveAssetUrl(variation.url)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="candidate-thumb"
+                        title={variation.instruction || variation.editType}
+                      >
+                        <img src={getImageRendition(variation, 'thumbnail').url} alt={variation.editType} />
+                        <span className="primary-badge">{variation.editType}</span>
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Image download: format, resolution and encoding */}
+            <div className="mt-4 space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <label className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-2">Format</span>
+                  <select
+                    value={imageDownload.format}
+                    onChange={(e) => handleImageDownloadChange('format', e.target.value)}
+                    className="input-field"
+                  >
+                    {imageFormats.map((format) => (
+                      <option key={format} value={format}>{format.toUpperCase()}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-2">Resolution</span>
+                  <select
+                    value={imageDownload.resolution}
+                    onChange={(e) => handleImageDownloadChange('resolution', e.target.value)}
+                    className="input-field"
+                  >
+                    {resolutions.map((resolution) => (
+                      <option key={resolution} value={resolution}>{RESOLUTION_LABELS[resolution] || resolution}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              {downloadFormat.quality && (
+                <label className="block">
+                  <span className="block text-sm font-medium text-gray-700 mb-2">
+                    Quality: {downloadQuality}
+                  </span>
+                  <input
+                    type="range"
+                    min="1"
+                    max="100"
+                    value={downloadQuality}
+                    onChange={(e) => handleImageDownloadChange('quality', Number(e.target.value))}
+                    className="w-full"
+                  />
+                </label>
+              )}
+
+              {downloadFormat.transparency && (
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={imageDownload.transparent}
+                    onChange={(e) => handleImageDownloadChange('transparent', e.target.checked)}
+                    className="mr-2"
+                  />
+                  Transparent background
+                </label>
+              )}
+
               <button
-                onClick={() => onDownload(design, 'png')}
+                onClick={handleImageDownload}
                 disabled={isDownloading}
                 className={`btn-primary w-full flex items-center justify-center download-btn transform hover:scale-105 transition-all duration-200 ${
-                  isDownloading && downloadType === 'png' ? 'opacity-75 cursor-not-allowed' : ''
+                  isDownloading && downloadType === 'image' ? 'opacity-75 cursor-not-allowed' : ''
                 }`}
               >
-                {isDownloading && downloadType === 'png' ? (
+                {isDownloading && downloadType === 'image' ? (
                   <>
                     <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                     Downloading...
@@ -158,7 +403,7 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
                 ) : (
                   <>
                     <span className="mr-2">📥</span>
-                    Download Image
+                    Download {imageDownload.format.toUpperCase()}
                   </>
                 )}
               </button>
@@ -188,8 +433,38 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
                 
                 <div className="flex justify-between">
                   <span className="text-gray-600">Resolution:</span>
-                  <span className="font-medium">{design.metadata.size || '1024x1024'}</span>
+                  <span className="font-medium">{design.metadata.parameters?.size || design.metadata.size || '1024x1024'}</span>
                 </div>
+
+                {design.metadata.parameters?.seed !== undefined && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Seed:</span>
+                    <span className="font-medium">{design.metadata.parameters.seed}</span>
+                  </div>
+                )}
+
+                {design.metadata.parameters?.inferenceSteps && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Steps / Guidance:</span>
+                    <span className="font-medium">
+                      {design.metadata.parameters.inferenceSteps} / {design.metadata.parameters.guidanceScale ?? '—'}
+                    </span>
+                  </div>
+                )}
+
+                {design.metadata.parameters?.scheduler && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Scheduler:</span>
+                    <span className="font-medium">{design.metadata.parameters.scheduler}</span>
+                  </div>
+                )}
+
+                {design.metadata.parameters?.negativePrompt && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Negative Prompt:</span>
+                    <span className="font-medium">{design.metadata.parameters.negativePrompt}</span>
+                  </div>
+                )}
                 
                 <div className="flex justify-between">
                   <span className="text-gray-600">Quality:</span>
@@ -217,6 +492,25 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
               </div>
             )}
 
+            {design.inspiration && (
+              <div className="mb-6">
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Inspiration Image:</h3>
+                <div className="flex items-center gap-3">
+                  <a href={resolveAssetUrl(design.inspiration.url)} target="_blank" rel="noopener noreferrer">
+                    <img
+                      src={resolveAssetUrl(design.inspiration.url)}
+                      alt="Inspiration"
+                      className="inspiration-thumb"
+                    />
+                  </a>
+                  <span className="text-sm text-gray-600">
+                    {design.inspiration.mode === 'style' ? 'Colors & texture borrowed' : 'Outfit followed'}
+                    {' '}({Math.round(design.inspiration.strength * 100)}% creative freedom)
+                  </span>
+                </div>
+              </div>
+            )}
+
             {/* Preferences Tags */}
             <div className="mb-6">
               <h3 className="text-sm font-medium text-gray-700 mb-3">Style Preferences:</h3>
@@ -235,6 +529,16 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
                     {design.preferences.mood}
                   </span>
                 )}
+                {design.preferences.season && design.preferences.season !== 'all-season' && (
+                  <span className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm font-medium">
+                    {design.preferences.season}
+                  </span>
+                )}
+                {[...(design.preferences.patterns || []), ...(design.preferences.materials || [])].map((detail) => (
+                  <span key={detail} className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm font-medium">
+                    {detail}
+                  </span>
+                ))}
               </div>
             </div>
 
@@ -251,7 +555,7 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
                       key={index}
                       className="w-8 h-8 rounded-lg border-2 border-gray-200"
                       style={{ backgroundColor: color }}
-                      title={color}
+                      title={colorNames[color] ? `${colorNames[color]} (${color})` : color}
                     />
                   ))}
                 </div>
@@ -436,6 +740,26 @@ const DesignResult = ({ design, onBack, onDownload, onFavorite, onShare, isDownl
                 )}
               </button>
 
+              {onRegenerate && !design.isDemo && (
+                <button
+                  onClick={onRegenerate}
+                  disabled={isRegenerating}
+                  className="w-full btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isRegenerating ? (
+                    <>
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 mr-2"></div>
+                      Regenerating...
+                    </>
+                  ) : (
+                    <>
+                      <span className="mr-2">🔁</span>
+                      Regenerate with Same Settings
+                    </>
+                  )}
+                </button>
+              )}
+
               <button
                 onClick={() => window.open(design.imageUrl, '_blank')}
                 className="w-full btn-secondary flex items-center justify-center"
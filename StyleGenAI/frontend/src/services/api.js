@@ -1,5 +1,27 @@
+import { ApiError, NetworkError, createApiError, toApiError } from './errors';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5002/api';
 
+// Stored files (e.g. /uploads/...) are served by the backend, not the Vite dev server
+const ASSET_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+export const resolveAssetUrl = (url) => {
+  if (!url || /^(https?:|data:|blob:)/.test(url)) {
+    return url;
+  }
+  return `${ASSET_BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Pick a stored rendition ('thumbnail', 'medium' or 'full') of a design image,
+// falling back to the original when renditions aren't available
+export const getImageRendition = (image, size = 'full') => {
+  const rendition = image?.renditions?.[size];
+  return {
+    url: resolveAssetUrl(rendition?.url || image?.url),
+    webpUrl: resolveAssetUrl(rendition?.webpUrl)
+  };
+};
+
 // API client class
 class ApiClient {
   constructor() {
@@ -36,11 +58,20 @@ class ApiClient {
     console.log('Making API request to:', url);
 
     try {
-      const response = await fetch(url, config);
-      const data = await response.json();
+      let response;
+      try {
+        response = await fetch(url, config);
+      } catch (error) {
+        throw new NetworkError('Could not reach the server. Check your connection and try again.', { code: 'NETWORK_ERROR' });
+      }
+
+      const data = await response.json().catch(() => null);
 
       if (!response.ok) {
-        throw new Error(data.message || data.error || 'Request failed');
+        throw toApiError(response.status, data);
+      }
+      if (!data) {
+        throw new ApiError('The server sent an unreadable response', { code: 'INVALID_RESPONSE', status: response.status });
       }
 
       return data;
@@ -76,11 +107,24 @@ class ApiClient {
   async delete(endpoint) {
     return this.request(endpoint, { method: 'DELETE' });
   }
+
+  // Multipart upload; the browser sets the Content-Type boundary itself
+  async upload(endpoint, formData) {
+    const { 'Content-Type': _contentType, ...headers } = this.getHeaders();
+    return this.request(endpoint, {
+      method: 'POST',
+      headers,
+      body: formData,
+    });
+  }
 }
 
 // Create API client instance
 const apiClient = new ApiClient();
 
+// Non-terminal progress events sent by GET /designs/:id/events
+const GENERATION_EVENTS = ['queued', 'started', 'provider-switched', 'retrying'];
+
 // Design API methods
 export const designsApi = {
   // Generate a new design
@@ -88,6 +132,164 @@ export const designsApi = {
     return apiClient.post('/designs/generate', preferences);
   },
 
+  // Upload an inspiration image; pass the returned storageKey as `inspiration` to generateDesign
+  uploadInspiration: async (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return apiClient.upload('/designs/inspiration', formData);
+  },
+
+  // Poll the generation status of a design
+  getDesignStatus: async (id) => {
+    return apiClient.get(`/designs/${id}/status`);
+  },
+
+  // Poll until a background generation finishes; resolves with the completed design
+  waitForDesign: async (id, { onProgress, interval = 2000, timeout = 5 * 60 * 1000 } = {}) => {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < timeout) {
+      const response = await designsApi.getDesignStatus(id);
+
+      if (onProgress && response.progress) {
+        onProgress(response.progress);
+      }
+
+      if (response.status === 'completed') {
+        return response.design;
+      }
+
+      if (response.status === 'failed') {
+        throw createApiError({ message: 'Design generation failed', ...response.error });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new ApiError('Design generation is taking longer than expected. Please try again later.', { code: 'GENERATION_TIMEOUT' });
+  },
+
+  // Follow a background generation over Server-Sent Events, falling back to
+  // polling when EventSource isn't available or the stream drops. EventSource
+  // can't send the Authorization header, so signed-in users always poll.
+  watchDesign: (id, { onProgress } = {}) => {
+    if (typeof EventSource === 'undefined' || apiClient.token) {
+      return designsApi.waitForDesign(id, { onProgress });
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${apiClient.baseURL}/designs/${id}/events`);
+      let settled = false;
+
+      const settle = (callback, value) => {
+        settled = true;
+        source.close();
+        callback(value);
+      };
+
+      const handleProgress = (event) => {
+        const data = JSON.parse(event.data);
+        if (onProgress) {
+          onProgress({ stage: data.type, percent: data.percent, message: data.message });
+        }
+      };
+
+      GENERATION_EVENTS.forEach(type => source.addEventListener(type, handleProgress));
+
+      source.addEventListener('completed', (event) => {
+        const data = JSON.parse(event.data);
+        if (data.design) {
+          settle(resolve, data.design);
+        } else {
+          settled = true;
+          source.close();
+          designsApi.waitForDesign(id, { onProgress }).then(resolve, reject);
+        }
+      });
+
+      source.addEventListener('failed', (event) => {
+        const data = JSON.parse(event.data);
+        settle(reject, createApiError({ type: data.errorType, code: data.code, message: data.message || 'Design generation failed' }));
+      });
+
+      source.onerror = () => {
+        if (settled) return;
+        console.warn('Design event stream lost, falling back to polling');
+        settled = true;
+        source.close();
+        designsApi.waitForDesign(id, { onProgress }).then(resolve, reject);
+      };
+    });
+  },
+
+  // Poll until a queued variation/upscale/edit finishes; resolves with
+  // { design, variation }
+  waitForOperation: async (id, operationId, { interval = 2000, timeout = 5 * 60 * 1000 } = {}) => {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < timeout) {
+      const response = await apiClient.get(`/designs/${id}/status?operation=${operationId}`);
+      const { operation } = response;
+
+      if (operation.status === 'completed') {
+        return { design: response.design, variation: operation.variation };
+      }
+
+      if (operation.status === 'failed') {
+        throw createApiError({ message: `Image ${operation.operation} failed`, ...operation.error });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new ApiError('The image is taking longer than expected. Please try again later.', { code: 'OPERATION_TIMEOUT' });
+  },
+
+  // Follow a queued variation/upscale/edit over Server-Sent Events, falling
+  // back to polling like watchDesign
+  watchOperation: (id, operationId) => {
+    if (typeof EventSource === 'undefined' || apiClient.token) {
+      return designsApi.waitForOperation(id, operationId);
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${apiClient.baseURL}/designs/${id}/events?operation=${operationId}`);
+      let settled = false;
+
+      const settle = (callback, value) => {
+        settled = true;
+        source.close();
+        callback(value);
+      };
+
+      const poll = () => {
+        settled = true;
+        source.close();
+        designsApi.waitForOperation(id, operationId).then(resolve, reject);
+      };
+
+      source.addEventListener('operation-completed', (event) => {
+        const data = JSON.parse(event.data);
+        if (data.design) {
+          settle(resolve, { design: data.design, variation: data.variation });
+        } else {
+          poll();
+        }
+      });
+
+      source.addEventListener('operation-failed', (event) => {
+        const data = JSON.parse(event.data);
+        settle(reject, createApiError({ type: data.errorType, code: data.code, message: data.message || `Image ${data.operation} failed` }));
+      });
+
+      source.onerror = () => {
+        if (settled) return;
+        console.warn('Image operation event stream lost, falling back to polling');
+        poll();
+      };
+    });
+  },
+
   // Get user's designs
   getDesigns: async (params = {}) => {
     const queryString = new URLSearchParams(params).toString();
@@ -100,6 +302,69 @@ export const designsApi = {
     return apiClient.get(`/designs/${id}`);
   },
 
+  // Start a new generation with the same prompt, provider, model and seed
+  regenerateDesign: async (id) => {
+    return apiClient.post(`/designs/${id}/regenerate`);
+  },
+
+  // Choose which generated candidate represents the design
+  setPrimaryImage: async (id, imageId) => {
+    return apiClient.put(`/designs/${id}/images/${imageId}/primary`);
+  },
+
+  // Create a variation of one of the design's images
+  createVariation: async (id, imageId, options = {}) => {
+    return apiClient.post(`/designs/${id}/images/${imageId}/variations`, options);
+  },
+
+  // Upscale one of the design's images (scale 2 or 4)
+  upscaleImage: async (id, imageId, scale = 2) => {
+    return apiClient.post(`/designs/${id}/images/${imageId}/upscale`, { scale });
+  },
+
+  // Edit one of the design's images from a text instruction
+  editImage: async (id, imageId, instruction) => {
+    return apiClient.post(`/designs/${id}/images/${imageId}/edit`, { instruction });
+  },
+
+  // Render an export (pdf, tech-pack, png, jpg or webp) on the server; it's
+  // stored and recorded on the design, and the response has its downloadUrl.
+  // Images take { resolution, quality, transparent } options.
+  createExport: async (id, format, options = {}) => {
+    return apiClient.post(`/designs/${id}/exports?format=${encodeURIComponent(format)}`, options);
+  },
+
+  // Create a design from a JSON export (the parsed file); the server migrates
+  // older export versions and copies the images
+  importDesign: async (document) => {
+    return apiClient.post('/designs/import', document);
+  },
+
+  // Exports recorded for a design, newest first
+  getExports: async (id) => {
+    return apiClient.get(`/designs/${id}/exports`);
+  },
+
+  // Measurement spec with every size graded; `isDefault` until one is saved
+  getMeasurements: async (id) => {
+    return apiClient.get(`/designs/${id}/measurements`);
+  },
+
+  // Update the spec: { garmentType?, sizeRun?, unit?, baseSize?, points? }
+  updateMeasurements: async (id, changes) => {
+    return apiClient.put(`/designs/${id}/measurements`, changes);
+  },
+
+  // Discard the saved spec and go back to the defaults
+  resetMeasurements: async (id) => {
+    return apiClient.delete(`/designs/${id}/measurements`);
+  },
+
+  // Tech pack model: bill of materials, colourways, size chart, construction and care
+  getTechPack: async (id) => {
+    return apiClient.get(`/designs/${id}/tech-pack`);
+  },
+
   // Toggle favorite
   toggleFavorite: async (id) => {
     return apiClient.post(`/designs/${id}/favorite`);
@@ -157,6 +422,35 @@ export const authApi = {
   }
 };
 
+// Saved colour palettes: on the profile when signed in, otherwise in this browser
+const PALETTE_STORAGE_KEY = 'stylegen.savedPalettes';
+
+export const palettesApi = {
+  load: async () => {
+    if (apiClient.token) {
+      const response = await authApi.getProfile();
+      return response.user?.preferences?.favoriteColors || [];
+    }
+
+    try {
+      return JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  },
+
+  // Replaces the whole list; returns the palettes as stored
+  save: async (palettes) => {
+    if (apiClient.token) {
+      const response = await authApi.updateProfile({ 'preferences.favoriteColors': palettes });
+      return response.user.preferences.favoriteColors;
+    }
+
+    localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(palettes));
+    return palettes;
+  }
+};
+
 // Feedback API methods
 export const feedbackApi = {
   // Submit feedback for a design
@@ -193,6 +487,55 @@ export const feedbackApi = {
   }
 };
 
+// Prompt API methods
+export const promptsApi = {
+  // Prompt text a set of design preferences would produce
+  preview: async (preferences) => {
+    return apiClient.post('/prompts/preview', preferences);
+  }
+};
+
+// Colour names don't change, so lookups are cached for the session
+const colorNameCache = new Map();
+
+// Colors API methods
+export const colorsApi = {
+  // Nearest fashion colour name for a hex value, e.g. '#7B1E2B' -> 'burgundy'
+  getName: (hex) => {
+    const key = hex.toUpperCase();
+    if (!colorNameCache.has(key)) {
+      const lookup = apiClient.get(`/colors/name?hex=${encodeURIComponent(key)}`)
+        .then(response => response.color.name)
+        .catch(error => {
+          colorNameCache.delete(key);
+          throw error;
+        });
+      colorNameCache.set(key, lookup);
+    }
+    return colorNameCache.get(key);
+  },
+
+  // Name several colours at once; failed lookups are left out
+  getNames: async (colors) => {
+    const results = await Promise.allSettled(colors.map(color => colorsApi.getName(color)));
+    return colors.reduce((names, color, index) => {
+      if (results[index].status === 'fulfilled') names[color] = results[index].value;
+      return names;
+    }, {});
+  },
+
+  getPalette: async () => {
+    return apiClient.get('/colors/palette');
+  }
+};
+
+// Allowed option values, defaults and limits, read from the server's schemas
+export const metaApi = {
+  getOptions: async () => {
+    return apiClient.get('/meta/options');
+  }
+};
+
 // Health check
 export const healthApi = {
   check: async () => {
@@ -208,6 +551,10 @@ export default {
   designs: designsApi,
   auth: authApi,
   feedback: feedbackApi,
+  prompts: promptsApi,
+  colors: colorsApi,
+  palettes: palettesApi,
+  meta: metaApi,
   health: healthApi,
   setToken: (token) => apiClient.setToken(token)
 };
@@ -0,0 +1,83 @@
+// Colour helpers for the design form: hex parsing, harmony suggestions and
+// sampling a pixel from an image
+
+export const normalizeHex = (value) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(d => d + d).join('')
+    : match[1];
+  return `#${digits.toUpperCase()}`;
+};
+
+const toHex = (r, g, b) =>
+  `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+export const hexToHsl = (hex) => {
+  const int = parseInt(normalizeHex(hex).slice(1), 16);
+  const r = ((int >> 16) & 255) / 255;
+  const g = ((int >> 8) & 255) / 255;
+  const b = (int & 255) / 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return { h: h * 60, s, l };
+};
+
+export const hslToHex = ({ h, s, l }) => {
+  const hue = ((h % 360) + 360) % 360;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = l - c / 2;
+
+  const [r, g, b] = hue < 60 ? [c, x, 0]
+    : hue < 120 ? [x, c, 0]
+    : hue < 180 ? [0, c, x]
+    : hue < 240 ? [0, x, c]
+    : hue < 300 ? [x, 0, c]
+    : [c, 0, x];
+
+  return toHex((r + m) * 255, (g + m) * 255, (b + m) * 255);
+};
+
+const rotate = (hsl, degrees) => hslToHex({ ...hsl, h: hsl.h + degrees });
+
+// Palettes built around a base colour by rotating its hue
+export const getHarmonies = (hex) => {
+  const base = normalizeHex(hex);
+  if (!base) return [];
+
+  const hsl = hexToHsl(base);
+  return [
+    { type: 'complementary', label: 'Complementary', colors: [base, rotate(hsl, 180)] },
+    { type: 'analogous', label: 'Analogous', colors: [rotate(hsl, -30), base, rotate(hsl, 30)] },
+    { type: 'triadic', label: 'Triadic', colors: [base, rotate(hsl, 120), rotate(hsl, 240)] }
+  ];
+};
+
+// Colour of the pixel under a click on a rendered <img>
+export const sampleImageColor = (img, clientX, clientY) => {
+  const rect = img.getBoundingClientRect();
+  const x = Math.floor(((clientX - rect.left) / rect.width) * img.naturalWidth);
+  const y = Math.floor(((clientY - rect.top) / rect.height) * img.naturalHeight);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const context = canvas.getContext('2d');
+  context.drawImage(img, 0, 0);
+
+  const [r, g, b] = context.getImageData(x, y, 1, 1).data;
+  return toHex(r, g, b);
+};
@@ -0,0 +1,60 @@
+// Typed errors for failed API requests. The server answers every failure with
+// { success: false, error: { type, code, message, details? } }; `type` picks
+// the class below so callers can use instanceof, `code` is the specific reason.
+export class ApiError extends Error {
+  constructor(message, { code, status, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The request was invalid; fix the input and try again
+export class ValidationError extends ApiError {}
+
+// Not signed in, the session expired, or not allowed
+export class AuthError extends ApiError {}
+
+// A plan or usage limit was reached
+export class QuotaError extends ApiError {}
+
+export class NotFoundError extends ApiError {}
+
+// The design isn't in a state that allows this yet
+export class ConflictError extends ApiError {}
+
+// The image providers failed; trying again later may work
+export class ProviderError extends ApiError {}
+
+// The prompt or generated image was blocked by the content policy
+export class ModerationError extends ApiError {}
+
+// The server couldn't be reached at all
+export class NetworkError extends ApiError {}
+
+const ERROR_TYPES = {
+  validation: ValidationError,
+  auth: AuthError,
+  quota: QuotaError,
+  not_found: NotFoundError,
+  conflict: ConflictError,
+  provider: ProviderError,
+  moderation: ModerationError
+};
+
+// Build a typed error from an error `type`, e.g. a failed design's error record
+export const createApiError = ({ type, code, message, details } = {}, status) => {
+  const ErrorClass = ERROR_TYPES[type] || ApiError;
+  return new ErrorClass(message || 'Request failed', { code, status, details });
+};
+
+// Build a typed error from a failed response's status and body
+export const toApiError = (status, body) => {
+  const error = body?.error;
+  if (error && typeof error === 'object') {
+    return createApiError(error, status);
+  }
+  return new ApiError(body?.message || error || `Request failed (${status})`, { status });
+};
@@ -0,0 +1,134 @@
+// Convert a design image in the browser (canvas) for download. Mirrors the
+// server's reports/images.js so both produce the same files; the server's
+// version is used for saved designs, this one when it can't be reached.
+
+export const IMAGE_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png', transparency: true },
+  jpg: { extension: 'jpg', mimeType: 'image/jpeg', transparency: false, quality: 90 },
+  webp: { extension: 'webp', mimeType: 'image/webp', transparency: true, quality: 85 }
+};
+
+// Longest edge in pixels; `original` keeps the image's own size
+export const RESOLUTIONS = {
+  small: 512,
+  medium: 1024,
+  large: 2048,
+  original: null
+};
+
+const BACKGROUND_TOLERANCE = 40;
+
+// Load through a blob URL so the canvas isn't tainted by a cross-origin image
+const loadImage = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load the image (${response.status})`);
+  }
+
+  const blobUrl = URL.createObjectURL(await response.blob());
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not decode the image'));
+      image.src = blobUrl;
+    });
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+};
+
+const colorDistance = (data, offset, color) => Math.sqrt(
+  (data[offset] - color[0]) ** 2 + (data[offset + 1] - color[1]) ** 2 + (data[offset + 2] - color[2]) ** 2
+);
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+// Flood-fill the backdrop (the median border colour) from the edges and make
+// it transparent, fading the pixels along the outline
+const removeBackground = ({ data, width, height }) => {
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  const background = [0, 1, 2].map(channel => median(border.map(i => data[i * 4 + channel])));
+  const removed = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  const visit = (i) => {
+    if (!removed[i] && colorDistance(data, i * 4, background) <= BACKGROUND_TOLERANCE) {
+      removed[i] = 1;
+      queue[tail++] = i;
+    }
+  };
+
+  border.forEach(visit);
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < width * (height - 1)) visit(i + width);
+  }
+
+  for (let i = 0; i < width * height; i++) {
+    if (removed[i]) {
+      data[i * 4 + 3] = 0;
+      continue;
+    }
+    const x = i % width;
+    const touchesBackground = (x > 0 && removed[i - 1]) || (x < width - 1 && removed[i + 1])
+      || (i >= width && removed[i - width]) || (i < width * (height - 1) && removed[i + width]);
+    if (touchesBackground) {
+      const distance = colorDistance(data, i * 4, background);
+      if (distance < BACKGROUND_TOLERANCE * 2) {
+        data[i * 4 + 3] = Math.round(data[i * 4 + 3] * (distance - BACKGROUND_TOLERANCE) / BACKGROUND_TOLERANCE);
+      }
+    }
+  }
+};
+
+// Re-encode the image at `url` as `format` ('png', 'jpg' or 'webp'). Resolves
+// to `{ blob, width, height }`; rejects when the browser can't encode the format.
+export const convertImage = async (url, format, { resolution = 'original', quality, transparent = false } = {}) => {
+  const spec = IMAGE_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown image format: ${format}`);
+  }
+
+  const image = await loadImage(url);
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const maxEdge = RESOLUTIONS[resolution];
+  const scale = maxEdge ? maxEdge / Math.max(sourceWidth, sourceHeight) : 1;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+
+  // JPEG has no transparency, so transparent areas become white
+  if (!spec.transparency) {
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  if (transparent && spec.transparency) {
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    removeBackground(pixels);
+    context.putImageData(pixels, 0, 0);
+  }
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, spec.mimeType, (quality || spec.quality || 100) / 100));
+  // Browsers fall back to PNG for types they can't encode
+  if (!blob || blob.type !== spec.mimeType) {
+    throw new Error(`This browser can't save ${format.toUpperCase()} images`);
+  }
+
+  return { blob, width: canvas.width, height: canvas.height };
+};
@@ -1,26 +1,53 @@
-// Simple PDF and download service without complex imports
+// Downloads of a design: the image, its data as JSON, and PDF reports
+import { colorsApi, designsApi, getImageRendition, resolveAssetUrl } from './api';
+import { convertImage, IMAGE_FORMATS } from './imageExport';
 
-export const downloadImageAsPNG = async (design) => {
-  try {
-    // Check for image URL in different possible properties
-    const imageUrl = design.imageUrl || (design.images && design.images[0] && design.images[0].url);
+const saveBlob = (blob, filename) => {
+  const blobUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+};
+
+// Save a file the server stored (e.g. an export under /uploads). It is fetched
+// as a blob because the download attribute is ignored for cross-origin links.
+const saveRemoteFile = async (url, filename) => {
+  const response = await fetch(resolveAssetUrl(url));
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+  saveBlob(await response.blob(), filename);
+};
 
+// Export on the server so the file is stored and recorded on the design,
+// then download it. `options` are the image conversion options (resolution,
+// quality, transparent). Rejects if the server can't export this design.
+export const downloadServerExport = async (design, format, options) => {
+  const response = await designsApi.createExport(design.id, format, options);
+  await saveRemoteFile(response.downloadUrl, response.export.filename);
+  return { success: true, filename: response.export.filename, recorded: true };
+};
+
+// Convert the design's image to `format` (png, jpg or webp) in the browser and
+// save it; `options` are { resolution, quality, transparent }
+export const downloadImage = async (design, format = 'png', options = {}) => {
+  try {
+    const imageUrl = design.imageUrl || design.images?.[0]?.url;
     if (!imageUrl) {
       throw new Error('No image available for download');
     }
 
-    const filename = `${design.title || 'StyleGen_Design'}_${Date.now()}.png`;
-    
-    // Create download link
-    const link = document.createElement('a');
-    link.href = imageUrl;
-    link.download = filename;
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
+    const { blob } = await convertImage(resolveAssetUrl(imageUrl), format, options);
+    const title = (design.title || 'StyleGen_Design').replace(/[^\w-]+/g, '_');
+    const filename = `${title}_${Date.now()}.${IMAGE_FORMATS[format].extension}`;
+    saveBlob(blob, filename);
+
     return { success: true, filename };
   } catch (error) {
     console.error('Image download failed:', error);
@@ -28,84 +55,515 @@ export const downloadImageAsPNG = async (design) => {
   }
 };
 
-export const downloadDesignAsJSON = (design) => {
+// Version of the JSON export. The server's importer (backend/imports/) reads
+// this and every older version, so a change to the format needs a new version
+// and a migration there.
+const EXPORT_VERSION = '2.0';
+
+const INPUT_PARAMETERS = ['gender', 'occasion', 'style', 'colors', 'patterns', 'materials', 'mood', 'season', 'customPrompt', 'promptMode'];
+const AI_GENERATION = ['prompt', 'model', 'provider', 'promptTemplate', 'parameters'];
+const MEASUREMENT_FIELDS = ['garmentType', 'sizeRun', 'unit', 'baseSize'];
+const POINT_FIELDS = ['code', 'key', 'name', 'description', 'baseValue', 'tolerance', 'grades'];
+
+const pick = (source, keys) => Object.fromEntries(
+  keys.filter(key => source?.[key] !== undefined && source[key] !== null && source[key] !== '').map(key => [key, source[key]])
+);
+
+// Images are embedded as data URLs so the file can be imported anywhere. They
+// are re-encoded as medium-size JPEGs so a file with every image of a design
+// stays well inside the server's request size limit. One that can't be
+// fetched (e.g. cross-origin) keeps its URL.
+const EMBEDDED_IMAGE = { format: 'jpg', resolution: 'medium', quality: 85 };
+
+const embedImage = async (image) => {
+  try {
+    const { format, ...options } = EMBEDDED_IMAGE;
+    const { blob } = await convertImage(getImageRendition(image, 'full').url, format, options);
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.warn('Image not embedded in the export:', error);
+    return resolveAssetUrl(image.url);
+  }
+};
+
+// A saved measurement spec, without the graded values the server derives
+const savedMeasurements = async (design) => {
+  if (design.isDemo) return undefined;
   try {
+    const response = await designsApi.getMeasurements(design.id);
+    if (response.isDefault) return undefined;
+    return {
+      ...pick(response.measurements, MEASUREMENT_FIELDS),
+      points: response.measurements.points.map(point => pick(point, POINT_FIELDS))
+    };
+  } catch (error) {
+    console.warn('Measurements not included in the export:', error);
+    return undefined;
+  }
+};
+
+export const downloadDesignAsJSON = async (design) => {
+  try {
+    const sources = design.images?.length > 0 ? design.images : [{ url: design.imageUrl, isPrimary: true }];
+    const images = await Promise.all(sources.filter(image => image.url).map(async (image, index) => ({
+      url: await embedImage(image),
+      isPrimary: image.isPrimary ?? index === 0,
+      ...(Number.isInteger(image.seed) && { seed: image.seed })
+    })));
+
     const designData = {
-      ...design,
+      exportVersion: EXPORT_VERSION,
       exportedAt: new Date().toISOString(),
-      exportVersion: '1.0'
+      design: {
+        id: design.id,
+        title: design.title,
+        description: design.description,
+        inputParameters: pick(design.preferences, INPUT_PARAMETERS),
+        aiGeneration: { ...pick(design.metadata, AI_GENERATION), prompt: design.metadata?.prompt || design.prompt },
+        measurements: await savedMeasurements(design),
+        images,
+        createdAt: design.createdAt
+      }
     };
-    
-    const dataStr = JSON.stringify(designData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${design.title || 'StyleGen_Design'}_data_${Date.now()}.json`;
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    setTimeout(() => URL.revokeObjectURL(url), 100);
-    
-    return { success: true, filename: link.download };
+
+    const title = (design.title || 'StyleGen_Design').replace(/[^\w-]+/g, '_');
+    const filename = `${title}_data_${Date.now()}.json`;
+    saveBlob(new Blob([JSON.stringify(designData, null, 2)], { type: 'application/json' }), filename);
+
+    return { success: true, filename };
   } catch (error) {
     console.error('JSON export failed:', error);
     throw new Error(`Failed to export JSON: ${error.message}`);
   }
 };
 
-// Simple PDF download function
+// PDF design reports, built in the browser with jsPDF. The layout matches the
+// server-side reports (backend reports/index.js): branded header and footer,
+// the design image and prompt, then parameters, colour swatches and metadata.
+// Tech packs add the sections of the server's tech pack model.
+const BRAND = {
+  name: 'StyleGen AI',
+  color: [236, 72, 153],
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  rule: [229, 231, 235],
+  stripe: [253, 242, 248]
+};
+
+const PAGE = { margin: 50, header: 40, footer: 30 };
+
+const titleCase = (value) => String(value).replace(/[-_]/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+const listOrNone = (values) => (values && values.length > 0 ? values.map(titleCase).join(', ') : 'None');
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'Unknown');
+
+const hexToRgb = (hex) => {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Draw the image onto a canvas so any format the browser can show (SVG mock-ups,
+// WebP) ends up as a JPEG jsPDF can embed. Resolves to null if it can't be loaded.
+const loadReportImage = (url) => new Promise((resolve) => {
+  if (!url) {
+    resolve(null);
+    return;
+  }
+
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth || 1024;
+      canvas.height = img.naturalHeight || 1024;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#FFFFFF';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve({ dataUrl: canvas.toDataURL('image/jpeg', 0.92), width: canvas.width, height: canvas.height });
+    } catch (error) {
+      // A cross-origin image without CORS headers taints the canvas
+      console.warn('Report image could not be embedded:', error);
+      resolve(null);
+    }
+  };
+  img.onerror = () => resolve(null);
+  img.src = url;
+});
+
+// Everything a report shows, from the result view's design object
+const reportData = (design) => {
+  const preferences = design.preferences || {};
+  const metadata = design.metadata || {};
+  const parameters = metadata.parameters || {};
+  const template = metadata.promptTemplate;
+
+  return {
+    id: String(design.id || 'demo'),
+    title: design.title || 'Untitled Design',
+    prompt: design.prompt,
+    negativePrompt: parameters.negativePrompt,
+    customPrompt: preferences.customPrompt,
+    colors: preferences.colors || [],
+    parameters: [
+      ['Gender', titleCase(preferences.gender || 'Not specified')],
+      ['Occasion', titleCase(preferences.occasion || 'Not specified')],
+      ['Style', titleCase(preferences.style || 'Not specified')],
+      ['Patterns', listOrNone(preferences.patterns)],
+      ['Materials', listOrNone(preferences.materials)],
+      ['Mood', titleCase(preferences.mood || 'Not specified')],
+      ['Season', titleCase(preferences.season || 'Not specified')],
+      ['Prompt mode', titleCase(preferences.promptMode || 'merge')]
+    ],
+    generation: [
+      ['Provider', metadata.provider || (design.isDemo ? 'Demo' : 'Unknown')],
+      ['Model', metadata.model || 'Unknown'],
+      ['Prompt template', template?.name ? `${template.name}@${template.version}` : 'Default'],
+      ['Seed', parameters.seed ?? 'Random'],
+      ['Steps', parameters.inferenceSteps ?? 'Provider default'],
+      ['Guidance', parameters.guidanceScale ?? 'Provider default'],
+      ['Scheduler', parameters.scheduler || 'Provider default'],
+      ['Images', (design.images || []).length || 1],
+      ['Generation time', metadata.generationTime ? `${(metadata.generationTime / 1000).toFixed(1)}s` : 'Unknown'],
+      ['Created', formatDate(design.createdAt)]
+    ].map(([label, value]) => [label, String(value)])
+  };
+};
+
+// Small layout helper around a jsPDF document: a cursor that moves down the
+// page and starts a new page when the next block doesn't fit
+const createLayout = (pdf) => {
+  const width = pdf.internal.pageSize.getWidth();
+  const height = pdf.internal.pageSize.getHeight();
+  const contentWidth = width - PAGE.margin * 2;
+  const top = PAGE.margin + PAGE.header;
+  const layout = { pdf, width, height, contentWidth, top, y: top };
+
+  layout.addPage = () => {
+    pdf.addPage();
+    layout.y = top;
+  };
+
+  layout.ensureSpace = (needed) => {
+    if (layout.y + needed > height - PAGE.margin - PAGE.footer) {
+      layout.addPage();
+    }
+  };
+
+  layout.heading = (text) => {
+    layout.ensureSpace(60);
+    layout.y += 14;
+    pdf.setFont('helvetica', 'bold').setFontSize(14).setTextColor(...BRAND.color);
+    pdf.text(text, PAGE.margin, layout.y, { baseline: 'top' });
+    layout.y += 20;
+    pdf.setDrawColor(...BRAND.rule).setLineWidth(1).line(PAGE.margin, layout.y, PAGE.margin + contentWidth, layout.y);
+    layout.y += 10;
+  };
+
+  layout.paragraph = (text, { label } = {}) => {
+    if (label) {
+      layout.ensureSpace(14);
+      pdf.setFont('helvetica', 'bold').setFontSize(10).setTextColor(...BRAND.muted);
+      pdf.text(label, PAGE.margin, layout.y, { baseline: 'top' });
+      layout.y += 14;
+    }
+    pdf.setFont('helvetica', 'normal').setFontSize(10).setTextColor(...BRAND.text);
+    pdf.splitTextToSize(text, contentWidth).forEach(line => {
+      layout.ensureSpace(13);
+      pdf.text(line, PAGE.margin, layout.y, { baseline: 'top' });
+      layout.y += 13;
+    });
+    layout.y += 6;
+  };
+
+  // Two-column label/value table with striped rows
+  layout.table = (rows) => {
+    const labelWidth = 150;
+    const padding = 6;
+
+    rows.forEach(([label, value], index) => {
+      pdf.setFont('helvetica', 'normal').setFontSize(10);
+      const lines = pdf.splitTextToSize(value, contentWidth - labelWidth - padding * 2);
+      const rowHeight = Math.max(lines.length, 1) * 12 + padding * 2;
+      layout.ensureSpace(rowHeight);
+
+      if (index % 2 === 0) {
+        pdf.setFillColor(...BRAND.stripe).rect(PAGE.margin, layout.y, contentWidth, rowHeight, 'F');
+      }
+      pdf.setFont('helvetica', 'bold').setTextColor(...BRAND.muted);
+      pdf.text(label, PAGE.margin + padding, layout.y + padding, { baseline: 'top' });
+      pdf.setFont('helvetica', 'normal').setTextColor(...BRAND.text);
+      pdf.text(lines, PAGE.margin + labelWidth, layout.y + padding, { baseline: 'top' });
+      layout.y += rowHeight;
+    });
+  };
+
+  // Multi-column table with a brand-coloured header row, repeated when the
+  // table runs onto a new page. Column widths are fractions of the content
+  // width; `swatches[i]` (a hex colour) is drawn as a chip in row i's first cell.
+  layout.grid = (columns, rows, { swatches } = {}) => {
+    const padding = 5;
+    const lineHeight = 11;
+    const cells = columns.map(column => ({ ...column, width: column.width * contentWidth }));
+    const wrap = values => values.map((value, index) => pdf.splitTextToSize(String(value), cells[index].width - padding * 2));
+
+    const drawRow = (lines, { bold, color, fill }) => {
+      const rowHeight = Math.max(...lines.map(cellLines => cellLines.length), 1) * lineHeight + padding * 2;
+      if (fill) pdf.setFillColor(...fill).rect(PAGE.margin, layout.y, contentWidth, rowHeight, 'F');
+      pdf.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(9).setTextColor(...color);
+
+      let x = PAGE.margin;
+      lines.forEach((cellLines, index) => {
+        const { width, align } = cells[index];
+        pdf.text(cellLines, align === 'right' ? x + width - padding : x + padding, layout.y + padding, { baseline: 'top', align: align || 'left' });
+        x += width;
+      });
+      layout.y += rowHeight;
+    };
+
+    const header = () => {
+      pdf.setFont('helvetica', 'bold').setFontSize(9);
+      drawRow(wrap(cells.map(cell => cell.label)), { bold: true, color: [255, 255, 255], fill: BRAND.color });
+    };
+
+    layout.ensureSpace(60);
+    header();
+    rows.forEach((values, index) => {
+      pdf.setFont('helvetica', 'normal').setFontSize(9);
+      const lines = wrap(values);
+      const rowHeight = Math.max(...lines.map(cellLines => cellLines.length), 1) * lineHeight + padding * 2;
+      if (layout.y + rowHeight > height - PAGE.margin - PAGE.footer) {
+        layout.addPage();
+        header();
+      }
+      const rowTop = layout.y;
+      drawRow(lines, { color: BRAND.text, fill: index % 2 === 0 ? BRAND.stripe : null });
+
+      if (swatches && swatches[index]) {
+        const size = 10;
+        pdf.setFillColor(...hexToRgb(swatches[index])).setDrawColor(...BRAND.rule)
+          .rect(PAGE.margin + cells[0].width - padding - size, rowTop + padding, size, size, 'FD');
+      }
+    });
+    pdf.setDrawColor(...BRAND.rule).setLineWidth(0.5).line(PAGE.margin, layout.y, PAGE.margin + contentWidth, layout.y);
+    layout.y += 8;
+  };
+
+  layout.swatches = (colors, names = {}) => {
+    const size = 48;
+    const cell = 110;
+    const rowHeight = size + 36;
+    const perRow = Math.max(1, Math.floor(contentWidth / cell));
+
+    for (let start = 0; start < colors.length; start += perRow) {
+      layout.ensureSpace(rowHeight);
+      colors.slice(start, start + perRow).forEach((hex, column) => {
+        const x = PAGE.margin + column * cell;
+        pdf.setFillColor(...hexToRgb(hex)).setDrawColor(...BRAND.rule).rect(x, layout.y, size, size, 'FD');
+        pdf.setFont('helvetica', 'bold').setFontSize(9).setTextColor(...BRAND.text);
+        pdf.text(titleCase(names[hex] || hex), x, layout.y + size + 4, { baseline: 'top', maxWidth: cell - 8 });
+        pdf.setFont('helvetica', 'normal').setFontSize(8).setTextColor(...BRAND.muted);
+        pdf.text(hex.toUpperCase(), x, layout.y + size + 16, { baseline: 'top' });
+      });
+      layout.y += rowHeight;
+    }
+  };
+
+  return layout;
+};
+
+// Branded header and footer on every page, drawn once the page count is known
+const decoratePages = (layout, { title, generatedAt }) => {
+  const { pdf, width, height } = layout;
+  const pageCount = pdf.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFillColor(...BRAND.color).rect(0, 0, width, PAGE.header, 'F');
+    pdf.setFont('helvetica', 'bold').setFontSize(14).setTextColor(255, 255, 255);
+    pdf.text(BRAND.name, PAGE.margin, 13, { baseline: 'top' });
+    pdf.setFont('helvetica', 'normal').setFontSize(10);
+    pdf.text(title, width - PAGE.margin, 16, { baseline: 'top', align: 'right' });
+
+    const footerY = height - PAGE.footer;
+    pdf.setDrawColor(...BRAND.rule).setLineWidth(0.5).line(PAGE.margin, footerY - 8, width - PAGE.margin, footerY - 8);
+    pdf.setFontSize(8).setTextColor(...BRAND.muted);
+    pdf.text(`Generated by ${BRAND.name} on ${formatDate(generatedAt)}`, PAGE.margin, footerY, { baseline: 'top' });
+    pdf.text(`Page ${page} of ${pageCount}`, width - PAGE.margin, footerY, { baseline: 'top', align: 'right' });
+  }
+};
+
+// The tech pack model's sections (GET /api/designs/:id/tech-pack), drawn after
+// the design report pages the way backend reports/techPack.js lays them out
+const drawTechPack = async (layout, techPack) => {
+  const sketch = techPack.flatSketch ? await loadReportImage(resolveAssetUrl(techPack.flatSketch.url)) : null;
+
+  layout.addPage();
+  layout.heading(`Flat Sketch: style ${techPack.style.number}`);
+  if (sketch) {
+    const box = { width: layout.contentWidth, height: 480 };
+    const scale = Math.min(box.width / sketch.width, box.height / sketch.height);
+    layout.pdf.addImage(
+      sketch.dataUrl, 'JPEG',
+      PAGE.margin + (box.width - sketch.width * scale) / 2, layout.y,
+      sketch.width * scale, sketch.height * scale
+    );
+    layout.y += box.height;
+  } else {
+    layout.paragraph('Flat sketch unavailable.');
+  }
+
+  layout.heading('Bill of Materials');
+  layout.grid([
+    { label: 'Item', width: 0.16 },
+    { label: 'Placement', width: 0.17 },
+    { label: 'Description', width: 0.33 },
+    { label: 'Colour', width: 0.18 },
+    { label: 'Qty', width: 0.16, align: 'right' }
+  ], techPack.billOfMaterials.map(row => [row.item, row.placement, row.description, row.colour, `${row.quantity} ${row.unit}`]));
+
+  techPack.colourways.forEach(colourway => {
+    layout.heading(`Colourway ${colourway.name}: ${colourway.description}`);
+    if (colourway.colors.length === 0) {
+      layout.paragraph('No colours specified.');
+      return;
+    }
+    layout.grid([
+      { label: 'Role', width: 0.2 },
+      { label: 'Hex', width: 0.14 },
+      { label: 'RGB', width: 0.18 },
+      { label: 'Nearest named colour', width: 0.33 },
+      { label: 'Delta E', width: 0.15, align: 'right' }
+    ], colourway.colors.map(color => [
+      color.role,
+      color.hex,
+      color.rgb ? color.rgb.join(', ') : '-',
+      color.name,
+      color.matchDistance === null ? '-' : color.matchDistance.toFixed(1)
+    ]), { swatches: colourway.colors.map(color => color.hex) });
+  });
+
+  const chart = techPack.sizeChart;
+  layout.heading(`Size Chart: ${titleCase(chart.garmentType)}, ${chart.sizeRunName} (${chart.unit})`);
+  layout.grid([
+    { label: 'POM', width: 0.07 },
+    { label: 'Point of measure', width: 0.19 },
+    ...chart.sizes.map(size => ({ label: size === chart.baseSize ? `${size}*` : size, width: 0.64 / chart.sizes.length, align: 'right' })),
+    { label: 'Tol +/-', width: 0.1, align: 'right' }
+  ], chart.points.map(point => [point.code, point.name, ...point.values, point.tolerance]));
+  layout.paragraph([
+    `* Base (sample) size. Finished garment measurements (${chart.unit}).`,
+    chart.fit ? `Fitted for a ${chart.fit} body type.` : '',
+    chart.isDefault ? 'Default grading; confirm with the pattern maker.' : ''
+  ].filter(Boolean).join(' '));
+
+  layout.heading('Construction Notes');
+  techPack.construction.forEach(note => layout.paragraph(`• ${note}`));
+
+  layout.heading('Care Labels');
+  layout.grid([
+    { label: 'Material', width: 0.16 },
+    { label: 'Composition', width: 0.26 },
+    { label: 'Instructions', width: 0.58 }
+  ], techPack.care.map(label => [label.material, label.composition, label.instructions.join('; ')]));
+
+  layout.heading('Revisions');
+  layout.grid([
+    { label: 'Rev', width: 0.08 },
+    { label: 'Date', width: 0.24 },
+    { label: 'Description', width: 0.48 },
+    { label: 'By', width: 0.2 }
+  ], techPack.revisions.map(entry => [entry.revision, formatDate(entry.date), entry.description, entry.author]));
+  layout.ensureSpace(120);
+  layout.grid([
+    { label: 'Approval', width: 0.3 },
+    { label: 'Name', width: 0.3 },
+    { label: 'Signature', width: 0.25 },
+    { label: 'Date', width: 0.15 }
+  ], ['Design', 'Technical', 'Production'].map(role => [role, '', '', '']));
+};
+
+// Build the report and download it. `type` is 'design' or 'tech-pack'
+// (which adds the tech pack of a saved design).
 export const downloadDesignAsPDF = async (design, type = 'design') => {
   try {
-    // For now, create a simple text-based PDF alternative
-    const content = `
-StyleGen AI - Fashion Design Report
-==================================
-
-Design: ${design.title || 'Untitled Design'}
-Generated: ${new Date().toLocaleDateString()}
-
-Design Parameters:
-- Gender: ${design.preferences?.gender || design.gender || 'Not specified'}
-- Occasion: ${design.preferences?.occasion || design.occasion || 'Not specified'}
-- Style: ${design.preferences?.style || design.style || 'Not specified'}
-- Colors: ${design.preferences?.colors ? design.preferences.colors.join(', ') : (design.colors ? design.colors.join(', ') : 'Not specified')}
-- Pattern: ${design.preferences?.pattern || design.pattern || 'Not specified'}
-- Material: ${design.preferences?.material || design.material || 'Not specified'}
-- Mood: ${design.preferences?.mood || design.mood || 'Not specified'}
-- Season: ${design.preferences?.season || design.season || 'Not specified'}
-
-${type === 'tech-pack' ? `
-Technical Specifications:
-- Fabric Composition: To be determined based on material selection
-- Care Instructions: Follow standard care guidelines for selected materials
-- Sizing: Standard sizing chart applicable
-- Construction: Professional garment construction required
-- Quality Standards: High-quality finishing expected
-- Color Matching: Pantone color matching recommended
-- Packaging: Standard retail packaging
-` : ''}
-
-Generated by StyleGen AI
-`;
-
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${design.title || 'StyleGen_Design'}_${type}_${Date.now()}.txt`;
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    setTimeout(() => URL.revokeObjectURL(url), 100);
-    
-    return { success: true, filename: link.download };
+    // jsPDF is only needed here, so it's loaded on first use
+    const { jsPDF } = await import('jspdf');
+    const data = reportData(design);
+    const reportTitle = type === 'tech-pack' ? 'Tech Pack' : 'Fashion Design Report';
+
+    const imageUrl = design.image ? getImageRendition(design.image, 'full').url : design.imageUrl;
+    const [image, colorNames, techPack] = await Promise.all([
+      loadReportImage(imageUrl),
+      colorsApi.getNames(data.colors).catch(() => ({})),
+      type === 'tech-pack' && !design.isDemo
+        ? designsApi.getTechPack(design.id).then(response => response.techPack).catch(() => null)
+        : null
+    ]);
+
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+    pdf.setProperties({ title: `${data.title} - ${reportTitle}`, author: BRAND.name, subject: reportTitle });
+    const layout = createLayout(pdf);
+
+    // Page 1: title, image and prompt
+    pdf.setFont('helvetica', 'bold').setFontSize(22).setTextColor(...BRAND.text);
+    pdf.text(data.title, PAGE.margin, layout.y, { baseline: 'top', maxWidth: layout.contentWidth });
+    layout.y += 28;
+    pdf.setFont('helvetica', 'normal').setFontSize(9).setTextColor(...BRAND.muted);
+    pdf.text(`Design ${data.id}`, PAGE.margin, layout.y, { baseline: 'top' });
+    layout.y += 24;
+
+    const box = { width: layout.contentWidth, height: 400 };
+    if (image) {
+      const scale = Math.min(box.width / image.width, box.height / image.height);
+      const imageWidth = image.width * scale;
+      const imageHeight = image.height * scale;
+      pdf.addImage(
+        image.dataUrl, 'JPEG',
+        PAGE.margin + (box.width - imageWidth) / 2, layout.y + (box.height - imageHeight) / 2,
+        imageWidth, imageHeight
+      );
+    } else {
+      pdf.setFillColor(...BRAND.stripe).rect(PAGE.margin, layout.y, box.width, box.height, 'F');
+      pdf.setFontSize(11).setTextColor(...BRAND.muted);
+      pdf.text('Image unavailable', PAGE.margin + box.width / 2, layout.y + box.height / 2, { align: 'center' });
+    }
+    layout.y += box.height;
+
+    layout.heading('Prompt');
+    layout.paragraph(data.prompt || 'Not recorded');
+    if (data.customPrompt) layout.paragraph(data.customPrompt, { label: 'Custom details' });
+    if (data.negativePrompt) layout.paragraph(data.negativePrompt, { label: 'Negative prompt' });
+
+    // Parameters, palette and generation metadata
+    layout.addPage();
+    layout.heading('Design Parameters');
+    layout.table(data.parameters);
+
+    layout.heading('Colour Palette');
+    layout.swatches(data.colors, colorNames);
+
+    layout.heading('Generation Details');
+    layout.table(data.generation);
+
+    if (techPack) {
+      await drawTechPack(layout, techPack);
+    } else if (type === 'tech-pack') {
+      layout.heading('Tech Pack');
+      layout.paragraph('The bill of materials, size chart, construction notes and care labels are built from a saved design. Generate this design with the server running to get its full tech pack.');
+    }
+
+    decoratePages(layout, { title: reportTitle, generatedAt: new Date() });
+
+    const filename = `${design.title || 'StyleGen_Design'}_${type}_${Date.now()}.pdf`;
+    pdf.save(filename);
+
+    return { success: true, filename };
   } catch (error) {
     console.error('PDF generation failed:', error);
     throw new Error(`Failed to generate PDF: ${error.message}`);